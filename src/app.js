@@ -4,14 +4,37 @@ const express = require("express");
 
 const { MemoryCache } = require("./services/memory-cache");
 const { SellerOriginStore } = require("./services/seller-origin-store");
+const { VariantMappingStore } = require("./services/variant-mapping-store");
+const { SellerSyncRunStore } = require("./services/seller-sync-run-store");
+const { SellerIndex } = require("./services/seller-index");
+const { runInBackgroundLane } = require("./services/token-bucket-limiter");
+const {
+  SellerCatalogSyncService
+} = require("./services/seller-catalog-sync-service");
+const { SellerRuleStore } = require("./services/seller-rule-store");
+const { BoxCatalogStore } = require("./services/box-catalog-store");
+const { PricingRuleStore } = require("./services/pricing-rule-store");
+const { RateCardStore } = require("./services/rate-card-store");
 const { WebkulClient } = require("./services/webkul-client");
 const { BiteshipClient } = require("./services/biteship-client");
 const { ShippingService } = require("./services/shipping-service");
+const { SellerResolver } = require("./services/seller-resolver");
+const { createMarketplaceSourceChain } = require("./services/marketplace-sources");
 const { ShopifyAdminClient } = require("./services/shopify-admin-client");
 const { OrderSyncStore } = require("./services/order-sync-store");
 const { OrderSyncService } = require("./services/order-sync-service");
+const { ShipmentTrackingService } = require("./services/shipment-tracking-service");
 const { RateLogStore } = require("./services/rate-log-store");
-const { normalizePostalCode } = require("./utils/location");
+const { WebhookEventStore } = require("./services/webhook-event-store");
+const { WebkulWebhookService } = require("./services/webkul-webhook-service");
+const { BiteshipWebhookService } = require("./services/biteship-webhook-service");
+const { normalizePostalCode, truthy } = require("./utils/location");
+const { normalizeAvailability, resolveAvailability } = require("./utils/availability");
+const {
+  normalizePickupSchedule,
+  normalizePickupSlot,
+  nextPickupSlot
+} = require("./utils/pickup-schedule");
 
 function safeCompareBase64(left, right) {
   const leftBuffer = Buffer.from(left || "", "utf8");
@@ -24,7 +47,7 @@ function safeCompareBase64(left, right) {
   return crypto.timingSafeEqual(leftBuffer, rightBuffer);
 }
 
-function verifyShopifyHmac(rawBodyBuffer, providedHmac, secret) {
+function verifyBase64Hmac(rawBodyBuffer, providedHmac, secret) {
   if (!secret) {
     return true;
   }
@@ -41,6 +64,17 @@ function verifyShopifyHmac(rawBodyBuffer, providedHmac, secret) {
   return safeCompareBase64(expected, providedHmac);
 }
 
+// Biteship sends the secret configured on its webhook as a plain header
+// value rather than signing the body.
+function verifySharedSecret(providedSecret, secret) {
+  if (!secret) {
+    return true;
+  }
+
+  const provided = String(providedSecret || "").replace(/^Bearer\s+/i, "");
+  return Boolean(provided) && safeCompareBase64(secret, provided);
+}
+
 function buildFlowPayload(body, postalCodeLength) {
   const sellerId =
     body?.seller_id ||
@@ -116,6 +150,144 @@ function buildFlowPayload(body, postalCodeLength) {
   };
 }
 
+function buildSellerRulePayload(body) {
+  const amountFields = ["handlingFeeIdr", "freeThresholdIdr", "flatRateIdr"];
+  const invalidFields = amountFields.filter((field) => {
+    const value = body?.[field];
+    if (value === undefined || value === null || value === "") {
+      return false;
+    }
+
+    const numeric = Number(value);
+    return !Number.isFinite(numeric) || numeric < 0;
+  });
+
+  const sellerId = body?.sellerId || body?.seller_id || "";
+
+  return {
+    payload: {
+      sellerId: sellerId ? String(sellerId) : "",
+      handlingFeeIdr: body?.handlingFeeIdr,
+      freeThresholdIdr: body?.freeThresholdIdr,
+      flatRateIdr: body?.flatRateIdr,
+      note: body?.note || ""
+    },
+    invalidFields
+  };
+}
+
+function buildVariantMappingPayload(body, shopifyVariantId) {
+  const numericFields = ["variantWeight", "lengthCm", "widthCm", "heightCm"];
+  const invalidFields = numericFields.filter((field) => {
+    const value = body?.[field];
+    if (value === undefined || value === null || value === "") {
+      return false;
+    }
+
+    const numeric = Number(value);
+    return !Number.isFinite(numeric) || numeric < 0;
+  });
+
+  const sellerId = body?.sellerId || body?.seller_id || "";
+
+  return {
+    payload: {
+      shopifyVariantId: String(shopifyVariantId || ""),
+      webkulVariantId: body?.webkulVariantId || "",
+      webkulProductId: body?.webkulProductId || "",
+      sellerId: sellerId ? String(sellerId) : "",
+      variantWeight: body?.variantWeight,
+      lengthCm: body?.lengthCm,
+      widthCm: body?.widthCm,
+      heightCm: body?.heightCm,
+      source: "manual",
+      override: true,
+      note: body?.note || ""
+    },
+    invalidFields
+  };
+}
+
+function buildBoxPayload(body) {
+  const dimensionFields = ["lengthCm", "widthCm", "heightCm"];
+  const optionalFields = ["maxWeightGrams", "tareWeightGrams"];
+
+  const invalidFields = [
+    ...dimensionFields.filter((field) => {
+      const numeric = Number(body?.[field]);
+      return !Number.isFinite(numeric) || numeric <= 0;
+    }),
+    ...optionalFields.filter((field) => {
+      const value = body?.[field];
+      if (value === undefined || value === null || value === "") {
+        return false;
+      }
+
+      const numeric = Number(value);
+      return !Number.isFinite(numeric) || numeric < 0;
+    })
+  ];
+
+  const sellerId = body?.sellerId || body?.seller_id || "";
+
+  return {
+    payload: {
+      name: String(body?.name || "").trim(),
+      sellerId: sellerId ? String(sellerId) : "",
+      lengthCm: body?.lengthCm,
+      widthCm: body?.widthCm,
+      heightCm: body?.heightCm,
+      maxWeightGrams: body?.maxWeightGrams,
+      tareWeightGrams: body?.tareWeightGrams
+    },
+    invalidFields
+  };
+}
+
+function buildPricingRulePayload(body) {
+  const amountFields = [
+    "markupPercent",
+    "surchargeIdr",
+    "discountPercent",
+    "discountIdr",
+    "capIdr"
+  ];
+  const dateFields = ["validFrom", "validUntil"];
+
+  const invalidFields = [
+    ...amountFields.filter((field) => {
+      const value = body?.[field];
+      if (value === undefined || value === null || value === "") {
+        return false;
+      }
+
+      const numeric = Number(value);
+      return !Number.isFinite(numeric) || numeric < 0;
+    }),
+    ...dateFields.filter((field) => {
+      const value = body?.[field];
+      return Boolean(value) && Number.isNaN(Date.parse(value));
+    })
+  ];
+
+  return {
+    payload: {
+      id: body?.id || "",
+      courierCode: body?.courierCode || body?.courier_code || "",
+      serviceCode: body?.serviceCode || body?.service_code || "",
+      markupPercent: body?.markupPercent,
+      surchargeIdr: body?.surchargeIdr,
+      discountPercent: body?.discountPercent,
+      discountIdr: body?.discountIdr,
+      capIdr: body?.capIdr,
+      validFrom: body?.validFrom || "",
+      validUntil: body?.validUntil || "",
+      note: body?.note || ""
+    },
+    invalidFields
+  };
+}
+
 function createApp({ config, logger }) {
   const app = express();
   app.disable("x-powered-by");
@@ -139,15 +311,52 @@ function createApp({ config, logger }) {
     maxEntries: config.cache.maxEntries
   });
 
+  const stockCache = new MemoryCache({
+    ttlSeconds: config.cache.stockTtlSeconds,
+    maxEntries: config.cache.maxEntries
+  });
+
   const rateCache = new MemoryCache({
     ttlSeconds: config.cache.rateTtlSeconds,
     maxEntries: config.cache.maxEntries
   });
 
+  const staleRateCache = new MemoryCache({
+    ttlSeconds: config.cache.rateStaleTtlSeconds,
+    maxEntries: config.cache.maxEntries
+  });
+
+  const routeRateCache = new MemoryCache({
+    ttlSeconds: config.cache.routeRateTtlSeconds,
+    maxEntries: config.cache.maxEntries
+  });
+
   const sellerOriginStore = new SellerOriginStore(
     config.store.sellerOriginStorePath,
     logger
   );
+  const variantMappingStore = new VariantMappingStore(
+    config.store.variantMappingStorePath,
+    logger
+  );
+  const sellerSyncRunStore = new SellerSyncRunStore(
+    config.store.sellerSyncRunStorePath,
+    logger,
+    { maxEntries: config.sellerSync.runHistory }
+  );
+  const sellerRuleStore = new SellerRuleStore(
+    config.store.sellerRuleStorePath,
+    logger
+  );
+  const boxCatalogStore = new BoxCatalogStore(
+    config.store.boxCatalogStorePath,
+    logger
+  );
+  const pricingRuleStore = new PricingRuleStore(
+    config.store.pricingRuleStorePath,
+    logger
+  );
+  const rateCardStore = new RateCardStore(config.store.rateCardStorePath, logger);
   const orderSyncStore = new OrderSyncStore(
     config.store.orderSyncStorePath,
     logger
@@ -156,6 +365,12 @@ function createApp({ config, logger }) {
     maxEntries: config.observability.rateLogMaxEntries
   });
 
+  const webhookEventStore = new WebhookEventStore(
+    config.store.webhookEventStorePath,
+    logger,
+    { maxEntries: config.observability.webhookEventMaxEntries }
+  );
+
   const webkulClient = new WebkulClient({
     ...config.webkul,
     postalCodeLength: config.shipping.postalCodeLength,
@@ -172,15 +387,54 @@ function createApp({ config, logger }) {
     logger
   });
 
-  const shippingService = new ShippingService({
+  const sellerIndex = new SellerIndex({
+    filePath: config.store.sellerIndexStorePath,
+    logger,
+    webkulClient,
+    pageSize: config.sellerSync.pageSize,
+    maxPages: config.sellerSync.maxPages,
+    maxAgeMinutes: config.sellerSync.indexMaxAgeMinutes,
+    matchThreshold: config.webkul.sellerMatchThreshold,
+    ambiguityMargin: config.webkul.sellerMatchAmbiguityMargin
+  });
+
+  const marketplaceSource = createMarketplaceSourceChain({
+    names: config.marketplace.sources,
+    logger,
+    webkulClient,
+    shopifyAdminClient,
+    sellerIndex,
+    metafieldNamespace: config.marketplace.sellerMetafieldNamespace,
+    metafieldKey: config.marketplace.sellerMetafieldKey,
+    vendorSellerMap: config.marketplace.vendorSellerMap,
+    mappingFilePath: config.marketplace.mappingFilePath
+  });
+
+  const sellerResolver = new SellerResolver({
     config,
     logger,
     webkulClient,
-    biteshipClient,
+    marketplaceSource,
     variantCache,
     sellerCache,
+    stockCache,
+    sellerOriginStore,
+    variantMappingStore,
+    concurrency: config.webkul.resolveConcurrency
+  });
+
+  const shippingService = new ShippingService({
+    config,
+    logger,
+    biteshipClient,
+    sellerResolver,
     rateCache,
-    sellerOriginStore
+    staleRateCache,
+    routeRateCache,
+    sellerRuleStore,
+    boxCatalogStore,
+    pricingRuleStore,
+    rateCardStore
   });
 
   const orderSyncService = new OrderSyncService({
@@ -189,10 +443,51 @@ function createApp({ config, logger }) {
     webkulClient,
     biteshipClient,
     shopifyAdminClient,
+    sellerResolver,
+    orderSyncStore,
+    boxCatalogStore
+  });
+
+  const sellerCatalogSync = new SellerCatalogSyncService({
+    config,
+    logger,
+    webkulClient,
+    sellerOriginStore,
+    sellerIndex,
+    runStore: sellerSyncRunStore,
+    onOriginChanged(origin) {
+      sellerCache.set(origin.sellerId, origin, config.cache.sellerTtlSeconds);
+      shippingService.invalidateRateCache({ sellerId: origin.sellerId });
+    }
+  });
+  app.locals.sellerCatalogSync = sellerCatalogSync;
+  app.locals.orderSyncService = orderSyncService;
+
+  const shipmentTracking = new ShipmentTrackingService({
+    config,
+    logger,
+    biteshipClient,
+    orderSyncStore,
+    historySize: config.order.trackingHistorySize
+  });
+  app.locals.shipmentTracking = shipmentTracking;
+
+  const biteshipWebhookService = new BiteshipWebhookService({
+    logger,
+    orderSyncStore,
+    webhookEventStore,
+    shipmentTracking
+  });
+
+  const webkulWebhookService = new WebkulWebhookService({
+    logger,
+    sellerResolver,
     variantCache,
     sellerCache,
     sellerOriginStore,
-    orderSyncStore
+    sellerIndex,
+    variantMappingStore,
+    shippingService
   });
 
   function adminAuthorized(req) {
@@ -217,16 +512,23 @@ function createApp({ config, logger }) {
     return token === config.auth.flowWebhookToken;
   }
 
+  // Returns the hint match (null when the payload already had a sellerId)
+  // so callers can show the candidates when nothing was picked.
   async function ensureSellerId(payload) {
     if (payload.sellerId) {
-      return payload;
+      return null;
     }
 
     try {
-      const resolvedSellerId = await webkulClient.resolveSellerIdByHints(payload);
-      if (resolvedSellerId) {
-        payload.sellerId = String(resolvedSellerId);
+      const match = await sellerIndex.match(payload);
+      if (match.sellerId) {
+        payload.sellerId = String(match.sellerId);
+      } else if (match.ambiguous) {
+        logger.warn("Ambiguous seller match from Flow hints", {
+          candidates: match.candidates
+        });
       }
+      return match;
     } catch (error) {
       logger.warn("Failed to resolve seller ID from Flow hints", {
         error: error.message,
@@ -239,7 +541,24 @@ function createApp({ config, logger }) {
       });
     }
 
-    return payload;
+    return null;
+  }
+
+  // Route keys already cover the packed parcels and hold pre-pricing Biteship
+  // rates, so box and pricing changes only evict the whole-cart layers.
+  function invalidateForBox(box) {
+    shippingService.invalidateRateCache(
+      box?.sellerId ? { sellerId: box.sellerId } : { all: true },
+      { includeRoutes: false }
+    );
+  }
+
+  function invalidateForPricingRule(rule) {
+    const courierCode = rule?.courierCode || "*";
+    shippingService.invalidateRateCache(
+      courierCode === "*" ? { all: true } : { courierCode },
+      { includeRoutes: false }
+    );
   }
 
   function normalizedLimit(input, fallback = 20, max = 200) {
@@ -261,10 +580,19 @@ function createApp({ config, logger }) {
       cache: {
         variant: variantCache.size(),
         seller: sellerCache.size(),
-        rate: rateCache.size()
+        stock: stockCache.size(),
+        rate: rateCache.size(),
+        staleRate: staleRateCache.size(),
+        routeRate: routeRateCache.size()
       },
       stores: {
         sellerOrigins: sellerOriginStore.all().length,
+        variantMappings: variantMappingStore.all().length,
+        sellerIndex: sellerIndex.status().size,
+        sellerRules: sellerRuleStore.all().length,
+        boxes: boxCatalogStore.all().length,
+        pricingRules: pricingRuleStore.all().length,
+        rateCard: rateCardStore.size(),
         orderSync: orderSyncStore.size(),
         rateLogs: rateLogStore.size()
       },
@@ -276,7 +604,7 @@ function createApp({ config, logger }) {
 
   app.post("/webhooks/shopify/carrier-service", async (req, res) => {
     const providedHmac = req.get("x-shopify-hmac-sha256");
-    const verified = verifyShopifyHmac(
+    const verified = verifyBase64Hmac(
       req.rawBody || Buffer.from(""),
       providedHmac,
       config.shopify.apiSecret
@@ -304,6 +632,9 @@ function createApp({ config, logger }) {
         sellerGroups: result?.debug?.sellerGroups || [],
         skippedItems: result?.debug?.skippedItems || [],
         rates: result?.rates || [],
+        rateBreakdown: result?.debug?.rateBreakdown || [],
+        fallback: result?.debug?.fallback || null,
+        phaseTimings: result?.debug?.phaseTimings || null,
         request: {
           destination: rateRequest?.destination || {},
           currency: rateRequest?.currency || config.shipping.currency,
@@ -311,6 +642,13 @@ function createApp({ config, logger }) {
         }
       });
 
+      if (result?.debug?.fallback) {
+        logger.warn("Carrier-service callback answered from fallback", {
+          quoteId,
+          fallback: result.debug.fallback
+        });
+      }
+
       logger.info("Carrier-service callback processed", {
         tookMs: Date.now() - start,
         rateCount: result.rates.length,
@@ -348,11 +686,12 @@ function createApp({ config, logger }) {
     }
 
     const payload = buildFlowPayload(req.body || {}, config.shipping.postalCodeLength);
-    await ensureSellerId(payload);
+    const sellerMatch = await ensureSellerId(payload);
 
     if (!payload.sellerId || !payload.postalCode) {
       return res.status(422).json({
         error: "sellerId and postalCode are required",
+        sellerMatch,
         acceptedFields: {
           sellerId: [
             "seller_id",
@@ -378,6 +717,7 @@ function createApp({ config, logger }) {
 
     sellerOriginStore.upsert(payload);
     sellerCache.set(payload.sellerId, payload, config.cache.sellerTtlSeconds);
+    shippingService.invalidateRateCache({ sellerId: payload.sellerId });
 
     return res.status(200).json({
       ok: true,
@@ -385,6 +725,122 @@ function createApp({ config, logger }) {
     });
   });
 
+  app.post("/webhooks/webkul", async (req, res) => {
+    const verified = verifyBase64Hmac(
+      req.rawBody || Buffer.from(""),
+      req.get("x-webkul-hmac-sha256"),
+      config.webkul.webhookSecret
+    );
+
+    if (!verified) {
+      logger.warn("Rejected Webkul webhook due to invalid HMAC");
+      return res.status(401).json({ error: "invalid_hmac" });
+    }
+
+    const topic =
+      req.get("x-webkul-topic") || req.body?.topic || req.body?.event || "";
+
+    try {
+      const result = await runInBackgroundLane(() =>
+        webkulWebhookService.handle(topic, req.body || {})
+      );
+      const event = webhookEventStore.append({
+        source: "webkul",
+        topic,
+        ...result
+      });
+
+      logger.info("Processed Webkul webhook", {
+        eventId: event.id,
+        topic,
+        status: result.status,
+        changeCount: result.changes.length
+      });
+
+      return res.status(200).json({
+        ok: true,
+        eventId: event.id,
+        status: result.status
+      });
+    } catch (error) {
+      const event = webhookEventStore.append({
+        source: "webkul",
+        topic,
+        status: "failed",
+        error: error.message,
+        changes: []
+      });
+
+      logger.error("Failed to process Webkul webhook", {
+        eventId: event.id,
+        topic,
+        error: error.message
+      });
+
+      return res.status(500).json({ error: error.message, eventId: event.id });
+    }
+  });
+
+  app.post("/webhooks/biteship/order-status", async (req, res) => {
+    const verified = verifySharedSecret(
+      req.get("x-biteship-webhook-secret") || req.get("authorization") || req.query.token,
+      config.biteship.webhookSecret
+    );
+
+    if (!verified) {
+      logger.warn("Rejected Biteship webhook due to invalid secret");
+      return res.status(401).json({ error: "invalid_secret" });
+    }
+
+    // Biteship pings the URL with an empty body when the webhook is saved.
+    if (!req.body || Object.keys(req.body).length === 0) {
+      return res.status(200).json({ ok: true });
+    }
+
+    const body = req.body;
+
+    try {
+      const result = await biteshipWebhookService.handle(body);
+      const event = webhookEventStore.append({
+        source: "biteship",
+        topic: result.event,
+        ...result,
+        payload: result.needsReview ? body : undefined
+      });
+
+      logger.info("Processed Biteship webhook", {
+        eventId: event.id,
+        event: result.event,
+        status: result.status,
+        biteshipOrderId: result.biteshipOrderId,
+        shopifyOrderId: result.shopifyOrderId || ""
+      });
+
+      return res.status(200).json({
+        ok: true,
+        eventId: event.id,
+        status: result.status
+      });
+    } catch (error) {
+      const event = webhookEventStore.append({
+        source: "biteship",
+        topic: String(body.event || ""),
+        status: "failed",
+        error: error.message,
+        needsReview: true,
+        payload: body,
+        changes: []
+      });
+
+      logger.error("Failed to process Biteship webhook", {
+        eventId: event.id,
+        error: error.message
+      });
+
+      return res.status(500).json({ error: error.message, eventId: event.id });
+    }
+  });
+
   app.post("/webhooks/shopify/flow/create-biteship-order", async (req, res) => {
     if (!flowAuthorized(req)) {
       return res.status(401).json({ error: "unauthorized" });
@@ -436,54 +892,89 @@ function createApp({ config, logger }) {
       return res.status(401).json({ error: "unauthorized" });
     }
 
+    const issue = String(req.query.issue || "");
+    const origins = sellerOriginStore.all();
+    return res.json({
+      data: issue
+        ? origins.filter((origin) => (origin.issues || []).includes(issue))
+        : origins
+    });
+  });
+
+  app.get("/admin/seller-sync", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const limit = normalizedLimit(req.query.limit, 10, 50);
     return res.json({
-      data: sellerOriginStore.all()
+      status: sellerCatalogSync.status(),
+      data: sellerSyncRunStore.list(limit)
     });
   });
 
+  app.get("/admin/seller-sync/runs/:runId", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const run = sellerSyncRunStore.get(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: "seller_sync_run_not_found" });
+    }
+
+    return res.json({ data: run });
+  });
+
+  app.post("/admin/seller-sync", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const { started, run } = sellerCatalogSync.start({ trigger: "admin_api" });
+    if (!started) {
+      return res.status(409).json({
+        error: "seller_sync_already_running",
+        data: run
+      });
+    }
+
+    return res.status(202).json({ ok: true, data: run });
+  });
+
   app.post("/admin/seller-origins", async (req, res) => {
     if (!adminAuthorized(req)) {
       return res.status(401).json({ error: "unauthorized" });
     }
 
     const payload = buildFlowPayload(req.body || {}, config.shipping.postalCodeLength);
-    await ensureSellerId(payload);
+    const sellerMatch = await ensureSellerId(payload);
 
     if (!payload.sellerId || !payload.postalCode) {
       return res.status(422).json({
-        error: "sellerId and postalCode are required"
+        error: "sellerId and postalCode are required",
+        sellerMatch
       });
     }
 
     payload.source = "admin_api";
     sellerOriginStore.upsert(payload);
     sellerCache.set(payload.sellerId, payload, config.cache.sellerTtlSeconds);
+    shippingService.invalidateRateCache({ sellerId: payload.sellerId });
 
     return res.json({ ok: true, data: payload });
   });
 
-  app.post("/debug/quote", async (req, res) => {
+  app.post("/admin/seller-match", async (req, res) => {
     if (!adminAuthorized(req)) {
       return res.status(401).json({ error: "unauthorized" });
     }
 
-    try {
-      const rateRequest = req.body?.rate || req.body;
-      const result = await shippingService.calculate(rateRequest);
-
-      rateLogStore.append({
-        id: result?.debug?.quoteId || `quote_debug_${Date.now()}`,
-        source: "debug_quote",
-        destinationPostalCode: result?.debug?.destinationPostalCode || "",
-        destinationLatitude: result?.debug?.destinationLatitude || null,
-        destinationLongitude: result?.debug?.destinationLongitude || null,
-        sellerGroups: result?.debug?.sellerGroups || [],
-        skippedItems: result?.debug?.skippedItems || [],
-        rates: result?.rates || [],
-        request: rateRequest
-      });
+    const hints = buildFlowPayload(req.body || {}, config.shipping.postalCodeLength);
 
-      return res.json(result);
+    try {
+      const match = await sellerIndex.match(hints);
+      return res.json({ data: match });
     } catch (error) {
       return res.status(500).json({
         error: error.message,
@@ -492,80 +983,595 @@ function createApp({ config, logger }) {
     }
   });
 
-  app.get("/debug/cache", (req, res) => {
+  app.get("/admin/seller-index", (req, res) => {
     if (!adminAuthorized(req)) {
       return res.status(401).json({ error: "unauthorized" });
     }
 
-    return res.json({
-      cache: {
-        variant: variantCache.size(),
-        seller: sellerCache.size(),
-        rate: rateCache.size()
-      }
-    });
+    return res.json({ data: sellerIndex.status() });
   });
 
-  app.get("/admin/dashboard", (req, res) => {
-    return res.sendFile(dashboardPath);
+  app.post("/admin/seller-index/rebuild", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    runInBackgroundLane(() => sellerIndex.rebuild()).catch((error) => {
+      logger.error("Seller index rebuild failed", { error: error.message });
+    });
+
+    return res.status(202).json({ ok: true, data: sellerIndex.status() });
   });
 
-  app.get("/admin/rate-logs", (req, res) => {
+  app.get("/admin/webkul-token/refreshes", (req, res) => {
     if (!adminAuthorized(req)) {
       return res.status(401).json({ error: "unauthorized" });
     }
 
     const limit = normalizedLimit(req.query.limit, 20, 200);
     return res.json({
-      data: rateLogStore.list(limit)
+      status: webkulClient.tokenStore.status(),
+      data: webkulClient.tokenStore.refreshHistory({
+        failedOnly: truthy(req.query.failed),
+        limit
+      })
     });
   });
 
-  app.get("/admin/rate-logs/:logId", (req, res) => {
+  app.get("/admin/seller-availability", (req, res) => {
     if (!adminAuthorized(req)) {
       return res.status(401).json({ error: "unauthorized" });
     }
 
-    const entry = rateLogStore.get(req.params.logId);
-    if (!entry) {
-      return res.status(404).json({ error: "rate_log_not_found" });
-    }
+    const onlyClosed = truthy(req.query.closed);
+    const rows = sellerOriginStore.all().map((origin) => ({
+      sellerId: origin.sellerId,
+      storeName: origin.storeName || "",
+      webkulStatus: origin.webkulStatus || "",
+      availability: origin.availability || null,
+      effective: resolveAvailability(origin),
+      pickupSchedule: origin.pickupSchedule || null
+    }));
 
-    return res.json({ data: entry });
+    return res.json({
+      data: onlyClosed ? rows.filter((row) => !row.effective.available) : rows
+    });
   });
 
-  app.get("/admin/orders/pending", async (req, res) => {
+  app.post("/admin/seller-origins/:sellerId/availability", (req, res) => {
     if (!adminAuthorized(req)) {
       return res.status(401).json({ error: "unauthorized" });
     }
 
-    if (!config.order.enabled) {
-      return res.status(403).json({ error: "order_feature_disabled" });
+    const { availability, invalidFields } = normalizeAvailability(req.body || {});
+    if (invalidFields.length > 0) {
+      return res.status(422).json({
+        error: "status must be active, vacation or suspended and closures need valid from/until dates",
+        invalidFields
+      });
     }
 
-    try {
-      const limit = normalizedLimit(
-        req.query.limit,
-        config.order.maxDashboardOrders,
-        100
-      );
-      const data = await orderSyncService.listPendingOrders({ limit });
-      return res.json({ ok: true, data });
-    } catch (error) {
-      return res.status(500).json({
-        error: error.message,
-        details: error.details || null
-      });
+    const origin = sellerOriginStore.setAvailability(req.params.sellerId, availability);
+    if (!origin) {
+      return res.status(404).json({ error: "seller_origin_not_found" });
     }
+
+    shippingService.invalidateRateCache({ sellerId: origin.sellerId }, { includeRoutes: false });
+
+    return res.json({
+      ok: true,
+      data: { ...origin, effective: resolveAvailability(origin) }
+    });
   });
 
-  app.get("/admin/orders/:orderId/plan", async (req, res) => {
+  app.post("/admin/seller-origins/:sellerId/pickup-schedule", (req, res) => {
     if (!adminAuthorized(req)) {
       return res.status(401).json({ error: "unauthorized" });
     }
 
-    if (!config.order.enabled) {
-      return res.status(403).json({ error: "order_feature_disabled" });
+    const { pickupSchedule, invalidFields } = normalizePickupSchedule(req.body || {}, {
+      days: config.order.pickupDays,
+      cutoffTime: config.order.pickupCutoffTime,
+      timezone: config.order.pickupTimezone
+    });
+    if (invalidFields.length > 0) {
+      return res.status(422).json({
+        error: "days must be weekday names, times must be HH:mm (pickupTime not before cutoffTime) and timezone must be valid",
+        invalidFields
+      });
+    }
+
+    const origin = sellerOriginStore.setPickupSchedule(req.params.sellerId, pickupSchedule);
+    if (!origin) {
+      return res.status(404).json({ error: "seller_origin_not_found" });
+    }
+
+    return res.json({
+      ok: true,
+      data: { ...origin, nextPickup: nextPickupSlot(pickupSchedule) }
+    });
+  });
+
+  app.delete("/admin/seller-origins/:sellerId/pickup-schedule", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const origin = sellerOriginStore.setPickupSchedule(req.params.sellerId, null);
+    if (!origin) {
+      return res.status(404).json({ error: "seller_origin_not_found" });
+    }
+
+    return res.json({ ok: true, data: origin });
+  });
+
+  app.get("/admin/variant-mappings/failed", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    return res.json({
+      data: variantMappingStore.failed()
+    });
+  });
+
+  app.get("/admin/variant-mappings/:variantId", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const mapping = variantMappingStore.get(req.params.variantId);
+    if (!mapping) {
+      return res.status(404).json({ error: "variant_mapping_not_found" });
+    }
+
+    return res.json({ data: mapping });
+  });
+
+  app.post("/admin/variant-mappings/:variantId", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const { payload, invalidFields } = buildVariantMappingPayload(
+      req.body || {},
+      req.params.variantId
+    );
+
+    if (!payload.sellerId) {
+      return res.status(422).json({ error: "sellerId is required" });
+    }
+
+    if (invalidFields.length > 0) {
+      return res.status(422).json({
+        error: "Weight and dimension fields must be non-negative numbers",
+        invalidFields
+      });
+    }
+
+    const previous = variantMappingStore.get(payload.shopifyVariantId);
+    const mapping = variantMappingStore.upsert(payload);
+    variantCache.delete(mapping.shopifyVariantId);
+
+    for (const sellerId of new Set([previous?.sellerId, mapping.sellerId])) {
+      if (sellerId) {
+        shippingService.invalidateRateCache({ sellerId }, { includeRoutes: false });
+      }
+    }
+
+    return res.json({ ok: true, data: mapping });
+  });
+
+  app.delete("/admin/variant-mappings/:variantId", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const previous = variantMappingStore.get(req.params.variantId);
+    const removed = variantMappingStore.remove(req.params.variantId);
+    if (!removed) {
+      return res.status(404).json({ error: "variant_mapping_not_found" });
+    }
+
+    variantCache.delete(String(req.params.variantId));
+    if (previous?.sellerId) {
+      shippingService.invalidateRateCache(
+        { sellerId: previous.sellerId },
+        { includeRoutes: false }
+      );
+    }
+
+    return res.json({ ok: true });
+  });
+
+  app.get("/admin/seller-rules", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    return res.json({
+      data: sellerRuleStore.all()
+    });
+  });
+
+  app.get("/admin/seller-rules/:sellerId", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const rule = sellerRuleStore.get(req.params.sellerId);
+    if (!rule) {
+      return res.status(404).json({ error: "seller_rule_not_found" });
+    }
+
+    return res.json({ data: rule });
+  });
+
+  app.post("/admin/seller-rules", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const { payload, invalidFields } = buildSellerRulePayload(req.body || {});
+
+    if (!payload.sellerId) {
+      return res.status(422).json({ error: "sellerId is required" });
+    }
+
+    if (invalidFields.length > 0) {
+      return res.status(422).json({
+        error: "Amount fields must be non-negative numbers",
+        invalidFields
+      });
+    }
+
+    const rule = sellerRuleStore.upsert(payload);
+    shippingService.invalidateRateCache(
+      { sellerId: rule.sellerId },
+      { includeRoutes: false }
+    );
+    return res.json({ ok: true, data: rule });
+  });
+
+  app.delete("/admin/seller-rules/:sellerId", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const removed = sellerRuleStore.remove(req.params.sellerId);
+    if (!removed) {
+      return res.status(404).json({ error: "seller_rule_not_found" });
+    }
+
+    shippingService.invalidateRateCache(
+      { sellerId: req.params.sellerId },
+      { includeRoutes: false }
+    );
+
+    return res.json({ ok: true });
+  });
+
+  app.get("/admin/boxes", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const sellerId = req.query.seller_id || req.query.sellerId || "";
+    return res.json({
+      data: sellerId ? boxCatalogStore.forSeller(sellerId) : boxCatalogStore.all()
+    });
+  });
+
+  app.post("/admin/boxes", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const { payload, invalidFields } = buildBoxPayload(req.body || {});
+
+    if (!payload.name) {
+      return res.status(422).json({ error: "name is required" });
+    }
+
+    if (invalidFields.length > 0) {
+      return res.status(422).json({
+        error: "Box dimensions must be positive numbers and weights non-negative",
+        invalidFields
+      });
+    }
+
+    const box = boxCatalogStore.upsert(payload);
+    invalidateForBox(box);
+    return res.json({ ok: true, data: box });
+  });
+
+  app.delete("/admin/boxes/:boxId", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const box = boxCatalogStore.get(req.params.boxId);
+    const removed = boxCatalogStore.remove(req.params.boxId);
+    if (!removed) {
+      return res.status(404).json({ error: "box_not_found" });
+    }
+
+    invalidateForBox(box);
+
+    return res.json({ ok: true });
+  });
+
+  app.get("/admin/pricing-rules", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    return res.json({
+      data: pricingRuleStore.all()
+    });
+  });
+
+  app.post("/admin/pricing-rules", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const { payload, invalidFields } = buildPricingRulePayload(req.body || {});
+
+    if (!payload.courierCode) {
+      return res.status(422).json({
+        error: "courierCode is required (use * for all couriers)"
+      });
+    }
+
+    // Rules match per courier+service, per courier or for all couriers; a
+    // service under the courier wildcard would never be applied.
+    if (
+      String(payload.courierCode).trim() === "*" &&
+      !["", "*"].includes(String(payload.serviceCode).trim())
+    ) {
+      return res.status(422).json({
+        error: "serviceCode needs a specific courierCode (use * for both to match all)"
+      });
+    }
+
+    if (invalidFields.length > 0) {
+      return res.status(422).json({
+        error: "Amount fields must be non-negative numbers and dates valid",
+        invalidFields
+      });
+    }
+
+    const rule = pricingRuleStore.upsert(payload);
+    invalidateForPricingRule(rule);
+    return res.json({ ok: true, data: rule });
+  });
+
+  app.delete("/admin/pricing-rules/:ruleId", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const rule = pricingRuleStore.get(req.params.ruleId);
+    const removed = pricingRuleStore.remove(req.params.ruleId);
+    if (!removed) {
+      return res.status(404).json({ error: "pricing_rule_not_found" });
+    }
+
+    invalidateForPricingRule(rule);
+
+    return res.json({ ok: true });
+  });
+
+  app.post("/admin/rate-cache/purge", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const body = req.body || {};
+    const target = {
+      sellerId: String(body.sellerId || body.seller_id || "").trim(),
+      destinationPostalCode: String(
+        body.destinationPostalCode || body.postal_code || body.postalCode || ""
+      ).trim(),
+      all: body.all === true || body.all === "true"
+    };
+
+    if (!target.all && !target.sellerId && !target.destinationPostalCode) {
+      return res.status(422).json({
+        error: "Provide sellerId, destinationPostalCode or all: true"
+      });
+    }
+
+    const evicted = shippingService.invalidateRateCache(target);
+    return res.json({ ok: true, data: { ...target, evicted } });
+  });
+
+  app.get("/admin/rate-card", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    return res.json({
+      data: rateCardStore.all()
+    });
+  });
+
+  app.post(
+    "/admin/rate-card/import",
+    express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }),
+    (req, res) => {
+      if (!adminAuthorized(req)) {
+        return res.status(401).json({ error: "unauthorized" });
+      }
+
+      const csvText = typeof req.body === "string" ? req.body : req.body?.csv || "";
+      if (!csvText.trim()) {
+        return res.status(422).json({
+          error: "CSV body is required (text/csv or JSON { csv })"
+        });
+      }
+
+      try {
+        const result = rateCardStore.importCsv(csvText, {
+          mode: req.query.mode || req.body?.mode
+        });
+
+        logger.info("Offline rate card imported", result);
+        return res.json({ ok: true, data: result });
+      } catch (error) {
+        return res.status(error.details?.rejected ? 400 : 422).json({
+          error: error.message,
+          details: error.details || null
+        });
+      }
+    }
+  );
+
+  app.post("/debug/quote", async (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    try {
+      const rateRequest = req.body?.rate || req.body;
+      const result = await shippingService.calculate(rateRequest);
+
+      rateLogStore.append({
+        id: result?.debug?.quoteId || `quote_debug_${Date.now()}`,
+        source: "debug_quote",
+        destinationPostalCode: result?.debug?.destinationPostalCode || "",
+        destinationLatitude: result?.debug?.destinationLatitude || null,
+        destinationLongitude: result?.debug?.destinationLongitude || null,
+        sellerGroups: result?.debug?.sellerGroups || [],
+        skippedItems: result?.debug?.skippedItems || [],
+        rates: result?.rates || [],
+        rateBreakdown: result?.debug?.rateBreakdown || [],
+        fallback: result?.debug?.fallback || null,
+        phaseTimings: result?.debug?.phaseTimings || null,
+        request: rateRequest
+      });
+
+      return res.json(result);
+    } catch (error) {
+      return res.status(500).json({
+        error: error.message,
+        details: error.details || null
+      });
+    }
+  });
+
+  app.get("/debug/cache", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    return res.json({
+      cache: {
+        variant: variantCache.size(),
+        seller: sellerCache.size(),
+        stock: stockCache.size(),
+        rate: rateCache.size(),
+        staleRate: staleRateCache.size(),
+        routeRate: routeRateCache.size()
+      },
+      rateLayers: {
+        cart: rateCache.stats(),
+        route: routeRateCache.stats()
+      },
+      resolver: sellerResolver.stats(),
+      marketplaceSources: marketplaceSource.names(),
+      webkulLimiter: webkulClient.limiterStats()
+    });
+  });
+
+  app.get("/admin/dashboard", (req, res) => {
+    return res.sendFile(dashboardPath);
+  });
+
+  app.get("/admin/webhook-events", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const limit = normalizedLimit(req.query.limit, 20, 200);
+    return res.json({
+      data: webhookEventStore.list(limit, {
+        source: req.query.source || "",
+        needsReview: truthy(req.query.review)
+      })
+    });
+  });
+
+  app.get("/admin/webhook-events/:eventId", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const event = webhookEventStore.get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: "webhook_event_not_found" });
+    }
+
+    return res.json({ data: event });
+  });
+
+  app.get("/admin/rate-logs", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const limit = normalizedLimit(req.query.limit, 20, 200);
+    return res.json({
+      data: rateLogStore.list(limit)
+    });
+  });
+
+  app.get("/admin/rate-logs/:logId", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const entry = rateLogStore.get(req.params.logId);
+    if (!entry) {
+      return res.status(404).json({ error: "rate_log_not_found" });
+    }
+
+    return res.json({ data: entry });
+  });
+
+  app.get("/admin/orders/pending", async (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    if (!config.order.enabled) {
+      return res.status(403).json({ error: "order_feature_disabled" });
+    }
+
+    try {
+      const limit = normalizedLimit(
+        req.query.limit,
+        config.order.maxDashboardOrders,
+        100
+      );
+      const data = await orderSyncService.listPendingOrders({ limit });
+      return res.json({ ok: true, data });
+    } catch (error) {
+      return res.status(500).json({
+        error: error.message,
+        details: error.details || null
+      });
+    }
+  });
+
+  app.get("/admin/orders/:orderId/plan", async (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    if (!config.order.enabled) {
+      return res.status(403).json({ error: "order_feature_disabled" });
     }
 
     try {
@@ -592,6 +1598,20 @@ function createApp({ config, logger }) {
       return res.status(403).json({ error: "order_feature_disabled" });
     }
 
+    let pickupSlot = null;
+    if (req.body?.pickupSlot) {
+      const normalized = normalizePickupSlot(req.body.pickupSlot, {
+        timezone: config.order.pickupTimezone
+      });
+      if (normalized.invalidFields.length > 0) {
+        return res.status(422).json({
+          error: "pickupSlot needs a future date (YYYY-MM-DD) and time (HH:mm)",
+          invalidFields: normalized.invalidFields
+        });
+      }
+      pickupSlot = normalized.slot;
+    }
+
     try {
       const result = await orderSyncService.createBiteshipOrdersFromOrder(
         req.params.orderId,
@@ -601,6 +1621,8 @@ function createApp({ config, logger }) {
           force: req.body?.force,
           courierCompany: req.body?.courierCompany,
           courierType: req.body?.courierType,
+          recreateCancelled: true,
+          pickupSlot,
           source: "admin_api"
         }
       );
@@ -618,6 +1640,51 @@ function createApp({ config, logger }) {
     }
   });
 
+  app.post("/admin/orders/:orderId/cancel-biteship", async (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    if (!config.order.enabled) {
+      return res.status(403).json({ error: "order_feature_disabled" });
+    }
+
+    const reason = String(req.body?.reason || "").trim();
+    if (!reason) {
+      return res.status(422).json({ error: "missing_reason" });
+    }
+
+    const parcelIndex =
+      req.body?.parcelIndex === undefined || req.body?.parcelIndex === ""
+        ? undefined
+        : Number.parseInt(req.body.parcelIndex, 10);
+    if (parcelIndex !== undefined && !(parcelIndex >= 0)) {
+      return res.status(422).json({ error: "invalid_parcel_index" });
+    }
+
+    try {
+      const result = await orderSyncService.cancelBiteshipShipments(req.params.orderId, {
+        sellerId: req.body?.sellerId ? String(req.body.sellerId) : "",
+        parcelIndex,
+        reason
+      });
+      if (!result) {
+        return res.status(404).json({ error: "order_sync_not_found" });
+      }
+
+      if (result.results.length === 0) {
+        return res.status(409).json({ error: "no_cancellable_shipments" });
+      }
+
+      return res.json(result);
+    } catch (error) {
+      return res.status(500).json({
+        error: error.message,
+        details: error.details || null
+      });
+    }
+  });
+
   app.get("/admin/order-sync", (req, res) => {
     if (!adminAuthorized(req)) {
       return res.status(401).json({ error: "unauthorized" });
@@ -642,9 +1709,45 @@ function createApp({ config, logger }) {
     return res.json({ data: record });
   });
 
+  app.post("/admin/order-sync/:orderId/tracking/sync", async (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    try {
+      const result = await shipmentTracking.syncOrder(req.params.orderId);
+      if (!result) {
+        return res.status(404).json({ error: "order_sync_not_found" });
+      }
+
+      return res.json({
+        ok: result.failed === 0,
+        data: result,
+        record: orderSyncStore.get(req.params.orderId)
+      });
+    } catch (error) {
+      return res.status(500).json({
+        error: error.message,
+        details: error.details || null
+      });
+    }
+  });
+
+  app.post("/admin/tracking/sync", (req, res) => {
+    if (!adminAuthorized(req)) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    shipmentTracking.runPoll().catch((error) => {
+      logger.error("Biteship tracking sync failed", { error: error.message });
+    });
+
+    return res.status(202).json({ ok: true });
+  });
+
   app.post("/webhooks/shopify/orders/paid", async (req, res) => {
     const providedHmac = req.get("x-shopify-hmac-sha256");
-    const verified = verifyShopifyHmac(
+    const verified = verifyBase64Hmac(
       req.rawBody || Buffer.from(""),
       providedHmac,
       config.shopify.apiSecret
@@ -52,6 +52,51 @@ function listFromEnv(name, fallback) {
     .filter(Boolean);
 }
 
+function numberMapFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (!value) {
+    return fallback;
+  }
+
+  const entries = {};
+  for (const pair of value.split(",")) {
+    const [rawKey, rawValue] = pair.split(":").map((entry) => entry.trim());
+    if (!rawKey) {
+      continue;
+    }
+
+    const parsed = Number.parseFloat(rawValue);
+    if (Number.isNaN(parsed)) {
+      throw new Error(`Invalid number for ${name} entry ${rawKey}: ${rawValue}`);
+    }
+
+    entries[rawKey.toLowerCase()] = parsed;
+  }
+
+  return entries;
+}
+
+function stringMapFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (!value) {
+    return fallback;
+  }
+
+  const entries = {};
+  for (const pair of value.split(",")) {
+    const separator = pair.lastIndexOf(":");
+    const rawKey = separator >= 0 ? pair.slice(0, separator).trim() : "";
+    const rawValue = separator >= 0 ? pair.slice(separator + 1).trim() : "";
+    if (!rawKey || !rawValue) {
+      throw new Error(`Invalid entry for ${name}: ${pair.trim()}`);
+    }
+
+    entries[rawKey] = rawValue;
+  }
+
+  return entries;
+}
+
 function resolveRuntimePath(inputPath, fallback) {
   const resolved = inputPath || fallback;
   const absolutePath = path.isAbsolute(resolved)
@@ -92,9 +137,29 @@ const config = {
     timeoutMs: intFromEnv("WEBKUL_TIMEOUT_MS", 10000),
     maxRetries: intFromEnv("WEBKUL_MAX_RETRIES", 4),
     retryDelayMs: intFromEnv("WEBKUL_RETRY_DELAY_MS", 400),
+    rateLimitPerSecond: numberFromEnv("WEBKUL_RATE_LIMIT_PER_SECOND", 10),
+    rateLimitBurst: intFromEnv("WEBKUL_RATE_LIMIT_BURST", 20),
+    resolveConcurrency: intFromEnv("WEBKUL_RESOLVE_CONCURRENCY", 5),
+    sellerMatchThreshold: numberFromEnv("WEBKUL_SELLER_MATCH_THRESHOLD", 0.85),
+    sellerMatchAmbiguityMargin: numberFromEnv("WEBKUL_SELLER_MATCH_AMBIGUITY_MARGIN", 5),
+    webhookSecret: process.env.WEBKUL_WEBHOOK_SECRET || "",
     tokenStorePath: resolveRuntimePath(
       process.env.WEBKUL_TOKEN_STORE_PATH,
       "./data/runtime/webkul-tokens.json"
+    ),
+    tokenEncryptionKey: process.env.WEBKUL_TOKEN_ENCRYPTION_KEY || "",
+    tokenEncryptionKeyFile: process.env.WEBKUL_TOKEN_ENCRYPTION_KEY_FILE || "",
+    tokenPreviousEncryptionKeys: listFromEnv("WEBKUL_TOKEN_PREVIOUS_ENCRYPTION_KEYS", []),
+    tokenHistorySize: intFromEnv("WEBKUL_TOKEN_HISTORY_SIZE", 50)
+  },
+  marketplace: {
+    sources: listFromEnv("MARKETPLACE_SOURCES", ["webkul"]),
+    sellerMetafieldNamespace: process.env.MARKETPLACE_SELLER_METAFIELD_NAMESPACE || "",
+    sellerMetafieldKey: process.env.MARKETPLACE_SELLER_METAFIELD_KEY || "",
+    vendorSellerMap: stringMapFromEnv("MARKETPLACE_VENDOR_SELLER_MAP", {}),
+    mappingFilePath: resolveRuntimePath(
+      process.env.MARKETPLACE_MAPPING_FILE_PATH,
+      "./data/runtime/variant-seller-mapping.csv"
     )
   },
   biteship: {
@@ -103,7 +168,8 @@ const config = {
     couriers: listFromEnv("BITESHIP_COURIERS", ["jne", "sicepat", "jnt"]),
     timeoutMs: intFromEnv("BITESHIP_TIMEOUT_MS", 10000),
     maxRetries: intFromEnv("BITESHIP_MAX_RETRIES", 3),
-    retryDelayMs: intFromEnv("BITESHIP_RETRY_DELAY_MS", 300)
+    retryDelayMs: intFromEnv("BITESHIP_RETRY_DELAY_MS", 300),
+    webhookSecret: process.env.BITESHIP_WEBHOOK_SECRET || ""
   },
   shipping: {
     currency: process.env.SHIPPING_CURRENCY || "IDR",
@@ -113,13 +179,27 @@ const config = {
     handlingFeeIdr: numberFromEnv("SHIPPING_HANDLING_FEE_IDR", 0),
     freeThresholdIdr: numberFromEnv("SHIPPING_FREE_THRESHOLD_IDR", 0),
     defaultItemWeightGrams: intFromEnv("SHIPPING_DEFAULT_ITEM_WEIGHT_GRAMS", 1000),
+    volumetricDivisor: numberFromEnv("SHIPPING_VOLUMETRIC_DIVISOR", 5000),
+    volumetricDivisors: numberMapFromEnv("SHIPPING_VOLUMETRIC_DIVISORS", {}),
     defaultOriginPostalCode: process.env.DEFAULT_ORIGIN_POSTAL_CODE || "",
+    originSelection: process.env.SHIPPING_ORIGIN_SELECTION || "nearest",
+    maxOriginCandidates: intFromEnv("SHIPPING_MAX_ORIGIN_CANDIDATES", 3),
+    closedSellerMode: process.env.SHIPPING_CLOSED_SELLER_MODE || "refuse",
+    inventoryRouting: boolFromEnv("SHIPPING_INVENTORY_ROUTING", true),
+    offlineFallbackEnabled: boolFromEnv("SHIPPING_OFFLINE_FALLBACK_ENABLED", true),
+    callbackBudgetMs: intFromEnv("SHIPPING_CALLBACK_BUDGET_MS", 8000),
+    upstreamTimeoutMs: intFromEnv("SHIPPING_UPSTREAM_TIMEOUT_MS", 4000),
     postalCodeLength: intFromEnv("POSTAL_CODE_LENGTH", 5)
   },
   cache: {
     variantTtlSeconds: intFromEnv("VARIANT_CACHE_TTL_SECONDS", 43200),
     sellerTtlSeconds: intFromEnv("SELLER_CACHE_TTL_SECONDS", 43200),
+    variantRefreshAheadSeconds: intFromEnv("VARIANT_MAPPING_REFRESH_AHEAD_SECONDS", 3600),
     rateTtlSeconds: intFromEnv("RATE_CACHE_TTL_SECONDS", 840),
+    rateStaleTtlSeconds: intFromEnv("RATE_CACHE_STALE_TTL_SECONDS", 86400),
+    routeRateTtlSeconds: intFromEnv("ROUTE_RATE_CACHE_TTL_SECONDS", 840),
+    originChoiceTtlSeconds: intFromEnv("ORIGIN_CHOICE_TTL_SECONDS", 86400),
+    stockTtlSeconds: intFromEnv("STOCK_CACHE_TTL_SECONDS", 300),
     maxEntries: intFromEnv("RATE_CACHE_MAX_ENTRIES", 3000)
   },
   order: {
@@ -131,10 +211,26 @@ const config = {
       false
     ),
     maxDashboardOrders: intFromEnv("DASHBOARD_MAX_ORDERS", 25),
-    defaultDeliveryType: process.env.BITESHIP_ORDER_DELIVERY_TYPE || "now"
+    defaultDeliveryType: process.env.BITESHIP_ORDER_DELIVERY_TYPE || "now",
+    pickupDays: listFromEnv("BITESHIP_PICKUP_DAYS", ["mon", "tue", "wed", "thu", "fri", "sat"]),
+    pickupCutoffTime: process.env.BITESHIP_PICKUP_CUTOFF_TIME || "14:00",
+    pickupTimezone: process.env.BITESHIP_PICKUP_TIMEZONE || "Asia/Jakarta",
+    closedSellerAction: process.env.ORDER_CLOSED_SELLER_ACTION || "defer",
+    deferredRetryIntervalMinutes: intFromEnv("ORDER_DEFERRED_RETRY_INTERVAL_MINUTES", 60),
+    trackingPollIntervalMinutes: intFromEnv("BITESHIP_TRACKING_POLL_INTERVAL_MINUTES", 30),
+    trackingPollBatchSize: intFromEnv("BITESHIP_TRACKING_POLL_BATCH_SIZE", 50),
+    trackingHistorySize: intFromEnv("BITESHIP_TRACKING_HISTORY_SIZE", 50)
+  },
+  sellerSync: {
+    intervalMinutes: intFromEnv("SELLER_SYNC_INTERVAL_MINUTES", 720),
+    pageSize: intFromEnv("SELLER_SYNC_PAGE_SIZE", 250),
+    maxPages: intFromEnv("SELLER_SYNC_MAX_PAGES", 200),
+    runHistory: intFromEnv("SELLER_SYNC_RUN_HISTORY", 50),
+    indexMaxAgeMinutes: intFromEnv("SELLER_INDEX_MAX_AGE_MINUTES", 1440)
   },
   observability: {
-    rateLogMaxEntries: intFromEnv("RATE_LOG_MAX_ENTRIES", 500)
+    rateLogMaxEntries: intFromEnv("RATE_LOG_MAX_ENTRIES", 500),
+    webhookEventMaxEntries: intFromEnv("WEBHOOK_EVENT_MAX_ENTRIES", 500)
   },
   startup: {
     autoRegisterCarrierService: boolFromEnv(
@@ -155,6 +251,38 @@ const config = {
       process.env.SELLER_ORIGIN_STORE_PATH,
       "./data/runtime/seller-origins.json"
     ),
+    variantMappingStorePath: resolveRuntimePath(
+      process.env.VARIANT_MAPPING_STORE_PATH,
+      "./data/runtime/variant-mappings.json"
+    ),
+    sellerSyncRunStorePath: resolveRuntimePath(
+      process.env.SELLER_SYNC_RUN_STORE_PATH,
+      "./data/runtime/seller-sync-runs.json"
+    ),
+    sellerIndexStorePath: resolveRuntimePath(
+      process.env.SELLER_INDEX_STORE_PATH,
+      "./data/runtime/seller-index.json"
+    ),
+    sellerRuleStorePath: resolveRuntimePath(
+      process.env.SELLER_RULE_STORE_PATH,
+      "./data/runtime/seller-rules.json"
+    ),
+    boxCatalogStorePath: resolveRuntimePath(
+      process.env.BOX_CATALOG_STORE_PATH,
+      "./data/runtime/box-catalog.json"
+    ),
+    pricingRuleStorePath: resolveRuntimePath(
+      process.env.PRICING_RULE_STORE_PATH,
+      "./data/runtime/pricing-rules.json"
+    ),
+    rateCardStorePath: resolveRuntimePath(
+      process.env.RATE_CARD_STORE_PATH,
+      "./data/runtime/rate-card.json"
+    ),
+    webhookEventStorePath: resolveRuntimePath(
+      process.env.WEBHOOK_EVENT_STORE_PATH,
+      "./data/runtime/webhook-events.json"
+    ),
     orderSyncStorePath: resolveRuntimePath(
       process.env.ORDER_SYNC_STORE_PATH,
       "./data/runtime/order-sync.json"
@@ -33,6 +33,24 @@ async function bootstrap() {
 
   const app = createApp({ config, logger });
 
+  if (app.locals.sellerCatalogSync.schedule()) {
+    logger.info("Seller catalog sync scheduled", {
+      intervalMinutes: config.sellerSync.intervalMinutes
+    });
+  }
+
+  if (config.order.enabled && app.locals.orderSyncService.scheduleDeferredRetry()) {
+    logger.info("Deferred order retry scheduled", {
+      intervalMinutes: config.order.deferredRetryIntervalMinutes
+    });
+  }
+
+  if (config.order.enabled && app.locals.shipmentTracking.schedule()) {
+    logger.info("Biteship tracking poll scheduled", {
+      intervalMinutes: config.order.trackingPollIntervalMinutes
+    });
+  }
+
   app.listen(config.port, () => {
     logger.info("Carrier service server started", {
       port: config.port,
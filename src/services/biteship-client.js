@@ -24,6 +24,23 @@ function parseRetryAfterMs(value) {
   return null;
 }
 
+// Errors where the request was never sent; everything else without a
+// response (timeouts, dropped connections) may have reached Biteship.
+const UNSENT_ERROR_CODES = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"]);
+
+function defaultRetryable(status) {
+  return status === 429 || status === 408 || status >= 500;
+}
+
+function isAmbiguousFailure(details) {
+  const status = details?.status;
+  if (status === undefined || status === null) {
+    return !UNSENT_ERROR_CODES.has(details?.code);
+  }
+
+  return status === 408 || status >= 500;
+}
+
 class BiteshipClient {
   constructor(options) {
     this.apiKey = options.apiKey;
@@ -48,7 +65,10 @@ class BiteshipClient {
     });
   }
 
-  async _requestWithRetry({ method, url, data, retryLabel }, attempt = 0) {
+  async _requestWithRetry(
+    { method, url, data, retryLabel, retryable = defaultRetryable },
+    attempt = 0
+  ) {
     try {
       const response = await this.http.request({
         method,
@@ -61,10 +81,7 @@ class BiteshipClient {
       const responseData = error.response?.data;
       const retryAfterHeader = error.response?.headers?.["retry-after"];
 
-      if (
-        (status === 429 || status === 408 || status >= 500) &&
-        attempt < this.maxRetries
-      ) {
+      if (retryable(status) && attempt < this.maxRetries) {
         const retryAfterMs =
           parseRetryAfterMs(retryAfterHeader) ||
           this.retryDelayMs * 2 ** attempt;
@@ -77,13 +94,14 @@ class BiteshipClient {
 
         await sleep(retryAfterMs);
         return this._requestWithRetry(
-          { method, url, data, retryLabel },
+          { method, url, data, retryLabel, retryable },
           attempt + 1
         );
       }
 
       this.logger.error(`Biteship ${retryLabel} request failed`, {
         status,
+        code: error.code,
         responseData,
         payload: data
       });
@@ -91,6 +109,7 @@ class BiteshipClient {
       const wrappedError = new Error(`Biteship ${retryLabel} request failed`);
       wrappedError.details = {
         status,
+        code: error.code,
         responseData,
         payload: data
       };
@@ -226,15 +245,112 @@ class BiteshipClient {
       .filter((rate) => rate.price > 0);
   }
 
-  async createOrder(payload) {
-    const data = await this._requestWithRetry({
+  async getOrder(biteshipOrderId) {
+    return this._requestWithRetry({
+      method: "GET",
+      url: `/v1/orders/${encodeURIComponent(biteshipOrderId)}`,
+      retryLabel: "order-get"
+    });
+  }
+
+  async getTracking(trackingId) {
+    return this._requestWithRetry({
+      method: "GET",
+      url: `/v1/trackings/${encodeURIComponent(trackingId)}`,
+      retryLabel: "tracking"
+    });
+  }
+
+  async cancelOrder(biteshipOrderId, { reason, reasonCode = "others" } = {}) {
+    return this._requestWithRetry({
       method: "POST",
-      url: "/v1/orders",
-      data: payload,
-      retryLabel: "order-create"
+      url: `/v1/orders/${encodeURIComponent(biteshipOrderId)}/cancel`,
+      data: {
+        cancellation_reason_code: reasonCode,
+        cancellation_reason: reason
+      },
+      retryLabel: "order-cancel"
     });
+  }
+
+  async findOrderByReference(referenceId) {
+    const data = await this._requestWithRetry({
+      method: "GET",
+      url: `/v1/orders?reference_id=${encodeURIComponent(referenceId)}`,
+      retryLabel: "order-lookup"
+    });
+
+    const orders = Array.isArray(data.orders)
+      ? data.orders
+      : Array.isArray(data.data)
+        ? data.data
+        : [];
+
+    return orders.find((order) => String(order?.reference_id || "") === referenceId) || null;
+  }
 
-    return data;
+  // A create that times out or gets a 5xx may still have gone through, so
+  // it is never retried blindly: with a reference_id the order is looked up
+  // first and only created again when Biteship does not have it. Responses
+  // that went through this path carry an `idempotency` summary.
+  async createOrder(payload) {
+    const referenceId = String(payload?.reference_id || "");
+    let ambiguousAttempts = 0;
+
+    for (;;) {
+      try {
+        const data = await this._requestWithRetry({
+          method: "POST",
+          url: "/v1/orders",
+          data: payload,
+          retryLabel: "order-create",
+          retryable: (status) => status === 429 || (!referenceId && defaultRetryable(status))
+        });
+
+        return ambiguousAttempts > 0
+          ? { ...data, idempotency: { referenceId, ambiguousAttempts, recovered: false } }
+          : data;
+      } catch (error) {
+        if (!referenceId || !isAmbiguousFailure(error.details)) {
+          throw error;
+        }
+
+        ambiguousAttempts += 1;
+        error.details.ambiguous = true;
+        error.details.referenceId = referenceId;
+        error.details.ambiguousAttempts = ambiguousAttempts;
+
+        let existing = null;
+        try {
+          existing = await this.findOrderByReference(referenceId);
+        } catch (lookupError) {
+          error.details.lookupError = lookupError.message;
+          throw error;
+        }
+
+        if (existing) {
+          this.logger.warn("Biteship order found by reference after ambiguous create", {
+            referenceId,
+            biteshipOrderId: existing.id || "",
+            ambiguousAttempts
+          });
+          return { ...existing, idempotency: { referenceId, ambiguousAttempts, recovered: true } };
+        }
+
+        if (ambiguousAttempts > this.maxRetries) {
+          throw error;
+        }
+
+        const retryAfterMs = this.retryDelayMs * 2 ** (ambiguousAttempts - 1);
+        this.logger.warn("Retrying Biteship order-create request after lookup", {
+          referenceId,
+          status: error.details.status,
+          attempt: ambiguousAttempts,
+          retryAfterMs
+        });
+        await sleep(retryAfterMs);
+      }
+    }
   }
 }
 
@@ -0,0 +1,132 @@
+const { stableStringify, sha256Hex } = require("../utils/hash");
+
+const EVENTS = ["order.status", "order.waybill_id"];
+
+function pickId(...values) {
+  const value = values.find((entry) => entry !== undefined && entry !== null && entry !== "");
+  return value === undefined ? "" : String(value);
+}
+
+// Applies Biteship order status and waybill events to the matching shipment
+// in the order sync store. Events that cannot be applied are returned with
+// needsReview so the caller keeps the raw payload in the webhook event log.
+class BiteshipWebhookService {
+  constructor(options) {
+    this.logger = options.logger;
+    this.orderSyncStore = options.orderSyncStore;
+    this.webhookEventStore = options.webhookEventStore;
+    this.shipmentTracking = options.shipmentTracking;
+  }
+
+  dedupeKey(body) {
+    return sha256Hex(stableStringify(body || {}));
+  }
+
+  // metadata.shopify_order_id + seller_id (+ parcel_index) is what we send
+  // on create; the Biteship order ID is the fallback for events that come
+  // back without metadata.
+  _findShipment(body) {
+    const metadata = body?.metadata || {};
+    const biteshipOrderId = pickId(body?.order_id, body?.id);
+    const shopifyOrderId = pickId(metadata.shopify_order_id);
+    const sellerId = pickId(metadata.seller_id);
+    const parcelIndex = Number.parseInt(metadata.parcel_index, 10) || 0;
+
+    const records = shopifyOrderId
+      ? [this.orderSyncStore.get(shopifyOrderId)].filter(Boolean)
+      : this.orderSyncStore.all();
+
+    for (const record of records) {
+      const shipments = record.shipments || [];
+      let index = biteshipOrderId
+        ? shipments.findIndex((shipment) => shipment.biteshipOrderId === biteshipOrderId)
+        : -1;
+
+      if (index === -1 && shopifyOrderId && sellerId) {
+        index = shipments.findIndex(
+          (shipment) =>
+            String(shipment.sellerId) === sellerId &&
+            (shipment.parcelIndex || 0) === parcelIndex &&
+            shipment.status === "created"
+        );
+      }
+
+      if (index !== -1) {
+        return { record, index };
+      }
+    }
+
+    return null;
+  }
+
+  async handle(body) {
+    const event = String(body?.event || "").trim().toLowerCase();
+    const dedupeKey = this.dedupeKey(body);
+    const base = {
+      event,
+      dedupeKey,
+      biteshipOrderId: pickId(body?.order_id, body?.id),
+      changes: []
+    };
+
+    if (!EVENTS.includes(event)) {
+      return { ...base, status: "ignored", reason: "unsupported_event", needsReview: true };
+    }
+
+    const duplicate = this.webhookEventStore.find(
+      (entry) =>
+        entry.source === "biteship" && entry.dedupeKey === dedupeKey && entry.status === "processed"
+    );
+    if (duplicate) {
+      return { ...base, status: "duplicate", duplicateOf: duplicate.id };
+    }
+
+    const match = this._findShipment(body);
+    if (!match) {
+      return { ...base, status: "unmatched", reason: "shipment_not_found", needsReview: true };
+    }
+
+    const shipments = (match.record.shipments || []).map((shipment) => ({ ...shipment }));
+    const shipment = shipments[match.index];
+    const outcome = this.shipmentTracking.applyUpdates(
+      shipment,
+      event === "order.status" ? [{ status: body.status, at: body.updated_at }] : [],
+      {
+        source: "webhook",
+        waybillId: pickId(body.courier_waybill_id),
+        trackingId: pickId(body.courier_tracking_id)
+      }
+    );
+
+    if (outcome.changed) {
+      this.orderSyncStore.saveRecord({
+        orderId: match.record.orderId,
+        shipments,
+        ...this.shipmentTracking.summarize({ ...match.record, shipments })
+      });
+    }
+
+    return {
+      ...base,
+      status: "processed",
+      shopifyOrderId: match.record.orderId,
+      sellerId: String(shipment.sellerId),
+      parcelIndex: shipment.parcelIndex || 0,
+      changes: outcome.changed
+        ? [
+            {
+              type: "shipment_tracking",
+              courierStatus: shipment.courierStatus || "",
+              trackingStatus: shipment.trackingStatus || "",
+              waybillId: shipment.waybillId || "",
+              addedStatuses: outcome.added.map((entry) => entry.status)
+            }
+          ]
+        : []
+    };
+  }
+}
+
+module.exports = {
+  BiteshipWebhookService
+};
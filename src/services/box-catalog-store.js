@@ -0,0 +1,118 @@
+const fs = require("node:fs");
+
+function toPositiveNumber(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : 0;
+}
+
+function toBoxId(sellerId, name) {
+  const slug = String(name || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  return `${sellerId ? String(sellerId) : "global"}:${slug}`;
+}
+
+class BoxCatalogStore {
+  constructor(filePath, logger) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.data = {};
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        this.data = {};
+        return;
+      }
+
+      const raw = fs.readFileSync(this.filePath, "utf8");
+      const parsed = JSON.parse(raw);
+      this.data = parsed && typeof parsed === "object" ? parsed : {};
+    } catch (error) {
+      this.logger.warn("Failed to load box catalog store, using empty store", {
+        filePath: this.filePath,
+        error: error.message
+      });
+      this.data = {};
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2), "utf8");
+    } catch (error) {
+      this.logger.error("Failed to persist box catalog store", {
+        filePath: this.filePath,
+        error: error.message
+      });
+    }
+  }
+
+  upsert(box) {
+    if (!box || !box.name) {
+      return null;
+    }
+
+    const sellerId = box.sellerId ? String(box.sellerId) : "";
+    const id = toBoxId(sellerId, box.name);
+    const nextValue = {
+      id,
+      name: String(box.name).trim(),
+      sellerId,
+      lengthCm: toPositiveNumber(box.lengthCm),
+      widthCm: toPositiveNumber(box.widthCm),
+      heightCm: toPositiveNumber(box.heightCm),
+      maxWeightGrams: toPositiveNumber(box.maxWeightGrams),
+      tareWeightGrams: toPositiveNumber(box.tareWeightGrams),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.data[id] = nextValue;
+    this.save();
+    return nextValue;
+  }
+
+  get(boxId) {
+    if (!boxId) {
+      return null;
+    }
+
+    return this.data[String(boxId)] || null;
+  }
+
+  remove(boxId) {
+    const key = String(boxId || "");
+    if (!key || !this.data[key]) {
+      return false;
+    }
+
+    delete this.data[key];
+    this.save();
+    return true;
+  }
+
+  forSeller(sellerId) {
+    const sellerKey = String(sellerId || "");
+    const boxes = this.all();
+    const sellerBoxes = boxes.filter((box) => sellerKey && box.sellerId === sellerKey);
+
+    if (sellerBoxes.length > 0) {
+      return sellerBoxes;
+    }
+
+    return boxes.filter((box) => !box.sellerId);
+  }
+
+  all() {
+    return Object.values(this.data);
+  }
+}
+
+module.exports = {
+  BoxCatalogStore
+};
@@ -0,0 +1,368 @@
+const fs = require("node:fs");
+const { parseCsv } = require("../utils/csv");
+const { compactName } = require("../utils/seller-matching");
+const { runInBackgroundLane } = require("./token-bucket-limiter");
+
+// A marketplace source maps a Shopify variant to a seller and, optionally, a
+// seller to its origin. Every method resolves to null when the source does
+// not know the variant or seller, which lets the chain try the next source.
+//
+//   name: string
+//   resolveVariant(shopifyVariantId) -> mapping | null
+//   resolveSellerOrigin(sellerId)    -> origin | null
+//   getVariantLocationStock(mapping) -> { locationId: quantity } | null
+
+function toNumber(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : 0;
+}
+
+function isNotFound(error) {
+  const status = error?.details?.status;
+  return status === 404 || status === 422;
+}
+
+class WebkulMarketplaceSource {
+  constructor(options) {
+    this.name = "webkul";
+    this.webkulClient = options.webkulClient;
+  }
+
+  async resolveVariant(shopifyVariantId) {
+    try {
+      return await this.webkulClient.resolveVariantToSeller(shopifyVariantId);
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Webkul seller IDs are numeric; IDs minted by other sources never are.
+  async resolveSellerOrigin(sellerId) {
+    if (!/^\d+$/.test(String(sellerId))) {
+      return null;
+    }
+
+    return this.webkulClient.resolveSellerOrigin(sellerId);
+  }
+
+  async getVariantLocationStock(mapping) {
+    if (!mapping?.webkulProductId || !mapping?.webkulVariantId) {
+      return null;
+    }
+
+    return this.webkulClient.getVariantLocationStock(
+      mapping.webkulProductId,
+      mapping.webkulVariantId
+    );
+  }
+}
+
+// Derives the seller from the Shopify product: a product metafield holding
+// the seller ID wins, then the product vendor, looked up in the configured
+// vendor map and, failing that, against seller store names in the index.
+class ShopifyProductMarketplaceSource {
+  constructor(options) {
+    this.name = "shopify_product";
+    this.shopifyAdminClient = options.shopifyAdminClient;
+    this.sellerIndex = options.sellerIndex || null;
+    this.logger = options.logger;
+    this.metafieldNamespace = options.metafieldNamespace || "";
+    this.metafieldKey = options.metafieldKey || "";
+    this.vendorSellerMap = new Map(
+      Object.entries(options.vendorSellerMap || {}).map(([vendor, sellerId]) => [
+        compactName(vendor),
+        String(sellerId)
+      ])
+    );
+  }
+
+  async _sellerFromMetafield(productId) {
+    if (!this.metafieldNamespace || !this.metafieldKey) {
+      return "";
+    }
+
+    const metafield = await this.shopifyAdminClient.getProductMetafield(
+      productId,
+      this.metafieldNamespace,
+      this.metafieldKey
+    );
+    return String(metafield?.value ?? "").trim();
+  }
+
+  async _sellerFromVendor(vendor) {
+    const key = compactName(vendor);
+    if (!key) {
+      return "";
+    }
+
+    if (this.vendorSellerMap.has(key)) {
+      return this.vendorSellerMap.get(key);
+    }
+
+    if (!this.sellerIndex) {
+      return "";
+    }
+
+    // A rebuild pages through every Webkul seller, which does not fit in a
+    // rating callback; an unbuilt or stale index is refreshed in the
+    // background and this lookup uses whatever the index holds now.
+    if (this.sellerIndex.isStale()) {
+      this._rebuildIndexInBackground();
+    }
+
+    return this.sellerIndex.resolveSellerId({ storeName: vendor }, { rebuild: false });
+  }
+
+  _rebuildIndexInBackground() {
+    runInBackgroundLane(() => this.sellerIndex.rebuild()).catch((error) => {
+      this.logger.warn("Background seller index rebuild failed", {
+        error: error.message
+      });
+    });
+  }
+
+  async resolveVariant(shopifyVariantId) {
+    if (!this.shopifyAdminClient.isConfigured()) {
+      return null;
+    }
+
+    let variant;
+    try {
+      variant = await this.shopifyAdminClient.getVariant(shopifyVariantId);
+    } catch (error) {
+      // Unknown to Shopify lets later sources try; outages still stop the chain.
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+
+    const productId = String(variant.product_id || "");
+    if (!productId) {
+      return null;
+    }
+
+    let sellerId = await this._sellerFromMetafield(productId);
+    let source = "shopify_metafield";
+
+    if (!sellerId) {
+      const product = await this.shopifyAdminClient.getProduct(productId, {
+        fields: "id,vendor"
+      });
+      sellerId = await this._sellerFromVendor(product.vendor);
+      source = "shopify_vendor";
+    }
+
+    if (!sellerId) {
+      return null;
+    }
+
+    return {
+      shopifyVariantId: String(shopifyVariantId),
+      shopifyProductId: productId,
+      webkulVariantId: "",
+      webkulProductId: "",
+      sellerId,
+      variantWeight: toNumber(variant.grams),
+      lengthCm: 0,
+      widthCm: 0,
+      heightCm: 0,
+      source
+    };
+  }
+
+  // Origins for these sellers come from the seller origin store (Flow or
+  // admin upserts), which the resolver reads before asking any source.
+  async resolveSellerOrigin() {
+    return null;
+  }
+
+  async getVariantLocationStock() {
+    return null;
+  }
+}
+
+const FILE_REQUIRED_COLUMNS = ["shopify_variant_id", "seller_id"];
+
+// Static CSV mapping (shopify_variant_id, seller_id and optional
+// weight_grams, length_cm, width_cm, height_cm). The file is re-read when
+// its modification time changes, so edits apply without a restart.
+class FileMarketplaceSource {
+  constructor(options) {
+    this.name = "file";
+    this.filePath = options.filePath;
+    this.logger = options.logger;
+    this.mappings = new Map();
+    this.loadedMtimeMs = 0;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!this.filePath || !fs.existsSync(this.filePath)) {
+        this.mappings.clear();
+        this.loadedMtimeMs = 0;
+        return;
+      }
+
+      const { mtimeMs } = fs.statSync(this.filePath);
+      const { header, rows } = parseCsv(fs.readFileSync(this.filePath, "utf8"));
+      const missingColumns = FILE_REQUIRED_COLUMNS.filter((column) => !header.includes(column));
+      if (missingColumns.length > 0) {
+        throw new Error(`Mapping CSV is missing columns: ${missingColumns.join(", ")}`);
+      }
+
+      this.mappings.clear();
+      for (const { values } of rows) {
+        const shopifyVariantId = String(values.shopify_variant_id || "").trim();
+        const sellerId = String(values.seller_id || "").trim();
+        if (!shopifyVariantId || !sellerId) {
+          continue;
+        }
+
+        this.mappings.set(shopifyVariantId, {
+          shopifyVariantId,
+          webkulVariantId: "",
+          webkulProductId: "",
+          sellerId,
+          variantWeight: toNumber(values.weight_grams),
+          lengthCm: toNumber(values.length_cm),
+          widthCm: toNumber(values.width_cm),
+          heightCm: toNumber(values.height_cm),
+          source: "file"
+        });
+      }
+      this.loadedMtimeMs = mtimeMs;
+    } catch (error) {
+      this.logger.warn("Failed to load marketplace mapping file, using empty mapping", {
+        filePath: this.filePath,
+        error: error.message
+      });
+      this.mappings.clear();
+      this.loadedMtimeMs = 0;
+    }
+  }
+
+  _reloadIfChanged() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      if (this.mappings.size > 0) {
+        this.load();
+      }
+      return;
+    }
+
+    if (fs.statSync(this.filePath).mtimeMs !== this.loadedMtimeMs) {
+      this.load();
+    }
+  }
+
+  async resolveVariant(shopifyVariantId) {
+    this._reloadIfChanged();
+    const mapping = this.mappings.get(String(shopifyVariantId));
+    return mapping ? { ...mapping } : null;
+  }
+
+  async resolveSellerOrigin() {
+    return null;
+  }
+
+  async getVariantLocationStock() {
+    return null;
+  }
+
+  size() {
+    return this.mappings.size;
+  }
+}
+
+// Tries each source in order and takes the first answer. A source that
+// fails (as opposed to not knowing the variant) stops the chain, so an
+// outage never silently re-routes a product to another source's seller.
+class MarketplaceSourceChain {
+  constructor(options) {
+    this.sources = options.sources || [];
+  }
+
+  names() {
+    return this.sources.map((source) => source.name);
+  }
+
+  async _first(method, ...args) {
+    for (const source of this.sources) {
+      const result = await source[method](...args);
+      if (result) {
+        return result;
+      }
+    }
+    return null;
+  }
+
+  async resolveVariantToSeller(shopifyVariantId) {
+    const mapping = await this._first("resolveVariant", shopifyVariantId);
+    if (!mapping?.sellerId) {
+      throw new Error(
+        `No marketplace source (${this.names().join(", ")}) maps shopify variant id ${shopifyVariantId}`
+      );
+    }
+
+    return mapping;
+  }
+
+  async resolveSellerOrigin(sellerId) {
+    const origin = await this._first("resolveSellerOrigin", sellerId);
+    if (!origin) {
+      throw new Error(
+        `No marketplace source (${this.names().join(", ")}) has an origin for seller ${sellerId}`
+      );
+    }
+
+    return origin;
+  }
+
+  getVariantLocationStock(mapping) {
+    return this._first("getVariantLocationStock", mapping);
+  }
+}
+
+function createMarketplaceSourceChain(options) {
+  const factories = {
+    webkul: () => new WebkulMarketplaceSource({ webkulClient: options.webkulClient }),
+    shopify_product: () =>
+      new ShopifyProductMarketplaceSource({
+        shopifyAdminClient: options.shopifyAdminClient,
+        sellerIndex: options.sellerIndex,
+        logger: options.logger,
+        metafieldNamespace: options.metafieldNamespace,
+        metafieldKey: options.metafieldKey,
+        vendorSellerMap: options.vendorSellerMap
+      }),
+    file: () =>
+      new FileMarketplaceSource({
+        filePath: options.mappingFilePath,
+        logger: options.logger
+      })
+  };
+
+  const sources = (options.names || ["webkul"]).map((name) => {
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown marketplace source "${name}", expected one of: ${Object.keys(factories).join(", ")}`
+      );
+    }
+    return factory();
+  });
+
+  return new MarketplaceSourceChain({ sources });
+}
+
+module.exports = {
+  WebkulMarketplaceSource,
+  ShopifyProductMarketplaceSource,
+  FileMarketplaceSource,
+  MarketplaceSourceChain,
+  createMarketplaceSourceChain
+};
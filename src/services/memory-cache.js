@@ -7,16 +7,41 @@ class MemoryCache {
       ? options.maxEntries
       : 1000;
     this.map = new Map();
+    this.tagIndex = new Map();
+    this.hits = 0;
+    this.misses = 0;
   }
 
   _isExpired(entry) {
     return entry.expiresAt <= Date.now();
   }
 
+  _removeEntry(key) {
+    const entry = this.map.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    this.map.delete(key);
+    for (const tag of entry.tags) {
+      const keys = this.tagIndex.get(tag);
+      if (!keys) {
+        continue;
+      }
+
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.tagIndex.delete(tag);
+      }
+    }
+
+    return true;
+  }
+
   _evictIfNeeded() {
     while (this.map.size > this.maxEntries) {
       const firstKey = this.map.keys().next().value;
-      this.map.delete(firstKey);
+      this._removeEntry(firstKey);
     }
   }
 
@@ -28,36 +53,77 @@ class MemoryCache {
   get(key) {
     const entry = this.map.get(key);
     if (!entry) {
+      this.misses += 1;
       return null;
     }
 
     if (this._isExpired(entry)) {
-      this.map.delete(key);
+      this._removeEntry(key);
+      this.misses += 1;
       return null;
     }
 
     this._touch(key, entry);
+    this.hits += 1;
     return entry.value;
   }
 
-  set(key, value, ttlSeconds) {
+  // Tags let callers evict every entry derived from e.g. one seller without
+  // knowing the keys, which are opaque hashes.
+  set(key, value, ttlSeconds, tags = []) {
     const ttl = Number.isInteger(ttlSeconds) ? ttlSeconds : this.ttlSeconds;
     const expiresAt = Date.now() + ttl * 1000;
-    this.map.set(key, { value, expiresAt });
+    const entryTags = [...new Set(tags.map((tag) => String(tag)))];
+
+    this._removeEntry(key);
+    this.map.set(key, { value, expiresAt, tags: entryTags });
+
+    for (const tag of entryTags) {
+      if (!this.tagIndex.has(tag)) {
+        this.tagIndex.set(tag, new Set());
+      }
+      this.tagIndex.get(tag).add(key);
+    }
+
     this._evictIfNeeded();
   }
 
   delete(key) {
-    this.map.delete(key);
+    this._removeEntry(key);
+  }
+
+  deleteByTag(tag) {
+    const keys = this.tagIndex.get(String(tag));
+    if (!keys) {
+      return 0;
+    }
+
+    let removed = 0;
+    for (const key of [...keys]) {
+      if (this._removeEntry(key)) {
+        removed += 1;
+      }
+    }
+
+    return removed;
   }
 
   clear() {
     this.map.clear();
+    this.tagIndex.clear();
   }
 
   size() {
     return this.map.size;
   }
+
+  stats() {
+    return {
+      size: this.map.size,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
 }
 
 module.exports = {
@@ -1,4 +1,34 @@
 const { normalizePostalCode, truthy } = require("../utils/location");
+const {
+  resolveVolumetricDivisor,
+  toChargeableItems,
+  describeItemWeights,
+  planVolumetricBatches
+} = require("../utils/weight");
+const {
+  packItems,
+  toParcelItem,
+  combineParcelRates
+} = require("../utils/packing");
+const {
+  originCandidates,
+  rankOriginsByProximity,
+  withOriginLocation,
+  totalStock,
+  filterCandidatesByStock
+} = require("../utils/origin-selection");
+const { phaseRank } = require("../utils/shipment-status");
+const { nextPickupSlot } = require("../utils/pickup-schedule");
+const { runInBackgroundLane } = require("./token-bucket-limiter");
+
+const CANCELLATION_FIELDS = [
+  "status",
+  "cancelReason",
+  "cancelledAt",
+  "cancelError",
+  "shopifyFulfillmentStatus",
+  "shopifyFulfillmentCancelError"
+];
 
 function toFiniteNumber(value) {
   const numeric = Number(value);
@@ -42,6 +72,13 @@ function stripEmpty(value) {
   return value;
 }
 
+// Same Shopify order, seller, parcel and attempt always give the same
+// reference, so a create that is retried after an unclear failure can be
+// matched to the Biteship order it may already have produced.
+function buildReferenceId({ orderId, sellerId, parcelIndex, attempt }) {
+  return `shopify-${orderId}-${sellerId}-${parcelIndex || 0}-${attempt}`;
+}
+
 class OrderSyncService {
   constructor(options) {
     this.config = options.config;
@@ -49,10 +86,10 @@ class OrderSyncService {
     this.webkulClient = options.webkulClient;
     this.biteshipClient = options.biteshipClient;
     this.shopifyAdminClient = options.shopifyAdminClient;
-    this.variantCache = options.variantCache;
-    this.sellerCache = options.sellerCache;
-    this.sellerOriginStore = options.sellerOriginStore;
+    this.sellerResolver = options.sellerResolver;
     this.orderSyncStore = options.orderSyncStore;
+    this.boxCatalogStore = options.boxCatalogStore;
+    this.deferredRetryTimer = null;
   }
 
   _normalizeVariantId(item) {
@@ -158,66 +195,6 @@ class OrderSyncService {
     };
   }
 
-  async _getVariantMapping(shopifyVariantId) {
-    const cacheKey = String(shopifyVariantId);
-    const cached = this.variantCache.get(cacheKey);
-    if (cached) {
-      return cached;
-    }
-
-    const resolved = await this.webkulClient.resolveVariantToSeller(shopifyVariantId);
-    this.variantCache.set(cacheKey, resolved, this.config.cache.variantTtlSeconds);
-    return resolved;
-  }
-
-  async _getSellerOrigin(sellerId) {
-    const sellerKey = String(sellerId);
-
-    const persisted = this.sellerOriginStore.get(sellerKey);
-    if (persisted?.postalCode) {
-      return persisted;
-    }
-
-    const cached = this.sellerCache.get(sellerKey);
-    if (cached?.postalCode) {
-      return cached;
-    }
-
-    try {
-      const resolved = await this.webkulClient.resolveSellerOrigin(sellerKey);
-      this.sellerCache.set(sellerKey, resolved, this.config.cache.sellerTtlSeconds);
-      this.sellerOriginStore.upsert(resolved);
-      return resolved;
-    } catch (error) {
-      const fallbackPostalCode = normalizePostalCode(
-        this.config.shipping.defaultOriginPostalCode,
-        { length: this.config.shipping.postalCodeLength }
-      );
-
-      if (fallbackPostalCode) {
-        const fallback = {
-          sellerId: sellerKey,
-          postalCode: fallbackPostalCode,
-          city: "",
-          state: "",
-          country: "ID",
-          address1: "",
-          source: "default_origin"
-        };
-
-        this.logger.warn("Using default origin postal code for order sync", {
-          sellerId: sellerKey,
-          fallbackPostalCode,
-          error: error.message
-        });
-
-        return fallback;
-      }
-
-      throw error;
-    }
-  }
-
   async _resolveSellerIdentity(sellerId, origin) {
     const fallbackName = origin?.storeName || `Seller ${sellerId}`;
     const fallbackPhone = origin?.contact || "";
@@ -329,17 +306,66 @@ class OrderSyncService {
     };
   }
 
+  _packGroup(group) {
+    const boxes = this.boxCatalogStore
+      ? this.boxCatalogStore.forSeller(group.sellerId)
+      : [];
+    const parcels = packItems(group.items, boxes);
+
+    if (parcels.length === 0) {
+      return [
+        {
+          index: 0,
+          boxName: "",
+          items: group.items,
+          lineItems: group.lineItems
+        }
+      ];
+    }
+
+    return parcels.map((parcel) => ({
+      index: parcel.index,
+      boxName: parcel.box?.name || "",
+      items: [toParcelItem(parcel)],
+      lineItems: parcel.contents.map((content) => ({
+        ...group.lineItems[content.sourceIndex],
+        quantity: content.quantity
+      }))
+    }));
+  }
+
+  async _quoteParcelRates({ group, parcel, destination }) {
+    const batches = planVolumetricBatches(
+      parcel.items,
+      this.config.biteship.couriers,
+      this.config.shipping
+    );
+
+    const batchRates = await Promise.all(
+      batches.map((batch) =>
+        this.biteshipClient.getRates({
+          originPostalCode: group.origin?.postalCode || "",
+          destinationPostalCode: destination.postalCode,
+          originLatitude: toFiniteNumber(group.origin?.latitude),
+          originLongitude: toFiniteNumber(group.origin?.longitude),
+          destinationLatitude: toFiniteNumber(destination.latitude),
+          destinationLongitude: toFiniteNumber(destination.longitude),
+          items: batch.items,
+          couriers: batch.couriers.join(",")
+        })
+      )
+    );
+
+    return batchRates.flat();
+  }
+
   async _resolveCheapestCourier({ group, destination }) {
-    const rates = await this.biteshipClient.getRates({
-      originPostalCode: group.origin?.postalCode || "",
-      destinationPostalCode: destination.postalCode,
-      originLatitude: toFiniteNumber(group.origin?.latitude),
-      originLongitude: toFiniteNumber(group.origin?.longitude),
-      destinationLatitude: toFiniteNumber(destination.latitude),
-      destinationLongitude: toFiniteNumber(destination.longitude),
-      items: group.items,
-      couriers: this.config.biteship.couriers.join(",")
-    });
+    const parcelRates = await Promise.all(
+      group.parcels.map((parcel) =>
+        this._quoteParcelRates({ group, parcel, destination })
+      )
+    );
+    const rates = combineParcelRates(parcelRates);
 
     const sorted = rates.slice().sort((a, b) => a.price - b.price);
     const cheapest = sorted[0] || null;
@@ -358,6 +384,39 @@ class OrderSyncService {
     };
   }
 
+  // Ships from the warehouse rating quoted for this seller and destination;
+  // without that (e.g. after a restart) falls back to the nearest one. Only
+  // warehouses holding the group's stock are eligible, quoted or not.
+  _selectOriginLocation(group, destination) {
+    const demand = [...(group.stockDemand?.values() || [])];
+    const stockRouting = filterCandidatesByStock(originCandidates(group.origin), demand);
+    const ranked = rankOriginsByProximity(stockRouting.candidates, destination);
+    const quotedLocationId = this.sellerResolver.recallOriginChoice(
+      group.sellerId,
+      destination.postalCode
+    );
+    const quoted = quotedLocationId
+      ? ranked.find((entry) => entry.location.locationId === quotedLocationId)
+      : null;
+    const chosen = quoted || ranked[0];
+
+    group.originSelection = {
+      source: quoted ? "quoted" : "nearest",
+      locationId: chosen.location.locationId || "",
+      candidateCount: ranked.length,
+      ...(demand.length > 0
+        ? {
+            stock: {
+              excludedLocationIds: stockRouting.excludedLocationIds,
+              split: stockRouting.split
+            }
+          }
+        : {})
+    };
+
+    return withOriginLocation(group.origin, chosen.location);
+  }
+
   async _buildPlan(order, options = {}) {
     const destination = this._extractDestination(order);
     if (!destination.postalCode) {
@@ -385,13 +444,20 @@ class OrderSyncService {
       throw new Error("Order line items do not contain variant IDs");
     }
 
-    const variantMappings = new Map();
-    for (const variantId of uniqueVariantIds) {
-      const mapping = await this._getVariantMapping(variantId);
-      variantMappings.set(variantId, mapping);
-    }
+    const variantMappings = await this.sellerResolver.resolveVariantMappings(
+      uniqueVariantIds
+    );
+    const sellerOrigins = await this.sellerResolver.resolveSellerOrigins(
+      Array.from(variantMappings.values())
+        .filter((mapping) => mapping?.sellerId)
+        .map((mapping) => mapping.sellerId)
+    );
+    const variantStocks = this.config.shipping.inventoryRouting
+      ? await this.sellerResolver.resolveVariantStocks(variantMappings.values())
+      : new Map();
 
     const groupsBySeller = new Map();
+    const requestedByVariant = new Map();
     const skippedItems = [];
 
     for (const lineItem of shippableLineItems) {
@@ -408,23 +474,48 @@ class OrderSyncService {
       }
 
       const sellerId = String(mapping.sellerId);
+      const quantity = this._extractFulfillableQty(lineItem);
+      const stock = variantStocks.get(variantId) || null;
+      const alreadyRequested = requestedByVariant.get(variantId) || 0;
+
+      if (stock && alreadyRequested + quantity > totalStock(stock)) {
+        skippedItems.push({
+          lineItemId: String(lineItem?.id || ""),
+          variantId,
+          sellerId,
+          reason: "out_of_stock",
+          requested: quantity,
+          available: Math.max(0, totalStock(stock) - alreadyRequested)
+        });
+        continue;
+      }
+      requestedByVariant.set(variantId, alreadyRequested + quantity);
 
       if (!groupsBySeller.has(sellerId)) {
-        const origin = await this._getSellerOrigin(sellerId);
         groupsBySeller.set(sellerId, {
           sellerId,
-          origin,
+          origin: sellerOrigins.get(sellerId),
+          availability: this.sellerResolver.getSellerAvailability(sellerId),
+          pickupSchedule: this.sellerResolver.getSellerPickupSchedule(sellerId),
+          stockDemand: new Map(),
           items: [],
           lineItems: []
         });
       }
 
       const group = groupsBySeller.get(sellerId);
+      if (stock) {
+        group.stockDemand.set(variantId, {
+          variantId,
+          quantity: alreadyRequested + quantity,
+          stock
+        });
+      }
       group.items.push(this._buildBiteshipItem(lineItem, mapping));
       group.lineItems.push({
         lineItemId: String(lineItem.id || ""),
         variantId,
-        quantity: this._extractFulfillableQty(lineItem),
+        quantity,
         title: lineItem.title || lineItem.name || "",
         sku: lineItem.sku || ""
       });
@@ -442,11 +533,15 @@ class OrderSyncService {
         continue;
       }
 
+      group.origin = this._selectOriginLocation(group, destination);
+
       const sellerIdentity = await this._resolveSellerIdentity(
         group.sellerId,
         group.origin
       );
 
+      group.parcels = this._packGroup(group);
+
       let courierSelection = null;
 
       if (selectedShipping.courierCompany && selectedShipping.courierType) {
@@ -456,6 +551,14 @@ class OrderSyncService {
           source: selectedShipping.source,
           previewPrice: 0
         };
+      } else if (!group.availability.available) {
+        // No shipment goes out while the seller is closed, so skip quoting.
+        courierSelection = {
+          courierCompany: "",
+          courierType: "",
+          source: "seller_unavailable",
+          previewPrice: 0
+        };
       } else {
         courierSelection = await this._resolveCheapestCourier({
           group,
@@ -463,11 +566,28 @@ class OrderSyncService {
         });
       }
 
+      const volumetricDivisor = resolveVolumetricDivisor(
+        courierSelection.courierCompany,
+        this.config.shipping
+      );
+
+      const parcels = group.parcels.map((parcel) => ({
+        ...parcel,
+        items: toChargeableItems(parcel.items, volumetricDivisor),
+        itemWeights: describeItemWeights(parcel.items, volumetricDivisor).map(
+          (weight) => ({ ...weight, parcelIndex: parcel.index })
+        )
+      }));
+
       groups.push({
         sellerId: group.sellerId,
         origin: group.origin,
+        originSelection: group.originSelection,
+        availability: group.availability,
         sellerIdentity,
-        items: group.items,
+        items: toChargeableItems(group.items, volumetricDivisor),
+        itemWeights: parcels.flatMap((parcel) => parcel.itemWeights),
+        parcels,
         lineItems: group.lineItems,
         shippingServiceCode: selectedShipping.serviceCode || "",
         courierSelection
@@ -528,6 +648,8 @@ class OrderSyncService {
     return {
       biteshipOrderId: String(orderId || ""),
       trackingNumber: String(trackingNumber || ""),
+      trackingId: String(payload.courier?.tracking_id || ""),
+      waybillId: String(payload.courier?.waybill_id || ""),
       status: String(status || "created")
     };
   }
@@ -666,9 +788,76 @@ class OrderSyncService {
     };
   }
 
-  _buildOrderPayload({ order, destination, group, source }) {
+  // A new attempt (and so a new reference) only starts when the previous
+  // Biteship order is deliberately replaced; failed and ambiguous creates
+  // keep their reference.
+  _createAttempt(previousShipment, force) {
+    const previous = toPositiveInt(previousShipment?.createAttempt, 0);
+    const replaced =
+      previousShipment?.status === "cancelled" ||
+      (force && previousShipment?.status === "created");
+
+    return replaced ? previous + 1 : previous || 1;
+  }
+
+  async _createBiteshipOrder(payload, previousShipment) {
+    if (previousShipment?.status !== "ambiguous") {
+      return this.biteshipClient.createOrder(payload);
+    }
+
+    let existing = null;
+    try {
+      existing = await this.biteshipClient.findOrderByReference(payload.reference_id);
+    } catch (error) {
+      error.details = { ...error.details, ambiguous: true, referenceId: payload.reference_id };
+      throw error;
+    }
+
+    if (existing) {
+      return {
+        ...existing,
+        idempotency: { referenceId: payload.reference_id, ambiguousAttempts: 0, recovered: true }
+      };
+    }
+
+    return this.biteshipClient.createOrder(payload);
+  }
+
+  // An admin override wins, then the seller's own pickup schedule; the
+  // shared default schedule only applies when orders are scheduled by
+  // default. No slot means the order goes out with the default type.
+  _resolvePickupSlot(group, override = null, at = Date.now()) {
+    if (override) {
+      return { ...override, source: "override" };
+    }
+
+    if (group.pickupSchedule) {
+      const slot = nextPickupSlot(group.pickupSchedule, at);
+      return slot ? { ...slot, source: "seller_schedule" } : null;
+    }
+
+    if (this.config.order.defaultDeliveryType !== "scheduled") {
+      return null;
+    }
+
+    const slot = nextPickupSlot(
+      {
+        days: this.config.order.pickupDays,
+        cutoffTime: this.config.order.pickupCutoffTime,
+        timezone: this.config.order.pickupTimezone
+      },
+      at
+    );
+    return slot ? { ...slot, source: "default_schedule" } : null;
+  }
+
+  _buildOrderPayload({ order, destination, group, parcel, source, referenceId, pickupSlot }) {
     const origin = group.origin || {};
     const sellerIdentity = group.sellerIdentity || {};
+    const parcelCount = group.parcels?.length || 1;
+    const parcelIndex = parcel?.index || 0;
+    const parcelNote =
+      parcelCount > 1 ? ` | parcel ${parcelIndex + 1}/${parcelCount}` : "";
 
     const originAddress = this._buildAddress({
       address1: origin.address1,
@@ -695,17 +884,24 @@ class OrderSyncService {
       destination_postal_code: destination.postalCode,
       courier_company: group.courierSelection.courierCompany,
       courier_type: group.courierSelection.courierType,
-      delivery_type: this.config.order.defaultDeliveryType,
-      order_note: `Shopify ${order.name} | seller ${group.sellerId}`,
+      delivery_type: pickupSlot ? "scheduled" : this.config.order.defaultDeliveryType,
+      delivery_date: pickupSlot?.date,
+      delivery_time: pickupSlot?.time,
+      reference_id: referenceId,
+      order_note: `Shopify ${order.name} | seller ${group.sellerId}${parcelNote}`,
       metadata: {
         source,
         shopify_order_id: String(order.id),
         shopify_order_name: order.name || "",
         shopify_order_currency: order.currency || "IDR",
         seller_id: String(group.sellerId),
-        shipping_service_code: group.shippingServiceCode || ""
+        origin_location_id: origin.locationId || "",
+        shipping_service_code: group.shippingServiceCode || "",
+        parcel_index: parcelIndex,
+        parcel_count: parcelCount,
+        box_name: parcel?.boxName || ""
       },
-      items: group.items
+      items: parcel ? parcel.items : group.items
     };
 
     const cleaned = stripEmpty(payload);
@@ -732,6 +928,10 @@ class OrderSyncService {
       );
     }
 
+    if (cleaned.delivery_type === "scheduled" && !cleaned.delivery_date) {
+      throw new Error(`No pickup slot available for seller ${group.sellerId}`);
+    }
+
     return cleaned;
   }
 
@@ -754,9 +954,18 @@ class OrderSyncService {
         sellerId: group.sellerId,
         origin: group.origin,
         sellerIdentity: group.sellerIdentity,
+        availability: group.availability,
         itemCount: group.items.length,
+        itemWeights: group.itemWeights,
+        parcels: group.parcels.map((parcel) => ({
+          index: parcel.index,
+          boxName: parcel.boxName,
+          lineItems: parcel.lineItems
+        })),
         lineItems: group.lineItems,
-        courierSelection: group.courierSelection
+        courierSelection: group.courierSelection,
+        pickupSchedule: group.pickupSchedule || null,
+        pickupSlot: this._resolvePickupSlot(group, options.pickupSlot)
       })),
       skippedItems: plan.skippedItems,
       syncRecord
@@ -836,6 +1045,21 @@ class OrderSyncService {
       };
     }
 
+    // Webhook replays must not bring back shipments an admin cancelled; only
+    // an explicit re-create does.
+    if (
+      !force &&
+      !options.recreateCancelled &&
+      ["cancelled", "partial_cancelled"].includes(existingRecord?.status)
+    ) {
+      return {
+        ok: true,
+        skipped: true,
+        reason: "cancelled",
+        record: existingRecord
+      };
+    }
+
     const plan = await this._buildPlan(order, options);
 
     const nextRecord = {
@@ -860,105 +1084,418 @@ class OrderSyncService {
     }
 
     let hasFailure = false;
+    let hasAmbiguous = false;
+    const heldShipments = [];
+    const closedSellerStatus =
+      this.config.order.closedSellerAction === "block" ? "blocked" : "deferred";
 
     for (const group of plan.sellerGroups) {
-      const previousShipment = existingRecord?.shipments?.find(
-        (entry) => String(entry.sellerId) === String(group.sellerId)
-      );
-
-      if (!force && previousShipment?.status === "created") {
-        nextRecord.shipments.push(previousShipment);
-        continue;
-      }
+      const parcelCount = group.parcels.length;
 
-      try {
-        const requestPayload = this._buildOrderPayload({
-          order,
-          destination: plan.destination,
-          group,
-          source
-        });
+      for (const parcel of group.parcels) {
+        const previousShipment = existingRecord?.shipments?.find(
+          (entry) =>
+            String(entry.sellerId) === String(group.sellerId) &&
+            (entry.parcelIndex || 0) === parcel.index
+        );
 
-        const createResponse = await this.biteshipClient.createOrder(requestPayload);
-        const parsedShipment = this._extractBiteshipOrderSummary(createResponse);
+        if (!force && previousShipment?.status === "created") {
+          nextRecord.shipments.push(previousShipment);
+          continue;
+        }
 
-        const shipment = {
+        const shipmentBase = {
           sellerId: group.sellerId,
+          parcelIndex: parcel.index,
+          parcelCount,
+          boxName: parcel.boxName,
           originPostalCode: group.origin?.postalCode || "",
+          originLocationId: group.origin?.locationId || "",
           destinationPostalCode: plan.destination.postalCode,
           courierCompany: group.courierSelection.courierCompany,
-          courierType: group.courierSelection.courierType,
-          biteshipOrderId: parsedShipment.biteshipOrderId,
-          trackingNumber: parsedShipment.trackingNumber,
-          status: "created",
-          responseStatus: parsedShipment.status,
-          lineItems: group.lineItems,
-          requestedAt: new Date().toISOString()
+          courierType: group.courierSelection.courierType
         };
 
-        if (autoFulfill && allocator) {
-          const fulfillmentResult = await this._createShopifyFulfillment({
-            allocator,
-            sellerGroup: group,
-            shipment,
-            notifyCustomer
+        if (previousShipment?.status === "cancelled") {
+          shipmentBase.replacesBiteshipOrderId = previousShipment.biteshipOrderId || "";
+        }
+
+        shipmentBase.createAttempt = this._createAttempt(previousShipment, force);
+        shipmentBase.referenceId = buildReferenceId({
+          orderId: syncKey,
+          sellerId: group.sellerId,
+          parcelIndex: parcel.index,
+          attempt: shipmentBase.createAttempt
+        });
+
+        if (!group.availability.available) {
+          const heldShipment = {
+            ...shipmentBase,
+            status: closedSellerStatus,
+            sellerStatus: group.availability.status,
+            reason: group.availability.reason || "",
+            reopensAt: group.availability.reopensAt,
+            lineItems: parcel.lineItems,
+            requestedAt: new Date().toISOString()
+          };
+
+          heldShipments.push(heldShipment);
+          nextRecord.shipments.push(heldShipment);
+
+          this.logger.warn("Biteship order held, seller is closed", {
+            shopifyOrderId: syncKey,
+            sellerId: group.sellerId,
+            parcelIndex: parcel.index,
+            status: closedSellerStatus,
+            sellerStatus: group.availability.status,
+            reopensAt: group.availability.reopensAt
           });
+          continue;
+        }
 
-          if (fulfillmentResult) {
-            shipment.shopifyFulfillmentId = fulfillmentResult.fulfillmentId;
-            shipment.shopifyFulfillmentStatus = fulfillmentResult.status;
+        try {
+          const pickupSlot = this._resolvePickupSlot(group, options.pickupSlot);
+          if (pickupSlot) {
+            shipmentBase.deliveryType = "scheduled";
+            shipmentBase.pickupSlot = pickupSlot;
           }
+
+          const requestPayload = this._buildOrderPayload({
+            order,
+            destination: plan.destination,
+            group,
+            parcel,
+            source,
+            referenceId: shipmentBase.referenceId,
+            pickupSlot
+          });
+
+          const createResponse = await this._createBiteshipOrder(requestPayload, previousShipment);
+          const parsedShipment = this._extractBiteshipOrderSummary(createResponse);
+
+          const shipment = {
+            ...shipmentBase,
+            biteshipOrderId: parsedShipment.biteshipOrderId,
+            trackingNumber: parsedShipment.trackingNumber,
+            biteshipTrackingId: parsedShipment.trackingId,
+            waybillId: parsedShipment.waybillId,
+            status: "created",
+            responseStatus: parsedShipment.status,
+            lineItems: parcel.lineItems,
+            requestedAt: new Date().toISOString()
+          };
+
+          if (createResponse?.idempotency) {
+            shipment.createOutcome = createResponse.idempotency.recovered
+              ? "recovered_by_reference"
+              : "created_after_ambiguous";
+            shipment.ambiguousAttempts = createResponse.idempotency.ambiguousAttempts;
+          }
+
+          if (autoFulfill && allocator) {
+            const fulfillmentResult = await this._createShopifyFulfillment({
+              allocator,
+              sellerGroup: { ...group, lineItems: parcel.lineItems },
+              shipment,
+              notifyCustomer
+            });
+
+            if (fulfillmentResult) {
+              shipment.shopifyFulfillmentId = fulfillmentResult.fulfillmentId;
+              shipment.shopifyFulfillmentStatus = fulfillmentResult.status;
+            }
+          }
+
+          nextRecord.shipments.push(shipment);
+
+          this.logger.info("Biteship order created from Shopify order", {
+            shopifyOrderId: syncKey,
+            sellerId: group.sellerId,
+            parcelIndex: parcel.index,
+            parcelCount,
+            biteshipOrderId: shipment.biteshipOrderId,
+            courierCompany: shipment.courierCompany,
+            courierType: shipment.courierType,
+            autoFulfill,
+            shopifyFulfillmentId: shipment.shopifyFulfillmentId || ""
+          });
+        } catch (error) {
+          hasFailure = true;
+          const ambiguous = Boolean(error.details?.ambiguous);
+          if (ambiguous) {
+            hasAmbiguous = true;
+          }
+
+          // An ambiguous shipment may exist at Biteship; the next create
+          // looks it up by referenceId before creating anything.
+          const failedShipment = {
+            ...shipmentBase,
+            status: ambiguous ? "ambiguous" : "failed",
+            error: error.message,
+            details: error.details || null,
+            lineItems: parcel.lineItems,
+            requestedAt: new Date().toISOString()
+          };
+
+          nextRecord.shipments.push(failedShipment);
+
+          this.logger.error(
+            ambiguous
+              ? "Biteship order create outcome unknown for Shopify order"
+              : "Failed to create Biteship order from Shopify order",
+            {
+              shopifyOrderId: syncKey,
+              sellerId: group.sellerId,
+              parcelIndex: parcel.index,
+              referenceId: shipmentBase.referenceId,
+              error: error.message,
+              details: error.details || null
+            }
+          );
         }
+      }
+    }
 
-        nextRecord.shipments.push(shipment);
+    if (hasFailure) {
+      nextRecord.status = "partial_failed";
+      nextRecord.lastError = hasAmbiguous
+        ? "One or more seller shipments have an unknown Biteship outcome"
+        : "One or more seller shipments failed";
+    } else if (heldShipments.length > 0) {
+      nextRecord.status = closedSellerStatus;
+      nextRecord.lastError = `Shipments ${closedSellerStatus} for closed sellers`;
+    } else {
+      nextRecord.status = "completed";
+      nextRecord.lastError = null;
+    }
 
-        this.logger.info("Biteship order created from Shopify order", {
-          shopifyOrderId: syncKey,
-          sellerId: group.sellerId,
-          biteshipOrderId: shipment.biteshipOrderId,
-          courierCompany: shipment.courierCompany,
-          courierType: shipment.courierType,
-          autoFulfill,
-          shopifyFulfillmentId: shipment.shopifyFulfillmentId || ""
-        });
-      } catch (error) {
-        hasFailure = true;
+    // Deferred orders are retried once the last closed seller reopens; an
+    // empty value means the closure has no end date and is retried on every
+    // pass. This holds even when another group failed, so the held sellers'
+    // shipments are still created later.
+    nextRecord.deferredUntil =
+      closedSellerStatus === "deferred" && heldShipments.length > 0
+        ? heldShipments.reduce(
+            (latest, shipment) =>
+              shipment.reopensAt && shipment.reopensAt > latest ? shipment.reopensAt : latest,
+            ""
+          )
+        : null;
 
-        const failedShipment = {
-          sellerId: group.sellerId,
-          originPostalCode: group.origin?.postalCode || "",
-          destinationPostalCode: plan.destination.postalCode,
-          courierCompany: group.courierSelection.courierCompany,
-          courierType: group.courierSelection.courierType,
-          status: "failed",
-          error: error.message,
-          details: error.details || null,
-          lineItems: group.lineItems,
-          requestedAt: new Date().toISOString()
-        };
+    const savedRecord = this.orderSyncStore.saveRecord(nextRecord);
 
-        nextRecord.shipments.push(failedShipment);
+    return {
+      ok: !hasFailure,
+      skipped: false,
+      record: savedRecord
+    };
+  }
 
-        this.logger.error("Failed to create Biteship order from Shopify order", {
-          shopifyOrderId: syncKey,
-          sellerId: group.sellerId,
+  _isCancellable(shipment) {
+    return (
+      shipment.status === "created" &&
+      Boolean(shipment.biteshipOrderId) &&
+      (!shipment.trackingStatus || phaseRank(shipment.trackingStatus) <= phaseRank("created"))
+    );
+  }
+
+  // Cancels the Biteship order (and the Shopify fulfillment auto-fulfill
+  // created for it) of one seller's shipments, or of every shipment when no
+  // sellerId is given. Cancelled shipments are re-created by the next
+  // createBiteshipOrdersFromOrder call without needing force.
+  async cancelBiteshipShipments(orderId, { sellerId, parcelIndex, reason } = {}) {
+    const cancelReason = String(reason || "").trim();
+    if (!cancelReason) {
+      throw new Error("Cancellation reason is required");
+    }
+
+    const record = this.orderSyncStore.get(orderId);
+    if (!record) {
+      return null;
+    }
+
+    const shipments = (record.shipments || []).map((shipment) => ({ ...shipment }));
+    const targets = shipments.filter(
+      (shipment) =>
+        (!sellerId || String(shipment.sellerId) === String(sellerId)) &&
+        (parcelIndex === undefined || (shipment.parcelIndex || 0) === parcelIndex) &&
+        shipment.status === "created"
+    );
+    const results = [];
+
+    for (const shipment of targets) {
+      const result = {
+        sellerId: String(shipment.sellerId),
+        parcelIndex: shipment.parcelIndex || 0,
+        biteshipOrderId: shipment.biteshipOrderId || ""
+      };
+      results.push(result);
+
+      if (!this._isCancellable(shipment)) {
+        result.status = "skipped";
+        result.reason = shipment.biteshipOrderId ? "already_picked_up" : "missing_biteship_order";
+        continue;
+      }
+
+      try {
+        await this.biteshipClient.cancelOrder(shipment.biteshipOrderId, { reason: cancelReason });
+      } catch (error) {
+        result.status = "failed";
+        result.error = error.message;
+        shipment.cancelError = error.message;
+        this.logger.error("Failed to cancel Biteship order", {
+          shopifyOrderId: record.orderId,
+          sellerId: shipment.sellerId,
+          biteshipOrderId: shipment.biteshipOrderId,
           error: error.message,
           details: error.details || null
         });
+        continue;
+      }
+
+      delete shipment.cancelError;
+      Object.assign(shipment, {
+        status: "cancelled",
+        cancelReason,
+        cancelledAt: new Date().toISOString()
+      });
+      result.status = "cancelled";
+
+      if (shipment.shopifyFulfillmentId) {
+        try {
+          await this.shopifyAdminClient.cancelFulfillment(shipment.shopifyFulfillmentId);
+          shipment.shopifyFulfillmentStatus = "cancelled";
+        } catch (error) {
+          shipment.shopifyFulfillmentCancelError = error.message;
+          result.shopifyFulfillmentError = error.message;
+          this.logger.error("Failed to cancel Shopify fulfillment for cancelled shipment", {
+            shopifyOrderId: record.orderId,
+            sellerId: shipment.sellerId,
+            shopifyFulfillmentId: shipment.shopifyFulfillmentId,
+            error: error.message
+          });
+        }
       }
+
+      this.logger.info("Biteship order cancelled", {
+        shopifyOrderId: record.orderId,
+        sellerId: shipment.sellerId,
+        parcelIndex: shipment.parcelIndex || 0,
+        biteshipOrderId: shipment.biteshipOrderId,
+        reason: cancelReason
+      });
     }
 
-    nextRecord.status = hasFailure ? "partial_failed" : "completed";
-    nextRecord.lastError = hasFailure ? "One or more seller shipments failed" : null;
+    const cancelled = results.filter((entry) => entry.status === "cancelled").length;
+    if (cancelled === 0) {
+      return { ok: false, cancelled, results, record };
+    }
 
-    const savedRecord = this.orderSyncStore.saveRecord(nextRecord);
+    // Tracking polls and Biteship webhooks may have written the record
+    // while Biteship and Shopify were called, so only the cancellation
+    // fields are merged into the latest copy.
+    const current = this.orderSyncStore.get(orderId) || record;
+    const attempted = new Map(
+      targets
+        .filter((shipment) => shipment.status === "cancelled" || shipment.cancelError)
+        .map((shipment) => [shipment.biteshipOrderId, shipment])
+    );
+    const mergedShipments = (current.shipments || []).map((shipment) => {
+      const target = attempted.get(shipment.biteshipOrderId);
+      if (!shipment.biteshipOrderId || !target) {
+        return { ...shipment };
+      }
+
+      const merged = { ...shipment };
+      for (const field of CANCELLATION_FIELDS) {
+        if (target[field] !== undefined) {
+          merged[field] = target[field];
+        }
+      }
+      if (target.status === "cancelled") {
+        delete merged.cancelError;
+      }
+      return merged;
+    });
+    const cancelledShipments = [
+      ...(Array.isArray(current.cancelledShipments) ? current.cancelledShipments : []),
+      ...mergedShipments
+        .filter((shipment) => attempted.get(shipment.biteshipOrderId)?.status === "cancelled")
+        .map((shipment) => ({ ...shipment }))
+    ];
+
+    const stillCreated = mergedShipments.some((shipment) => shipment.status === "created");
+    const savedRecord = this.orderSyncStore.saveRecord({
+      orderId: current.orderId,
+      status: stillCreated ? "partial_cancelled" : "cancelled",
+      shipments: mergedShipments,
+      cancelledShipments
+    });
 
     return {
-      ok: !hasFailure,
-      skipped: false,
+      ok: cancelled === results.length,
+      cancelled,
+      results,
       record: savedRecord
     };
   }
+
+  async retryDeferredOrders() {
+    const now = new Date().toISOString();
+    const due = this.orderSyncStore
+      .all()
+      .filter(
+        (record) =>
+          (record.status === "deferred" || typeof record.deferredUntil === "string") &&
+          (!record.deferredUntil || record.deferredUntil <= now)
+      );
+
+    const results = [];
+    for (const record of due) {
+      try {
+        const result = await this.createBiteshipOrdersFromOrder(record.orderId, {
+          source: "deferred_retry",
+          autoFulfill: record.autoFulfill
+        });
+        results.push({ orderId: record.orderId, status: result.record.status });
+      } catch (error) {
+        results.push({ orderId: record.orderId, status: "error", error: error.message });
+        this.logger.error("Failed to retry deferred Biteship order", {
+          shopifyOrderId: record.orderId,
+          error: error.message
+        });
+      }
+    }
+
+    if (results.length > 0) {
+      this.logger.info("Deferred Biteship orders retried", {
+        count: results.length,
+        created: results.filter((entry) => entry.status === "completed").length
+      });
+    }
+
+    return results;
+  }
+
+  scheduleDeferredRetry() {
+    const intervalMinutes = this.config.order.deferredRetryIntervalMinutes;
+    if (!(intervalMinutes > 0) || this.deferredRetryTimer) {
+      return false;
+    }
+
+    this.deferredRetryTimer = setInterval(() => {
+      runInBackgroundLane(() => this.retryDeferredOrders()).catch(() => {});
+    }, intervalMinutes * 60 * 1000);
+    this.deferredRetryTimer.unref();
+    return true;
+  }
+
+  stopDeferredRetry() {
+    if (this.deferredRetryTimer) {
+      clearInterval(this.deferredRetryTimer);
+      this.deferredRetryTimer = null;
+    }
+  }
 }
 
 module.exports = {
@@ -78,6 +78,10 @@ class OrderSyncStore {
     return records.slice(0, normalizedLimit);
   }
 
+  all() {
+    return Object.values(this.data);
+  }
+
   size() {
     return Object.keys(this.data).length;
   }
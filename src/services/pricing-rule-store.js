@@ -0,0 +1,166 @@
+const fs = require("node:fs");
+const { isRuleActive } = require("../utils/pricing");
+
+function toOptionalAmount(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric < 0) {
+    return null;
+  }
+
+  return numeric;
+}
+
+function normalizeCode(value) {
+  const code = String(value || "").trim().toLowerCase();
+  return code || "*";
+}
+
+function toIsoOrEmpty(value) {
+  if (!value) {
+    return "";
+  }
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? "" : new Date(parsed).toISOString();
+}
+
+class PricingRuleStore {
+  constructor(filePath, logger) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.data = {};
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        this.data = {};
+        return;
+      }
+
+      const raw = fs.readFileSync(this.filePath, "utf8");
+      const parsed = JSON.parse(raw);
+      this.data = parsed && typeof parsed === "object" ? parsed : {};
+    } catch (error) {
+      this.logger.warn("Failed to load pricing rule store, using empty store", {
+        filePath: this.filePath,
+        error: error.message
+      });
+      this.data = {};
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2), "utf8");
+    } catch (error) {
+      this.logger.error("Failed to persist pricing rule store", {
+        filePath: this.filePath,
+        error: error.message
+      });
+    }
+  }
+
+  upsert(rule) {
+    if (!rule) {
+      return null;
+    }
+
+    const courierCode = normalizeCode(rule.courierCode);
+    const serviceCode = normalizeCode(rule.serviceCode);
+    const id = String(rule.id || `${courierCode}:${serviceCode}`);
+
+    const nextValue = {
+      id,
+      courierCode,
+      serviceCode,
+      markupPercent: toOptionalAmount(rule.markupPercent),
+      surchargeIdr: toOptionalAmount(rule.surchargeIdr),
+      discountPercent: toOptionalAmount(rule.discountPercent),
+      discountIdr: toOptionalAmount(rule.discountIdr),
+      capIdr: toOptionalAmount(rule.capIdr),
+      validFrom: toIsoOrEmpty(rule.validFrom),
+      validUntil: toIsoOrEmpty(rule.validUntil),
+      note: rule.note || "",
+      updatedAt: new Date().toISOString()
+    };
+
+    this.data[id] = nextValue;
+    this.save();
+    return nextValue;
+  }
+
+  get(ruleId) {
+    if (!ruleId) {
+      return null;
+    }
+
+    return this.data[String(ruleId)] || null;
+  }
+
+  remove(ruleId) {
+    const key = String(ruleId || "");
+    if (!key || !this.data[key]) {
+      return false;
+    }
+
+    delete this.data[key];
+    this.save();
+    return true;
+  }
+
+  // Most specific active rule wins: courier+service, then courier wildcard,
+  // then global wildcard. Ties go to the rule with the latest validFrom.
+  resolve(courierCode, serviceCode, at = Date.now()) {
+    const courier = normalizeCode(courierCode);
+    const service = normalizeCode(serviceCode);
+
+    const specificity = (rule) => {
+      if (rule.courierCode === courier && rule.serviceCode === service) {
+        return 3;
+      }
+      if (rule.courierCode === courier && rule.serviceCode === "*") {
+        return 2;
+      }
+      if (rule.courierCode === "*" && rule.serviceCode === "*") {
+        return 1;
+      }
+      return 0;
+    };
+
+    const candidates = this.all()
+      .filter((rule) => specificity(rule) > 0 && isRuleActive(rule, at))
+      .sort((a, b) => {
+        return (
+          specificity(b) - specificity(a) ||
+          String(b.validFrom).localeCompare(String(a.validFrom))
+        );
+      });
+
+    return candidates[0] || null;
+  }
+
+  // Next instant a rule starts or stops applying, so cached quotes priced
+  // under the current rules can expire there. Null when nothing is dated.
+  nextChangeAt(at = Date.now()) {
+    const boundaries = this.all()
+      .flatMap((rule) => [rule.validFrom, rule.validUntil])
+      .map((value) => Date.parse(value))
+      .filter((value) => !Number.isNaN(value) && value > at);
+
+    return boundaries.length > 0 ? Math.min(...boundaries) : null;
+  }
+
+  all() {
+    return Object.values(this.data);
+  }
+}
+
+module.exports = {
+  PricingRuleStore
+};
@@ -0,0 +1,174 @@
+const fs = require("node:fs");
+const crypto = require("node:crypto");
+const { parseCsv } = require("../utils/csv");
+
+const REQUIRED_COLUMNS = [
+  "origin_prefix",
+  "destination_prefix",
+  "max_weight_grams",
+  "price_idr"
+];
+
+function normalizePrefix(value) {
+  const prefix = String(value || "").trim();
+  return prefix === "*" ? "" : prefix.replace(/\s+/g, "").toUpperCase();
+}
+
+function toNonNegativeNumber(value, fallback = null) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric >= 0 ? numeric : null;
+}
+
+class RateCardStore {
+  constructor(filePath, logger) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.entries = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        this.entries = [];
+        return;
+      }
+
+      const raw = fs.readFileSync(this.filePath, "utf8");
+      const parsed = JSON.parse(raw);
+      this.entries = Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      this.logger.warn("Failed to load rate card store, using empty rate card", {
+        filePath: this.filePath,
+        error: error.message
+      });
+      this.entries = [];
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.entries, null, 2), "utf8");
+    } catch (error) {
+      this.logger.error("Failed to persist rate card store", {
+        filePath: this.filePath,
+        error: error.message
+      });
+    }
+  }
+
+  _normalizeEntry(values) {
+    const minWeightGrams = toNonNegativeNumber(values.min_weight_grams, 0);
+    const maxWeightGrams = toNonNegativeNumber(values.max_weight_grams);
+    const priceIdr = toNonNegativeNumber(values.price_idr);
+
+    if (minWeightGrams === null || maxWeightGrams === null || priceIdr === null) {
+      throw new Error("weight and price columns must be non-negative numbers");
+    }
+
+    if (maxWeightGrams < minWeightGrams) {
+      throw new Error("max_weight_grams must be >= min_weight_grams");
+    }
+
+    return {
+      id: `rc_${crypto.randomBytes(4).toString("hex")}`,
+      originPrefix: normalizePrefix(values.origin_prefix),
+      destinationPrefix: normalizePrefix(values.destination_prefix),
+      minWeightGrams,
+      maxWeightGrams,
+      priceIdr,
+      minDay: toNonNegativeNumber(values.min_day, 0) || 0,
+      maxDay: toNonNegativeNumber(values.max_day, 0) || 0,
+      serviceName: String(values.service_name || "").trim() || "Standard"
+    };
+  }
+
+  importCsv(text, { mode = "replace" } = {}) {
+    const { header, rows } = parseCsv(text);
+    const missingColumns = REQUIRED_COLUMNS.filter((column) => !header.includes(column));
+
+    if (missingColumns.length > 0) {
+      const error = new Error(
+        `Rate card CSV is missing columns: ${missingColumns.join(", ")}`
+      );
+      error.details = { missingColumns, requiredColumns: REQUIRED_COLUMNS };
+      throw error;
+    }
+
+    const accepted = [];
+    const rejected = [];
+
+    for (const row of rows) {
+      try {
+        accepted.push(this._normalizeEntry(row.values));
+      } catch (error) {
+        rejected.push({ line: row.line, error: error.message });
+      }
+    }
+
+    // The rate card is the fallback for Biteship outages, so a replace that
+    // would drop rows (or everything) is refused and the old card kept.
+    if (accepted.length === 0 || (mode !== "append" && rejected.length > 0)) {
+      const error = new Error(
+        accepted.length === 0
+          ? "Rate card CSV has no valid rows; nothing was imported"
+          : `Rate card CSV has ${rejected.length} invalid row(s); the current rate card was kept`
+      );
+      error.details = { rejected, accepted: accepted.length };
+      throw error;
+    }
+
+    this.entries = mode === "append" ? [...this.entries, ...accepted] : accepted;
+    this.save();
+
+    return {
+      mode: mode === "append" ? "append" : "replace",
+      imported: accepted.length,
+      rejected,
+      total: this.entries.length
+    };
+  }
+
+  // Longest combined prefix wins so a specific lane overrides a regional one.
+  match(originPostalCode, destinationPostalCode, weightGrams) {
+    const origin = normalizePrefix(originPostalCode);
+    const destination = normalizePrefix(destinationPostalCode);
+    const weight = Math.max(0, Number(weightGrams) || 0);
+
+    let best = null;
+    for (const entry of this.entries) {
+      if (!origin.startsWith(entry.originPrefix)) {
+        continue;
+      }
+      if (!destination.startsWith(entry.destinationPrefix)) {
+        continue;
+      }
+      if (weight < entry.minWeightGrams || weight > entry.maxWeightGrams) {
+        continue;
+      }
+
+      const specificity = entry.originPrefix.length + entry.destinationPrefix.length;
+      if (!best || specificity > best.specificity) {
+        best = { entry, specificity };
+      }
+    }
+
+    return best ? best.entry : null;
+  }
+
+  all() {
+    return this.entries.slice();
+  }
+
+  size() {
+    return this.entries.length;
+  }
+}
+
+module.exports = {
+  RateCardStore
+};
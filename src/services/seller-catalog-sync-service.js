@@ -0,0 +1,298 @@
+const crypto = require("node:crypto");
+const { normalizePostalCode } = require("../utils/location");
+const { mapWithConcurrency } = require("../utils/concurrency");
+const { toWebkulStatus } = require("../utils/availability");
+const { hasOriginChanged } = require("../utils/origin-selection");
+const { runInBackgroundLane } = require("./token-bucket-limiter");
+
+const MAX_RECORDED_ERRORS = 50;
+
+function hasPhone(value) {
+  return String(value || "").replace(/\D/g, "").length >= 6;
+}
+
+class SellerCatalogSyncService {
+  constructor(options) {
+    this.config = options.config;
+    this.logger = options.logger;
+    this.webkulClient = options.webkulClient;
+    this.sellerOriginStore = options.sellerOriginStore;
+    this.sellerIndex = options.sellerIndex || null;
+    this.runStore = options.runStore;
+    this.onOriginChanged = options.onOriginChanged || (() => {});
+
+    this.currentRun = null;
+    this.timer = null;
+  }
+
+  // Returns immediately with the run record; the sync keeps going in the
+  // background and the record is updated in the run store when it ends.
+  start({ trigger = "manual" } = {}) {
+    if (this.currentRun) {
+      return { started: false, run: this.currentRun.run };
+    }
+
+    const run = {
+      id: `sync_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`,
+      trigger,
+      status: "running",
+      startedAt: new Date().toISOString(),
+      finishedAt: "",
+      durationMs: 0,
+      pages: 0,
+      sellersSeen: 0,
+      upserted: 0,
+      originChanged: [],
+      statusChanged: [],
+      missingZipcode: [],
+      missingPhone: [],
+      errorCount: 0,
+      errors: []
+    };
+
+    this.runStore.saveRun(run);
+
+    const promise = runInBackgroundLane(() => this._run(run)).finally(() => {
+      this.currentRun = null;
+    });
+    this.currentRun = { run, promise };
+
+    return { started: true, run, promise };
+  }
+
+  async _run(run) {
+    const startedAt = Date.now();
+    const limit = this.config.sellerSync.pageSize;
+    const seenSellerIds = new Set();
+    let listedAll = false;
+
+    try {
+      for (let page = 1; page <= this.config.sellerSync.maxPages; page += 1) {
+        const sellers = await this.webkulClient.listSellers({ limit, page });
+        if (!sellers.length) {
+          listedAll = true;
+          break;
+        }
+
+        run.pages = page;
+        const fresh = sellers.filter((seller) => {
+          const sellerId = String(seller?.id || "");
+          if (!sellerId || seenSellerIds.has(sellerId)) {
+            return false;
+          }
+
+          seenSellerIds.add(sellerId);
+          return true;
+        });
+
+        this.sellerIndex?.upsertMany(fresh);
+
+        await mapWithConcurrency(fresh, this.config.webkul.resolveConcurrency, (seller) =>
+          this._syncSeller(seller, run)
+        );
+
+        run.sellersSeen = seenSellerIds.size;
+        this.runStore.saveRun(run);
+
+        if (fresh.length === 0 || sellers.length < limit) {
+          listedAll = true;
+          break;
+        }
+      }
+
+      run.status = run.errorCount > 0 ? "partial" : "completed";
+      // Only a listing read to the end lets the seller index drop sellers
+      // Webkul no longer returns.
+      if (listedAll) {
+        this.sellerIndex?.markBuilt(seenSellerIds);
+      }
+    } catch (error) {
+      run.status = "failed";
+      run.error = error.message;
+      this.logger.error("Seller catalog sync failed", {
+        runId: run.id,
+        page: run.pages + 1,
+        error: error.message
+      });
+    }
+
+    // Sellers are upserted in memory only; the store file is written once.
+    if (run.upserted > 0) {
+      this.sellerOriginStore.save();
+    }
+
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = Date.now() - startedAt;
+    this.runStore.saveRun(run);
+
+    this.logger.info("Seller catalog sync finished", {
+      runId: run.id,
+      status: run.status,
+      sellersSeen: run.sellersSeen,
+      upserted: run.upserted,
+      originChanged: run.originChanged.length,
+      statusChanged: run.statusChanged.length,
+      missingZipcode: run.missingZipcode.length,
+      missingPhone: run.missingPhone.length,
+      errorCount: run.errorCount
+    });
+
+    return run;
+  }
+
+  // Same precedence as WebkulClient.resolveSellerOrigin: primary location
+  // first, then the zipcode on the seller profile.
+  _originFromWebkul(seller, locations) {
+    const primary = locations.find((location) => location.primary) || locations[0];
+
+    if (primary) {
+      return {
+        postalCode: primary.postalCode,
+        city: primary.city,
+        state: primary.state,
+        country: primary.country,
+        address1: primary.address1,
+        latitude: primary.latitude,
+        longitude: primary.longitude,
+        locationId: primary.locationId
+      };
+    }
+
+    const sellerPostalCode = normalizePostalCode(seller.zipcode, {
+      length: this.config.shipping.postalCodeLength
+    });
+
+    if (!sellerPostalCode) {
+      return null;
+    }
+
+    return {
+      postalCode: sellerPostalCode,
+      city: seller.city || "",
+      state: seller.id_state?.iso_code || "",
+      country: seller.id_country?.iso_code || "ID",
+      address1: seller.store_address || "",
+      latitude: "",
+      longitude: "",
+      locationId: ""
+    };
+  }
+
+  async _syncSeller(seller, run) {
+    const sellerId = String(seller.id);
+
+    let locations = [];
+    try {
+      const candidates = await this.webkulClient.getSellerLocations(sellerId);
+      locations = candidates
+        .map((location) => this.webkulClient.toLocationOrigin(location))
+        .filter((location) => location.postalCode);
+    } catch (error) {
+      run.errorCount += 1;
+      if (run.errors.length < MAX_RECORDED_ERRORS) {
+        run.errors.push({ sellerId, error: error.message });
+      }
+    }
+
+    const existing = this.sellerOriginStore.get(sellerId);
+    const origin = this._originFromWebkul(seller, locations);
+    // Webkul records often lack contact details; keep what Flow or an admin
+    // set rather than blanking it, which would block order creation.
+    const contact =
+      seller.contact ||
+      locations.find((location) => location.phone)?.phone ||
+      existing?.contact ||
+      "";
+
+    const issues = [];
+    if (!origin) {
+      issues.push("missing_zipcode");
+      run.missingZipcode.push(sellerId);
+    }
+    if (!hasPhone(contact)) {
+      issues.push("missing_phone");
+      run.missingPhone.push(sellerId);
+    }
+
+    const webkulStatus = toWebkulStatus(seller);
+
+    // Without a Webkul zipcode keep whatever origin was set before (Flow or
+    // admin), only refreshing the seller's identity fields.
+    const locationFields = origin || {
+      postalCode: existing?.postalCode || "",
+      city: existing?.city || "",
+      state: existing?.state || "",
+      country: existing?.country || "ID",
+      address1: existing?.address1 || "",
+      latitude: existing?.latitude || "",
+      longitude: existing?.longitude || "",
+      locationId: existing?.locationId || ""
+    };
+
+    this.sellerOriginStore.upsert(
+      {
+        sellerId,
+        ...locationFields,
+        contact,
+        sellerEmail: seller.email || existing?.sellerEmail || "",
+        storeName: seller.sp_store_name || existing?.storeName || "",
+        storeNameHandle: seller.store_name_handle || existing?.storeNameHandle || "",
+        shopDomain: seller.sp_shop_name || existing?.shopDomain || "",
+        locations: origin ? locations : existing?.locations || [],
+        source: origin ? "webkul_sync" : existing?.source || "webkul_sync",
+        issues,
+        webkulStatus,
+        syncedAt: new Date().toISOString()
+      },
+      { persist: false }
+    );
+    run.upserted += 1;
+
+    const originChanged =
+      Boolean(origin) && hasOriginChanged(existing, this.sellerOriginStore.get(sellerId));
+    const statusChanged = Boolean(existing) && (existing.webkulStatus || "active") !== webkulStatus;
+
+    if (originChanged) {
+      run.originChanged.push(sellerId);
+    }
+    if (statusChanged) {
+      run.statusChanged.push(sellerId);
+    }
+    if (originChanged || statusChanged) {
+      this.onOriginChanged(this.sellerOriginStore.get(sellerId));
+    }
+  }
+
+  schedule() {
+    const intervalMinutes = this.config.sellerSync.intervalMinutes;
+    if (!(intervalMinutes > 0) || this.timer) {
+      return false;
+    }
+
+    this.timer = setInterval(() => {
+      this.start({ trigger: "schedule" });
+    }, intervalMinutes * 60 * 1000);
+    this.timer.unref();
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  status() {
+    return {
+      running: Boolean(this.currentRun),
+      currentRunId: this.currentRun?.run.id || "",
+      scheduled: Boolean(this.timer),
+      intervalMinutes: this.config.sellerSync.intervalMinutes
+    };
+  }
+}
+
+module.exports = {
+  SellerCatalogSyncService
+};
@@ -0,0 +1,316 @@
+const fs = require("node:fs");
+const {
+  normalizeText,
+  normalizeIndonesianPhone,
+  compactName,
+  scoreSellerMatch,
+  normalizeSellerHints,
+  toMatchCandidate,
+  pickSellerCandidate
+} = require("../utils/seller-matching");
+
+const LOOKUP_KEYS = {
+  handle: (seller) => compactName(seller.store_name_handle),
+  email: (seller) => normalizeText(seller.email),
+  phone: (seller) => normalizeIndonesianPhone(seller.contact),
+  storeName: (seller) => compactName(seller.sp_store_name)
+};
+
+function toIndexedSeller(seller) {
+  return {
+    id: String(seller.id),
+    email: seller.email || "",
+    contact: seller.contact || "",
+    sp_store_name: seller.sp_store_name || "",
+    store_name_handle: seller.store_name_handle || "",
+    sp_shop_name: seller.sp_shop_name || "",
+    indexedAt: new Date().toISOString()
+  };
+}
+
+// Local copy of the Webkul seller listing used to resolve Flow hints without
+// paging /api/v2/sellers.json on every call. Kept fresh by the catalog sync,
+// Webkul seller webhooks and a rebuild when it is older than maxAgeMinutes.
+class SellerIndex {
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.logger = options.logger;
+    this.webkulClient = options.webkulClient;
+    this.pageSize = options.pageSize || 250;
+    this.maxPages = options.maxPages || 200;
+    this.maxAgeMinutes = Number.isFinite(options.maxAgeMinutes) ? options.maxAgeMinutes : 360;
+    this.matchThreshold = Number.isFinite(options.matchThreshold) ? options.matchThreshold : 0.85;
+    this.ambiguityMargin = Number.isFinite(options.ambiguityMargin) ? options.ambiguityMargin : 5;
+
+    this.sellers = new Map();
+    this.lookups = Object.fromEntries(Object.keys(LOOKUP_KEYS).map((name) => [name, new Map()]));
+    this.builtAt = "";
+    this.rebuildInFlight = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!this.filePath || !fs.existsSync(this.filePath)) {
+        return;
+      }
+
+      const raw = fs.readFileSync(this.filePath, "utf8");
+      const parsed = JSON.parse(raw);
+      this.builtAt = parsed?.builtAt || "";
+      for (const seller of Array.isArray(parsed?.sellers) ? parsed.sellers : []) {
+        this._add(seller);
+      }
+    } catch (error) {
+      this.logger.warn("Failed to load seller index, using empty index", {
+        filePath: this.filePath,
+        error: error.message
+      });
+      this.sellers.clear();
+      this.builtAt = "";
+    }
+  }
+
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      fs.writeFileSync(
+        this.filePath,
+        JSON.stringify({ builtAt: this.builtAt, sellers: [...this.sellers.values()] }, null, 2),
+        "utf8"
+      );
+    } catch (error) {
+      this.logger.error("Failed to persist seller index", {
+        filePath: this.filePath,
+        error: error.message
+      });
+    }
+  }
+
+  _add(seller) {
+    this.sellers.set(seller.id, seller);
+    for (const [name, keyOf] of Object.entries(LOOKUP_KEYS)) {
+      const key = keyOf(seller);
+      if (!key) {
+        continue;
+      }
+
+      const ids = this.lookups[name].get(key) || new Set();
+      ids.add(seller.id);
+      this.lookups[name].set(key, ids);
+    }
+  }
+
+  _drop(sellerId) {
+    const existing = this.sellers.get(sellerId);
+    if (!existing) {
+      return false;
+    }
+
+    for (const [name, keyOf] of Object.entries(LOOKUP_KEYS)) {
+      const ids = this.lookups[name].get(keyOf(existing));
+      ids?.delete(sellerId);
+      if (ids && ids.size === 0) {
+        this.lookups[name].delete(keyOf(existing));
+      }
+    }
+
+    this.sellers.delete(sellerId);
+    return true;
+  }
+
+  upsertMany(sellers, { persist = true } = {}) {
+    let count = 0;
+    for (const seller of sellers || []) {
+      if (!seller?.id) {
+        continue;
+      }
+
+      const indexed = toIndexedSeller(seller);
+      this._drop(indexed.id);
+      this._add(indexed);
+      count += 1;
+    }
+
+    if (count > 0 && persist) {
+      this.save();
+    }
+    return count;
+  }
+
+  upsert(seller) {
+    return this.upsertMany([seller]) > 0;
+  }
+
+  remove(sellerId) {
+    const removed = this._drop(String(sellerId));
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  // Called after a complete listing: sellers Webkul no longer returns are
+  // dropped and the index counts as freshly built.
+  markBuilt(seenSellerIds) {
+    const seen = new Set([...seenSellerIds].map(String));
+    for (const sellerId of [...this.sellers.keys()]) {
+      if (!seen.has(sellerId)) {
+        this._drop(sellerId);
+      }
+    }
+
+    this.builtAt = new Date().toISOString();
+    this.save();
+  }
+
+  isStale() {
+    if (!this.builtAt) {
+      return true;
+    }
+
+    return Date.now() - Date.parse(this.builtAt) > this.maxAgeMinutes * 60 * 1000;
+  }
+
+  rebuild() {
+    if (!this.rebuildInFlight) {
+      this.rebuildInFlight = this._rebuild().finally(() => {
+        this.rebuildInFlight = null;
+      });
+    }
+
+    return this.rebuildInFlight;
+  }
+
+  async _rebuild() {
+    const startedAt = Date.now();
+    const seen = new Set();
+
+    for (let page = 1; page <= this.maxPages; page += 1) {
+      const sellers = await this.webkulClient.listSellers({ limit: this.pageSize, page });
+      const fresh = sellers.filter((seller) => seller?.id && !seen.has(String(seller.id)));
+      if (fresh.length === 0) {
+        break;
+      }
+
+      fresh.forEach((seller) => seen.add(String(seller.id)));
+      this.upsertMany(fresh, { persist: false });
+
+      if (sellers.length < this.pageSize) {
+        break;
+      }
+    }
+
+    this.markBuilt(seen);
+    this.logger.info("Seller index rebuilt", {
+      sellerCount: this.sellers.size,
+      durationMs: Date.now() - startedAt
+    });
+
+    return this.sellers.size;
+  }
+
+  _idsFor(name, key) {
+    return key ? [...(this.lookups[name].get(key) || [])] : [];
+  }
+
+  _exactCandidateIds(hints) {
+    const storeNameKey = compactName(hints.storeName);
+    const handleKey = compactName(hints.storeNameHandle);
+
+    return new Set([
+      ...this._idsFor("handle", handleKey),
+      ...this._idsFor("handle", storeNameKey),
+      ...this._idsFor("storeName", storeNameKey),
+      ...this._idsFor("storeName", handleKey),
+      ...this._idsFor("email", normalizeText(hints.sellerEmail)),
+      ...this._idsFor("phone", normalizeIndonesianPhone(hints.contact))
+    ]);
+  }
+
+  _score(sellerIds, hints) {
+    const candidates = [];
+    for (const sellerId of sellerIds) {
+      const seller = this.sellers.get(sellerId);
+      const match = scoreSellerMatch(seller, hints, { threshold: this.matchThreshold });
+      if (match.score > 0) {
+        candidates.push(toMatchCandidate(seller, match));
+      }
+    }
+    return candidates;
+  }
+
+  _match(hints) {
+    // Key lookups first; the fuzzy scan over every seller only runs when no
+    // identifier or normalized name matched exactly.
+    const exact = this._score(this._exactCandidateIds(hints), hints);
+    const candidates = exact.length > 0 ? exact : this._score(this.sellers.keys(), hints);
+    return pickSellerCandidate(candidates, { ambiguityMargin: this.ambiguityMargin });
+  }
+
+  // With rebuild off the lookup never goes to Webkul and only matches what
+  // the index already holds.
+  async match(rawHints, { rebuild = true } = {}) {
+    const hints = normalizeSellerHints(rawHints);
+    const empty = { sellerId: "", matchedBy: "", score: 0, ambiguous: false, candidates: [] };
+
+    const directId = normalizeText(hints.sellerId);
+    if (/^\d+$/.test(directId)) {
+      return { ...empty, sellerId: directId, matchedBy: "seller_id", score: 100 };
+    }
+
+    if (!Object.values(hints).some((value) => normalizeText(value) !== "")) {
+      return empty;
+    }
+
+    if (!this.builtAt && rebuild) {
+      await this.rebuild();
+    }
+
+    const result = this._match(hints);
+    if (result.candidates.length > 0 || !this.isStale() || !rebuild) {
+      return result;
+    }
+
+    // A miss on an old index may be a seller created since; rebuild once.
+    await this.rebuild();
+    return this._match(hints);
+  }
+
+  async resolveSellerId(hints, options) {
+    const result = await this.match(hints, options);
+
+    if (result.ambiguous) {
+      this.logger.warn("Ambiguous seller match from hints", {
+        candidates: result.candidates
+      });
+      return "";
+    }
+
+    if (result.sellerId) {
+      this.logger.info("Resolved seller ID from seller index", {
+        sellerId: result.sellerId,
+        matchedBy: result.matchedBy,
+        score: result.score
+      });
+    }
+
+    return result.sellerId;
+  }
+
+  status() {
+    return {
+      size: this.sellers.size,
+      builtAt: this.builtAt,
+      stale: this.isStale(),
+      rebuilding: Boolean(this.rebuildInFlight)
+    };
+  }
+}
+
+module.exports = {
+  SellerIndex
+};
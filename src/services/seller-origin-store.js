@@ -38,12 +38,15 @@ class SellerOriginStore {
     }
   }
 
-  upsert(origin) {
+  // Bulk writers (the catalog sync) skip persisting per record and call
+  // save() once at the end.
+  upsert(origin, { persist = true } = {}) {
     if (!origin || !origin.sellerId) {
       return;
     }
 
     const sellerId = String(origin.sellerId);
+    const existing = this.data[sellerId];
     const nextValue = {
       sellerId,
       postalCode: origin.postalCode || "",
@@ -58,12 +61,61 @@ class SellerOriginStore {
       shopDomain: origin.shopDomain || "",
       latitude: origin.latitude || "",
       longitude: origin.longitude || "",
+      locationId: origin.locationId ? String(origin.locationId) : "",
+      // A single-origin update (Flow, admin) replaces the warehouse list;
+      // keeping the old locations would keep rating from the old address.
+      locations: Array.isArray(origin.locations) ? origin.locations : [],
       source: origin.source || "manual",
+      issues: Array.isArray(origin.issues) ? origin.issues : [],
+      webkulStatus: origin.webkulStatus || existing?.webkulStatus || "",
+      availability: origin.availability || existing?.availability || null,
+      pickupSchedule: origin.pickupSchedule || existing?.pickupSchedule || null,
+      syncedAt: origin.syncedAt || "",
       updatedAt: new Date().toISOString()
     };
 
     this.data[sellerId] = nextValue;
+    if (persist) {
+      this.save();
+    }
+  }
+
+  // Availability is edited separately from the origin so syncs and Flow
+  // updates never clear an admin's vacation or closure settings.
+  setAvailability(sellerId, availability) {
+    const existing = this.get(sellerId);
+    if (!existing) {
+      return null;
+    }
+
+    existing.availability = availability;
+    existing.updatedAt = new Date().toISOString();
+    this.save();
+    return existing;
+  }
+
+  setPickupSchedule(sellerId, pickupSchedule) {
+    const existing = this.get(sellerId);
+    if (!existing) {
+      return null;
+    }
+
+    existing.pickupSchedule = pickupSchedule;
+    existing.updatedAt = new Date().toISOString();
+    this.save();
+    return existing;
+  }
+
+  setWebkulStatus(sellerId, webkulStatus) {
+    const existing = this.get(sellerId);
+    if (!existing || existing.webkulStatus === webkulStatus) {
+      return existing;
+    }
+
+    existing.webkulStatus = webkulStatus;
+    existing.updatedAt = new Date().toISOString();
     this.save();
+    return existing;
   }
 
   get(sellerId) {
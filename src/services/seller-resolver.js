@@ -0,0 +1,346 @@
+const { normalizePostalCode } = require("../utils/location");
+const { mapWithConcurrency } = require("../utils/concurrency");
+const {
+  nextAvailabilityChange,
+  resolveAvailability
+} = require("../utils/availability");
+const { MemoryCache } = require("./memory-cache");
+const { currentLane, runInBackgroundLane } = require("./token-bucket-limiter");
+const {
+  MarketplaceSourceChain,
+  WebkulMarketplaceSource
+} = require("./marketplace-sources");
+
+function runDirect(task) {
+  return task();
+}
+
+class SellerResolver {
+  constructor(options) {
+    this.config = options.config;
+    this.logger = options.logger;
+    this.webkulClient = options.webkulClient;
+    this.marketplaceSource =
+      options.marketplaceSource ||
+      new MarketplaceSourceChain({
+        sources: [new WebkulMarketplaceSource({ webkulClient: this.webkulClient })]
+      });
+    this.variantCache = options.variantCache;
+    this.sellerCache = options.sellerCache;
+    this.sellerOriginStore = options.sellerOriginStore;
+    this.variantMappingStore = options.variantMappingStore || null;
+    this.originChoiceCache =
+      options.originChoiceCache || new MemoryCache({ ttlSeconds: 86400, maxEntries: 1000 });
+    this.stockCache =
+      options.stockCache || new MemoryCache({ ttlSeconds: 300, maxEntries: 3000 });
+    this.concurrency = Number.isInteger(options.concurrency)
+      ? Math.max(1, options.concurrency)
+      : 5;
+
+    this.inFlight = new Map();
+    this.counters = {
+      started: 0,
+      shared: 0,
+      staleServed: 0,
+      backgroundRefreshes: 0
+    };
+  }
+
+  // Concurrent callers asking for the same key share one upstream request.
+  // Requests are shared per lane only, so a checkout lookup never waits on a
+  // background request queued behind the background rate limit.
+  _singleFlight(key, task) {
+    const laneKey = `${currentLane()}:${key}`;
+    const existing = this.inFlight.get(laneKey);
+    if (existing) {
+      this.counters.shared += 1;
+      return existing;
+    }
+
+    this.counters.started += 1;
+    const promise = Promise.resolve()
+      .then(task)
+      .finally(() => {
+        this.inFlight.delete(laneKey);
+      });
+
+    this.inFlight.set(laneKey, promise);
+    return promise;
+  }
+
+  // Persisted mappings are served while fresh; inside the refresh-ahead window
+  // they are still served but re-fetched in the background, and once expired
+  // they are only used if Webkul cannot be reached.
+  async getVariantMapping(shopifyVariantId) {
+    const cacheKey = String(shopifyVariantId);
+    const cached = this.variantCache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const persisted = this.variantMappingStore
+      ? this.variantMappingStore.get(cacheKey)
+      : null;
+
+    if (persisted?.sellerId) {
+      const ttlSeconds = this.config.cache.variantTtlSeconds;
+      const ageSeconds = (Date.now() - Date.parse(persisted.refreshedAt || 0)) / 1000;
+      const refreshAtSeconds = Math.max(
+        0,
+        ttlSeconds - (this.config.cache.variantRefreshAheadSeconds || 0)
+      );
+
+      if (persisted.override) {
+        this.variantCache.set(cacheKey, persisted, ttlSeconds);
+        return persisted;
+      }
+
+      if (ageSeconds < ttlSeconds) {
+        if (ageSeconds >= refreshAtSeconds) {
+          this._refreshInBackground(cacheKey);
+        } else {
+          this.variantCache.set(
+            cacheKey,
+            persisted,
+            Math.max(1, Math.floor(refreshAtSeconds - ageSeconds))
+          );
+        }
+        return persisted;
+      }
+    }
+
+    return this.refreshVariantMapping(cacheKey, { allowStale: true });
+  }
+
+  refreshVariantMapping(shopifyVariantId, { allowStale = false } = {}) {
+    const cacheKey = String(shopifyVariantId);
+    return this._singleFlight(`variant:${cacheKey}`, () =>
+      this._fetchVariantMapping(cacheKey, { allowStale })
+    );
+  }
+
+  async _fetchVariantMapping(cacheKey, { allowStale }) {
+    try {
+      const resolved = await this.marketplaceSource.resolveVariantToSeller(cacheKey);
+      this.variantCache.set(cacheKey, resolved, this.config.cache.variantTtlSeconds);
+      if (this.variantMappingStore) {
+        this.variantMappingStore.upsert(resolved);
+      }
+      return resolved;
+    } catch (error) {
+      const persisted = this.variantMappingStore
+        ? this.variantMappingStore.recordFailure(cacheKey, error)
+        : null;
+
+      if (allowStale && persisted?.sellerId) {
+        this.counters.staleServed += 1;
+        this.logger.warn("Serving stale variant mapping, Webkul lookup failed", {
+          shopifyVariantId: cacheKey,
+          sellerId: persisted.sellerId,
+          refreshedAt: persisted.refreshedAt,
+          error: error.message
+        });
+        return persisted;
+      }
+
+      throw error;
+    }
+  }
+
+  _refreshInBackground(cacheKey) {
+    this.counters.backgroundRefreshes += 1;
+    runInBackgroundLane(() => this.refreshVariantMapping(cacheKey)).catch((error) => {
+      this.logger.warn("Background variant mapping refresh failed", {
+        shopifyVariantId: cacheKey,
+        error: error.message
+      });
+    });
+  }
+
+  async getSellerOrigin(sellerId) {
+    const sellerKey = String(sellerId);
+
+    const persisted = this.sellerOriginStore.get(sellerKey);
+    if (persisted?.postalCode) {
+      return persisted;
+    }
+
+    const cached = this.sellerCache.get(sellerKey);
+    if (cached?.postalCode) {
+      return cached;
+    }
+
+    return this._singleFlight(`seller:${sellerKey}`, () =>
+      this._resolveSellerOrigin(sellerKey)
+    );
+  }
+
+  refreshSellerOrigin(sellerId) {
+    const sellerKey = String(sellerId);
+    return this._singleFlight(`seller-refresh:${sellerKey}`, () =>
+      this._fetchSellerOrigin(sellerKey)
+    );
+  }
+
+  // Sources only return location fields, so identity fields filled in by the
+  // catalog sync or Flow are carried over instead of being blanked.
+  async _fetchSellerOrigin(sellerKey) {
+    const resolved = await this.marketplaceSource.resolveSellerOrigin(sellerKey);
+    const existing = this.sellerOriginStore.get(sellerKey);
+    const merged = existing
+      ? {
+          ...resolved,
+          contact: existing.contact,
+          sellerEmail: existing.sellerEmail,
+          storeName: existing.storeName,
+          storeNameHandle: existing.storeNameHandle,
+          shopDomain: existing.shopDomain,
+          issues: (existing.issues || []).filter((issue) => issue !== "missing_zipcode"),
+          syncedAt: existing.syncedAt
+        }
+      : resolved;
+
+    this.sellerCache.set(sellerKey, merged, this.config.cache.sellerTtlSeconds);
+    this.sellerOriginStore.upsert(merged);
+    return merged;
+  }
+
+  async _resolveSellerOrigin(sellerKey) {
+    try {
+      return await this._fetchSellerOrigin(sellerKey);
+    } catch (error) {
+      const fallbackPostalCode = normalizePostalCode(
+        this.config.shipping.defaultOriginPostalCode,
+        { length: this.config.shipping.postalCodeLength }
+      );
+
+      if (fallbackPostalCode) {
+        const fallback = {
+          sellerId: sellerKey,
+          postalCode: fallbackPostalCode,
+          city: "",
+          state: "",
+          country: "ID",
+          address1: "",
+          source: "default_origin"
+        };
+        this.logger.warn("Using default origin postal code for seller", {
+          sellerId: sellerKey,
+          fallbackPostalCode,
+          error: error.message
+        });
+        return fallback;
+      }
+
+      throw error;
+    }
+  }
+
+  // Rating records which warehouse it quoted so order creation can ship from
+  // the same one for that seller and destination.
+  rememberOriginChoice(sellerId, destinationPostalCode, locationId) {
+    if (!locationId) {
+      return;
+    }
+
+    this.originChoiceCache.set(
+      `${sellerId}:${destinationPostalCode || ""}`,
+      String(locationId),
+      this.config.cache.originChoiceTtlSeconds
+    );
+  }
+
+  recallOriginChoice(sellerId, destinationPostalCode) {
+    return this.originChoiceCache.get(`${sellerId}:${destinationPostalCode || ""}`) || "";
+  }
+
+  // Availability lives on the stored origin only; sellers known solely from
+  // the Webkul cache are treated as open.
+  getSellerAvailability(sellerId, at = Date.now()) {
+    return resolveAvailability(this.sellerOriginStore.get(sellerId), at);
+  }
+
+  getSellerAvailabilityChange(sellerId, at = Date.now()) {
+    return nextAvailabilityChange(this.sellerOriginStore.get(sellerId), at);
+  }
+
+  getSellerPickupSchedule(sellerId) {
+    return this.sellerOriginStore.get(sellerId)?.pickupSchedule || null;
+  }
+
+  // Location stock is short-lived, so it is cached briefly and never
+  // persisted. Lookup failures count as unknown stock rather than none.
+  async getVariantStock(mapping) {
+    if (!mapping?.shopifyVariantId) {
+      return null;
+    }
+
+    const cacheKey = String(mapping.shopifyVariantId);
+    const cached = this.stockCache.get(cacheKey);
+    if (cached) {
+      return cached.stock;
+    }
+
+    return this._singleFlight(`stock:${cacheKey}`, async () => {
+      try {
+        const stock = await this.marketplaceSource.getVariantLocationStock(mapping);
+        this.stockCache.set(cacheKey, { stock }, this.config.cache.stockTtlSeconds);
+        return stock;
+      } catch (error) {
+        this.logger.warn("Variant stock lookup failed, routing without stock", {
+          shopifyVariantId: cacheKey,
+          error: error.message
+        });
+        return null;
+      }
+    });
+  }
+
+  forgetVariantStock(shopifyVariantId) {
+    this.stockCache.delete(String(shopifyVariantId));
+  }
+
+  async resolveVariantStocks(mappings, { runTask = runDirect } = {}) {
+    const entries = [...(mappings || [])].filter((mapping) => mapping?.shopifyVariantId);
+    const stocks = await mapWithConcurrency(entries, this.concurrency, (mapping) =>
+      runTask(() => this.getVariantStock(mapping))
+    );
+
+    return new Map(
+      entries.map((mapping, index) => [String(mapping.shopifyVariantId), stocks[index]])
+    );
+  }
+
+  async resolveVariantMappings(variantIds, { runTask = runDirect } = {}) {
+    const ids = [...new Set((variantIds || []).map((id) => String(id)))];
+    const mappings = await mapWithConcurrency(ids, this.concurrency, (variantId) =>
+      runTask(() => this.getVariantMapping(variantId))
+    );
+
+    return new Map(ids.map((variantId, index) => [variantId, mappings[index]]));
+  }
+
+  async resolveSellerOrigins(sellerIds, { runTask = runDirect } = {}) {
+    const ids = [...new Set((sellerIds || []).map((id) => String(id)))];
+    const origins = await mapWithConcurrency(ids, this.concurrency, (sellerId) =>
+      runTask(() => this.getSellerOrigin(sellerId))
+    );
+
+    return new Map(ids.map((sellerId, index) => [sellerId, origins[index]]));
+  }
+
+  stats() {
+    return {
+      concurrency: this.concurrency,
+      inFlight: this.inFlight.size,
+      started: this.counters.started,
+      shared: this.counters.shared,
+      staleServed: this.counters.staleServed,
+      backgroundRefreshes: this.counters.backgroundRefreshes
+    };
+  }
+}
+
+module.exports = {
+  SellerResolver
+};
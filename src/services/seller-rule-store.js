@@ -0,0 +1,100 @@
+const fs = require("node:fs");
+
+function toOptionalAmount(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric < 0) {
+    return null;
+  }
+
+  return numeric;
+}
+
+class SellerRuleStore {
+  constructor(filePath, logger) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.data = {};
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        this.data = {};
+        return;
+      }
+
+      const raw = fs.readFileSync(this.filePath, "utf8");
+      const parsed = JSON.parse(raw);
+      this.data = parsed && typeof parsed === "object" ? parsed : {};
+    } catch (error) {
+      this.logger.warn("Failed to load seller rule store, using empty store", {
+        filePath: this.filePath,
+        error: error.message
+      });
+      this.data = {};
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2), "utf8");
+    } catch (error) {
+      this.logger.error("Failed to persist seller rule store", {
+        filePath: this.filePath,
+        error: error.message
+      });
+    }
+  }
+
+  upsert(rule) {
+    if (!rule || !rule.sellerId) {
+      return null;
+    }
+
+    const sellerId = String(rule.sellerId);
+    const nextValue = {
+      sellerId,
+      handlingFeeIdr: toOptionalAmount(rule.handlingFeeIdr),
+      freeThresholdIdr: toOptionalAmount(rule.freeThresholdIdr),
+      flatRateIdr: toOptionalAmount(rule.flatRateIdr),
+      note: rule.note || "",
+      updatedAt: new Date().toISOString()
+    };
+
+    this.data[sellerId] = nextValue;
+    this.save();
+    return nextValue;
+  }
+
+  get(sellerId) {
+    if (!sellerId) {
+      return null;
+    }
+
+    return this.data[String(sellerId)] || null;
+  }
+
+  remove(sellerId) {
+    const sellerKey = String(sellerId || "");
+    if (!sellerKey || !this.data[sellerKey]) {
+      return false;
+    }
+
+    delete this.data[sellerKey];
+    this.save();
+    return true;
+  }
+
+  all() {
+    return Object.values(this.data);
+  }
+}
+
+module.exports = {
+  SellerRuleStore
+};
@@ -0,0 +1,82 @@
+const fs = require("node:fs");
+
+class SellerSyncRunStore {
+  constructor(filePath, logger, options = {}) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.maxEntries = Number.isInteger(options.maxEntries)
+      ? options.maxEntries
+      : 50;
+    this.entries = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        this.entries = [];
+        return;
+      }
+
+      const raw = fs.readFileSync(this.filePath, "utf8");
+      const parsed = JSON.parse(raw);
+      this.entries = Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      this.logger.warn("Failed to load seller sync run store, using empty history", {
+        filePath: this.filePath,
+        error: error.message
+      });
+      this.entries = [];
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.entries, null, 2), "utf8");
+    } catch (error) {
+      this.logger.error("Failed to persist seller sync run store", {
+        filePath: this.filePath,
+        error: error.message
+      });
+    }
+  }
+
+  saveRun(run) {
+    if (!run || !run.id) {
+      return null;
+    }
+
+    const index = this.entries.findIndex((entry) => entry.id === run.id);
+    if (index >= 0) {
+      this.entries[index] = run;
+    } else {
+      this.entries.push(run);
+    }
+
+    if (this.entries.length > this.maxEntries) {
+      this.entries = this.entries.slice(this.entries.length - this.maxEntries);
+    }
+
+    this.save();
+    return run;
+  }
+
+  list(limit = 20) {
+    const normalizedLimit = Math.max(1, Number.parseInt(limit, 10) || 20);
+    const copy = this.entries.slice();
+    copy.reverse();
+    return copy.slice(0, normalizedLimit);
+  }
+
+  get(id) {
+    if (!id) {
+      return null;
+    }
+
+    return this.entries.find((entry) => String(entry.id) === String(id)) || null;
+  }
+}
+
+module.exports = {
+  SellerSyncRunStore
+};
@@ -0,0 +1,294 @@
+const {
+  normalizeCourierStatus,
+  toTrackingPhase,
+  isTerminalPhase,
+  phaseRank
+} = require("../utils/shipment-status");
+const { runInBackgroundLane } = require("./token-bucket-limiter");
+
+function historyKey(entry) {
+  return `${entry.status}|${entry.at}`;
+}
+
+// Keeps the Biteship side of each created shipment in the order sync store
+// up to date: latest courier status, waybill and a status history. Updates
+// come from the polling job here and from Biteship webhooks.
+class ShipmentTrackingService {
+  constructor(options) {
+    this.config = options.config;
+    this.logger = options.logger;
+    this.biteshipClient = options.biteshipClient;
+    this.orderSyncStore = options.orderSyncStore;
+    this.historySize = Number.isInteger(options.historySize) ? options.historySize : 50;
+    this.pollTimer = null;
+    this.pollInFlight = null;
+  }
+
+  _isTrackable(shipment) {
+    return (
+      shipment?.status === "created" &&
+      Boolean(shipment.biteshipOrderId) &&
+      !shipment.trackingTerminal
+    );
+  }
+
+  // updates: [{ status, note, at }] oldest first; fields: { waybillId,
+  // trackingId }. Entries already in the history are ignored, so replays
+  // and overlapping polls are harmless. An update without a valid timestamp
+  // only counts when its status is not in the history yet.
+  applyUpdates(shipment, updates, { source, waybillId = "", trackingId = "" } = {}) {
+    const history = Array.isArray(shipment.statusHistory) ? shipment.statusHistory.slice() : [];
+    const seen = new Set(history.map(historyKey));
+    const added = [];
+
+    for (const update of updates) {
+      const status = normalizeCourierStatus(update.status);
+      const updatedAt = update.at ? Date.parse(update.at) : NaN;
+      const at = Number.isNaN(updatedAt) ? "" : new Date(updatedAt).toISOString();
+      if (!status || (!at && history.some((entry) => entry.status === status))) {
+        continue;
+      }
+
+      const entry = {
+        status,
+        phase: toTrackingPhase(status),
+        note: String(update.note || ""),
+        at: at || new Date().toISOString(),
+        source
+      };
+
+      if (seen.has(historyKey(entry))) {
+        continue;
+      }
+
+      seen.add(historyKey(entry));
+      history.push(entry);
+      added.push(entry);
+    }
+
+    const changedWaybill = Boolean(waybillId) && waybillId !== shipment.waybillId;
+    const changedTrackingId = Boolean(trackingId) && trackingId !== shipment.biteshipTrackingId;
+
+    if (added.length === 0 && !changedWaybill && !changedTrackingId) {
+      return { changed: false, added };
+    }
+
+    history.sort((a, b) => a.at.localeCompare(b.at));
+    const latest = history[history.length - 1] || null;
+    const latestKnown =
+      history.filter((entry) => entry.phase !== "unknown").pop() || null;
+
+    Object.assign(shipment, {
+      statusHistory: history.slice(-this.historySize),
+      trackedAt: new Date().toISOString()
+    });
+
+    // Unknown statuses are kept in the history and as courierStatus, but
+    // the phase stays at the last status we could map.
+    if (latest) {
+      shipment.courierStatus = latest.status;
+      shipment.trackingStatus = latestKnown ? latestKnown.phase : "unknown";
+      shipment.trackingTerminal = isTerminalPhase(shipment.trackingStatus);
+      if (latestKnown?.phase === "delivered" && !shipment.deliveredAt) {
+        shipment.deliveredAt = latestKnown.at;
+      }
+    }
+
+    if (waybillId) {
+      shipment.waybillId = waybillId;
+      shipment.trackingNumber = shipment.trackingNumber || waybillId;
+    }
+    if (trackingId) {
+      shipment.biteshipTrackingId = trackingId;
+    }
+
+    return { changed: true, added };
+  }
+
+  // The order is as far along as its slowest open shipment; it is terminal
+  // once every created shipment is.
+  summarize(record) {
+    const tracked = (record.shipments || []).filter(
+      (shipment) => shipment.status === "created" && shipment.trackingStatus
+    );
+    if (tracked.length === 0) {
+      return {};
+    }
+
+    const slowest = tracked.reduce((current, shipment) =>
+      phaseRank(shipment.trackingStatus) < phaseRank(current.trackingStatus) ? shipment : current
+    );
+    const created = (record.shipments || []).filter((shipment) => shipment.status === "created");
+
+    return {
+      trackingStatus: slowest.trackingStatus,
+      trackingTerminal:
+        tracked.length === created.length && created.every((shipment) => shipment.trackingTerminal)
+    };
+  }
+
+  async _fetchUpdates(shipment) {
+    let trackingId = shipment.biteshipTrackingId || "";
+    let waybillId = "";
+    const updates = [];
+
+    if (!trackingId) {
+      const response = await this.biteshipClient.getOrder(shipment.biteshipOrderId);
+      const order = response?.order || response || {};
+      trackingId = String(order.courier?.tracking_id || "");
+      waybillId = String(order.courier?.waybill_id || "");
+      if (!trackingId && order.status) {
+        updates.push({ status: order.status, at: order.updated_at || order.courier?.updated_at });
+      }
+    }
+
+    if (trackingId) {
+      const tracking = await this.biteshipClient.getTracking(trackingId);
+      waybillId = String(tracking?.waybill_id || waybillId || "");
+      for (const entry of Array.isArray(tracking?.history) ? tracking.history : []) {
+        updates.push({ status: entry.status, note: entry.note, at: entry.updated_at });
+      }
+      if (updates.length === 0 && tracking?.status) {
+        updates.push({ status: tracking.status, at: tracking.updated_at });
+      }
+    }
+
+    return { updates, waybillId, trackingId };
+  }
+
+  async syncOrder(orderId) {
+    const record = this.orderSyncStore.get(orderId);
+    if (!record) {
+      return null;
+    }
+
+    const result = { orderId: record.orderId, checked: 0, changed: 0, failed: 0 };
+    const polled = [];
+
+    for (const shipment of (record.shipments || []).filter((entry) => this._isTrackable(entry))) {
+      result.checked += 1;
+      try {
+        polled.push({
+          biteshipOrderId: shipment.biteshipOrderId,
+          ...(await this._fetchUpdates(shipment))
+        });
+      } catch (error) {
+        result.failed += 1;
+        polled.push({ biteshipOrderId: shipment.biteshipOrderId, error: error.message });
+        this.logger.warn("Failed to sync Biteship shipment tracking", {
+          shopifyOrderId: record.orderId,
+          sellerId: shipment.sellerId,
+          biteshipOrderId: shipment.biteshipOrderId,
+          error: error.message
+        });
+      }
+    }
+
+    if (polled.length === 0) {
+      return result;
+    }
+
+    // Cancellations, webhooks and re-creates can write the record while
+    // Biteship is being polled, so the results go onto the latest copy.
+    const current = this.orderSyncStore.get(orderId) || record;
+    const shipments = (current.shipments || []).map((shipment) => ({ ...shipment }));
+
+    for (const entry of polled) {
+      const shipment = shipments.find(
+        (candidate) => candidate.biteshipOrderId === entry.biteshipOrderId
+      );
+      if (!this._isTrackable(shipment)) {
+        continue;
+      }
+
+      if (entry.error) {
+        shipment.trackingError = entry.error;
+        shipment.trackedAt = new Date().toISOString();
+        continue;
+      }
+
+      delete shipment.trackingError;
+      const outcome = this.applyUpdates(shipment, entry.updates, {
+        source: "poll",
+        waybillId: entry.waybillId,
+        trackingId: entry.trackingId
+      });
+      if (outcome.changed) {
+        result.changed += 1;
+      }
+    }
+
+    this.orderSyncStore.saveRecord({
+      orderId: current.orderId,
+      shipments,
+      ...this.summarize({ ...current, shipments })
+    });
+
+    return result;
+  }
+
+  // Least recently tracked orders go first so a large backlog is worked
+  // through over several passes.
+  async syncOpenShipments({ limit = this.config.order.trackingPollBatchSize } = {}) {
+    const lastTrackedAt = (record) =>
+      (record.shipments || [])
+        .filter((shipment) => this._isTrackable(shipment))
+        .map((shipment) => shipment.trackedAt || "")
+        .sort()[0] ?? "";
+    const open = this.orderSyncStore
+      .all()
+      .filter((record) => (record.shipments || []).some((shipment) => this._isTrackable(shipment)))
+      .sort((a, b) => lastTrackedAt(a).localeCompare(lastTrackedAt(b)))
+      .slice(0, Math.max(1, limit || 50));
+
+    const results = [];
+    for (const record of open) {
+      results.push(await this.syncOrder(record.orderId));
+    }
+
+    if (results.length > 0) {
+      this.logger.info("Biteship tracking synced", {
+        orders: results.length,
+        shipments: results.reduce((sum, entry) => sum + entry.checked, 0),
+        changed: results.reduce((sum, entry) => sum + entry.changed, 0),
+        failed: results.reduce((sum, entry) => sum + entry.failed, 0)
+      });
+    }
+
+    return results;
+  }
+
+  runPoll() {
+    if (!this.pollInFlight) {
+      this.pollInFlight = runInBackgroundLane(() => this.syncOpenShipments()).finally(() => {
+        this.pollInFlight = null;
+      });
+    }
+
+    return this.pollInFlight;
+  }
+
+  schedule() {
+    const intervalMinutes = this.config.order.trackingPollIntervalMinutes;
+    if (!(intervalMinutes > 0) || this.pollTimer) {
+      return false;
+    }
+
+    this.pollTimer = setInterval(() => {
+      this.runPoll().catch(() => {});
+    }, intervalMinutes * 60 * 1000);
+    this.pollTimer.unref();
+    return true;
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+}
+
+module.exports = {
+  ShipmentTrackingService
+};
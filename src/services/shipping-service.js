@@ -2,17 +2,44 @@ const crypto = require("node:crypto");
 const { fromShopifySubunits, toShopifySubunits } = require("../utils/money");
 const { stableStringify, sha256Hex } = require("../utils/hash");
 const { normalizePostalCode, truthy } = require("../utils/location");
+const {
+  planVolumetricBatches,
+  chargeableWeightGrams
+} = require("../utils/weight");
+const {
+  packItems,
+  toParcelItem,
+  combineParcelRates
+} = require("../utils/packing");
+const { applyPricingRule } = require("../utils/pricing");
+const { daysUntil } = require("../utils/availability");
+const {
+  originCandidates,
+  rankOriginsByProximity,
+  totalStock,
+  filterCandidatesByStock
+} = require("../utils/origin-selection");
+const {
+  createDeadline,
+  deadlineExceededError,
+  upstreamTimeoutError,
+  isDeadlineError,
+  runWithTimeout
+} = require("../utils/deadline");
 
 class ShippingService {
   constructor(options) {
     this.config = options.config;
     this.logger = options.logger;
-    this.webkulClient = options.webkulClient;
     this.biteshipClient = options.biteshipClient;
-    this.variantCache = options.variantCache;
-    this.sellerCache = options.sellerCache;
+    this.sellerResolver = options.sellerResolver;
     this.rateCache = options.rateCache;
-    this.sellerOriginStore = options.sellerOriginStore;
+    this.staleRateCache = options.staleRateCache;
+    this.routeRateCache = options.routeRateCache;
+    this.sellerRuleStore = options.sellerRuleStore;
+    this.boxCatalogStore = options.boxCatalogStore;
+    this.pricingRuleStore = options.pricingRuleStore;
+    this.rateCardStore = options.rateCardStore;
   }
 
   _sanitizeServiceCode(rawCode) {
@@ -93,62 +120,96 @@ class ShippingService {
     return sha256Hex(stableStringify(payload));
   }
 
-  async _getVariantMapping(shopifyVariantId) {
-    const cacheKey = String(shopifyVariantId);
-    const cached = this.variantCache.get(cacheKey);
-    if (cached) {
-      return cached;
-    }
+  // Keyed on what Biteship actually sees for one seller group, so the same
+  // route and parcels reuse rates regardless of what else is in the cart.
+  _buildRouteRateCacheKey(group, destination) {
+    const parcels = (group.parcels || []).map((parcel) =>
+      parcel.items
+        .map((item) => ({
+          value: item.value,
+          weight: item.weight,
+          quantity: item.quantity,
+          length: item.length || 0,
+          width: item.width || 0,
+          height: item.height || 0
+        }))
+        .sort((a, b) => stableStringify(a).localeCompare(stableStringify(b)))
+    );
+
+    const payload = {
+      originPostalCode: group.originPostalCode || "",
+      originLatitude: this._toFiniteNumber(group.originLatitude),
+      originLongitude: this._toFiniteNumber(group.originLongitude),
+      destinationPostalCode: destination.postalCode || "",
+      destinationLatitude: destination.latitude,
+      destinationLongitude: destination.longitude,
+      couriers: this.config.biteship.couriers,
+      itemsHash: sha256Hex(stableStringify(parcels))
+    };
 
-    const resolved = await this.webkulClient.resolveVariantToSeller(shopifyVariantId);
-    this.variantCache.set(cacheKey, resolved, this.config.cache.variantTtlSeconds);
-    return resolved;
+    return `route:${sha256Hex(stableStringify(payload))}`;
   }
 
-  async _getSellerOrigin(sellerId) {
-    const sellerKey = String(sellerId);
+  _rateCacheTags({ sellerIds, destinationPostalCode, courierCodes = [] }) {
+    return [
+      ...sellerIds.map((sellerId) => `seller:${sellerId}`),
+      ...courierCodes.map((courierCode) => `courier:${courierCode}`),
+      `destination:${destinationPostalCode || ""}`
+    ];
+  }
 
-    const persisted = this.sellerOriginStore.get(sellerKey);
-    if (persisted?.postalCode) {
-      return persisted;
-    }
+  // Route entries hold raw Biteship rates, so only origin/route changes touch
+  // them; seller and pricing rules are applied on top and only affect the
+  // whole-cart layers.
+  invalidateRateCache(
+    { sellerId, destinationPostalCode, courierCode, all = false } = {},
+    { includeRoutes = true } = {}
+  ) {
+    const layers = {
+      rate: this.rateCache,
+      staleRate: this.staleRateCache,
+      routeRate: includeRoutes ? this.routeRateCache : null
+    };
 
-    const cached = this.sellerCache.get(sellerKey);
-    if (cached?.postalCode) {
-      return cached;
+    const tags = [];
+    if (sellerId) {
+      tags.push(`seller:${sellerId}`);
     }
-
-    try {
-      const resolved = await this.webkulClient.resolveSellerOrigin(sellerKey);
-      this.sellerCache.set(sellerKey, resolved, this.config.cache.sellerTtlSeconds);
-      this.sellerOriginStore.upsert(resolved);
-      return resolved;
-    } catch (error) {
-      const fallbackPostalCode = normalizePostalCode(
-        this.config.shipping.defaultOriginPostalCode,
-        { length: this.config.shipping.postalCodeLength }
+    if (destinationPostalCode) {
+      tags.push(
+        `destination:${normalizePostalCode(destinationPostalCode, {
+          length: this.config.shipping.postalCodeLength
+        })}`
       );
+    }
+    if (courierCode) {
+      tags.push(`courier:${String(courierCode).toLowerCase()}`);
+    }
 
-      if (fallbackPostalCode) {
-        const fallback = {
-          sellerId: sellerKey,
-          postalCode: fallbackPostalCode,
-          city: "",
-          state: "",
-          country: "ID",
-          address1: "",
-          source: "default_origin"
-        };
-        this.logger.warn("Using default origin postal code for seller", {
-          sellerId: sellerKey,
-          fallbackPostalCode,
-          error: error.message
-        });
-        return fallback;
+    const evicted = {};
+    for (const [name, cache] of Object.entries(layers)) {
+      if (!cache) {
+        continue;
       }
 
-      throw error;
+      if (all) {
+        evicted[name] = cache.size();
+        cache.clear();
+        continue;
+      }
+
+      evicted[name] = tags.reduce((acc, tag) => acc + cache.deleteByTag(tag), 0);
     }
+
+    this.logger.info("Rate cache invalidated", {
+      sellerId: sellerId || "",
+      destinationPostalCode: destinationPostalCode || "",
+      courierCode: courierCode || "",
+      all,
+      evicted
+    });
+
+    return evicted;
   }
 
   _buildBiteshipItem(item, variantMapping) {
@@ -193,27 +254,280 @@ class ShippingService {
     return payload;
   }
 
+  async _withDeadline(deadline, phase, task) {
+    const remainingMs = deadline.remainingMs();
+    if (remainingMs <= 0) {
+      throw deadlineExceededError(phase, deadline.budgetMs);
+    }
+
+    const upstreamTimeoutMs = this.config.shipping.upstreamTimeoutMs;
+    const budgetBound = !(upstreamTimeoutMs > 0) || remainingMs <= upstreamTimeoutMs;
+    const timeoutMs = budgetBound ? remainingMs : upstreamTimeoutMs;
+
+    return runWithTimeout(task, timeoutMs, () =>
+      budgetBound
+        ? deadlineExceededError(phase, deadline.budgetMs)
+        : upstreamTimeoutError(phase, timeoutMs)
+    );
+  }
+
+  async _timePhase(phaseTimings, name, task) {
+    const startedAt = Date.now();
+    try {
+      return await task();
+    } finally {
+      phaseTimings[name] = Date.now() - startedAt;
+    }
+  }
+
+  _staleQuote({ quoteId, error, rateCacheKey, destinationPostalCode, phaseTimings }) {
+    const stale = this.staleRateCache ? this.staleRateCache.get(rateCacheKey) : null;
+    if (!stale) {
+      return null;
+    }
+
+    this.logger.warn("Serving stale cached carrier quote", {
+      quoteId,
+      error: error.message,
+      phase: error.details?.phase || ""
+    });
+
+    return {
+      rates: stale.rates,
+      debug: {
+        quoteId,
+        source: "stale_rate_cache",
+        destinationPostalCode,
+        rateBreakdown: stale.rateBreakdown,
+        fallback: {
+          used: true,
+          source: "stale_rate_cache",
+          reason: error.message,
+          phase: error.details?.phase || ""
+        },
+        phaseTimings
+      }
+    };
+  }
+
+  _budgetExhaustedQuote({ quoteId, error, destinationPostalCode, phaseTimings }) {
+    this.logger.warn("Carrier quote budget exhausted without fallback", {
+      quoteId,
+      phase: error.details?.phase || "",
+      phaseTimings
+    });
+
+    return {
+      rates: [],
+      debug: {
+        quoteId,
+        reason: "budget_exhausted",
+        destinationPostalCode,
+        fallback: {
+          used: true,
+          source: "empty",
+          reason: error.message,
+          phase: error.details?.phase || ""
+        },
+        phaseTimings
+      }
+    };
+  }
+
+  _packGroup(group) {
+    const boxes = this.boxCatalogStore
+      ? this.boxCatalogStore.forSeller(group.sellerId)
+      : [];
+    const parcels = packItems(group.items, boxes);
+
+    if (parcels.length === 0) {
+      return [{ index: 0, boxName: "", grossWeightGrams: null, items: group.items }];
+    }
+
+    return parcels.map((parcel) => ({
+      index: parcel.index,
+      boxName: parcel.box?.name || "",
+      grossWeightGrams: parcel.grossWeightGrams,
+      items: [toParcelItem(parcel)]
+    }));
+  }
+
+  async _quoteParcel({ group, parcel, destination, deadline }) {
+    const batches = planVolumetricBatches(
+      parcel.items,
+      this.config.biteship.couriers,
+      this.config.shipping
+    );
+
+    const batchRates = await Promise.all(
+      batches.map((batch) =>
+        this._withDeadline(deadline, "biteship_rates", () =>
+          this.biteshipClient.getRates({
+            originPostalCode: group.originPostalCode,
+            destinationPostalCode: destination.postalCode,
+            originLatitude: this._toFiniteNumber(group.originLatitude),
+            originLongitude: this._toFiniteNumber(group.originLongitude),
+            destinationLatitude: destination.latitude,
+            destinationLongitude: destination.longitude,
+            items: batch.items,
+            couriers: batch.couriers.join(",")
+          })
+        )
+      )
+    );
+
+    return {
+      rates: batchRates.flat(),
+      weights: batches.flatMap((batch) =>
+        batch.weights.map((weight) => ({
+          ...weight,
+          parcelIndex: parcel.index,
+          couriers: batch.couriers
+        }))
+      )
+    };
+  }
+
+  _originFields(location) {
+    return {
+      originPostalCode: location.postalCode,
+      originLatitude: this._toFiniteNumber(location.latitude),
+      originLongitude: this._toFiniteNumber(location.longitude),
+      originLocationId: location.locationId || ""
+    };
+  }
+
+  _describeOriginSelection(rankedOrigins) {
+    const strategy =
+      rankedOrigins.length > 1 ? this.config.shipping.originSelection || "nearest" : "single";
+
+    return {
+      strategy,
+      chosenLocationId: rankedOrigins[0].location.locationId || "",
+      candidates: rankedOrigins.map(({ location, distanceKm, postalPrefixMatch }) => ({
+        locationId: location.locationId || "",
+        postalCode: location.postalCode,
+        distanceKm,
+        postalPrefixMatch
+      }))
+    };
+  }
+
+  // Ranks only the warehouses that hold every stocked item of the group, so
+  // the quote ships from where the goods actually are.
+  _rankGroupOrigins(group, origin, destination) {
+    const demand = [...group.stockDemand.values()];
+    const stockRouting = filterCandidatesByStock(originCandidates(origin), demand);
+    const rankedOrigins = rankOriginsByProximity(stockRouting.candidates, destination).slice(
+      0,
+      Math.max(1, this.config.shipping.maxOriginCandidates || 1)
+    );
+
+    Object.assign(group, this._originFields(rankedOrigins[0].location), {
+      rankedOrigins,
+      originSelection: {
+        ...this._describeOriginSelection(rankedOrigins),
+        ...(demand.length > 0
+          ? {
+              stock: {
+                excludedLocationIds: stockRouting.excludedLocationIds,
+                split: stockRouting.split
+              }
+            }
+          : {})
+      }
+    });
+  }
+
+  async _resolveVariantStocks(variantMappings, deadline) {
+    if (!this.config.shipping.inventoryRouting) {
+      return new Map();
+    }
+
+    try {
+      return await this.sellerResolver.resolveVariantStocks(variantMappings.values(), {
+        runTask: (task) => this._withDeadline(deadline, "variant_stock", task)
+      });
+    } catch (error) {
+      if (!isDeadlineError(error)) {
+        throw error;
+      }
+
+      this.logger.warn("Variant stock lookup ran out of budget, routing without stock", {
+        error: error.message
+      });
+      return new Map();
+    }
+  }
+
+  _getSellerRule(sellerId) {
+    if (!this.sellerRuleStore) {
+      return null;
+    }
+
+    return this.sellerRuleStore.get(String(sellerId)) || null;
+  }
+
+  _applySellerRule(rate, group) {
+    const rule = group.sellerRule;
+    if (!rule) {
+      return rate;
+    }
+
+    let price =
+      rule.flatRateIdr !== null && rule.flatRateIdr !== undefined
+        ? rule.flatRateIdr
+        : rate.price;
+
+    price += Math.max(0, rule.handlingFeeIdr || 0);
+
+    const freeThreshold = Math.max(0, rule.freeThresholdIdr || 0);
+    if (freeThreshold > 0 && (group.subtotalIdr || 0) >= freeThreshold) {
+      price = 0;
+    }
+
+    return {
+      ...rate,
+      price,
+      basePrice: rate.price
+    };
+  }
+
+  _getPricingRule(courierCode, serviceCode) {
+    if (!this.pricingRuleStore) {
+      return null;
+    }
+
+    return this.pricingRuleStore.resolve(courierCode, serviceCode) || null;
+  }
+
   _rateKey(rate) {
     return `${rate.courierCode}__${rate.serviceCode}`;
   }
 
   _toShopifyRate(rate, currency, sellerGroupCount, isFallback) {
-    const serviceName = isFallback
-      ? `${this.config.shipping.serviceNamePrefix} Multi Seller (Cheapest)`
-      : `${this.config.shipping.serviceNamePrefix} ${rate.courierName} ${rate.serviceName}`;
-
-    const serviceCode = isFallback
-      ? "BSH_MULTI_CHEAPEST"
-      : this._sanitizeServiceCode(`BSH_${rate.courierCode}_${rate.serviceCode}`);
+    let serviceName = `${this.config.shipping.serviceNamePrefix} ${rate.courierName} ${rate.serviceName}`;
+    let serviceCode = this._sanitizeServiceCode(
+      `BSH_${rate.courierCode}_${rate.serviceCode}`
+    );
+    let description = `Biteship ${rate.courierName} ${rate.serviceName} (${sellerGroupCount} origin seller)`;
+
+    if (rate.offline) {
+      serviceName = `${this.config.shipping.serviceNamePrefix} ${rate.serviceName} (Estimated)`;
+      serviceCode = this._sanitizeServiceCode(`FALLBACK_${rate.serviceCode}`);
+      description = `Estimated offline rate, courier assigned after checkout (${sellerGroupCount} origin seller)`;
+    } else if (isFallback) {
+      serviceName = `${this.config.shipping.serviceNamePrefix} Multi Seller (Cheapest)`;
+      serviceCode = "BSH_MULTI_CHEAPEST";
+      description = `Cheapest mixed courier (${sellerGroupCount} origin seller)`;
+    }
 
     const payload = {
       service_name: serviceName,
       service_code: serviceCode,
       total_price: String(toShopifySubunits(rate.totalPriceIdr)),
       currency,
-      description: isFallback
-        ? `Cheapest mixed courier (${sellerGroupCount} origin seller)`
-        : `Biteship ${rate.courierName} ${rate.serviceName} (${sellerGroupCount} origin seller)`,
+      description,
       phone_required: this.config.shopify.phoneRequired
     };
 
@@ -230,10 +544,79 @@ class ShippingService {
     return payload;
   }
 
-  _aggregate(groupRates, subtotalIdr) {
+  // Open sellers get null. Closed sellers are refused, unless delay mode is
+  // on and the closure has a known end, in which case their estimates are
+  // pushed back by the days left until they reopen.
+  _closedSellerHandling(sellerId) {
+    const availability = this.sellerResolver.getSellerAvailability(sellerId);
+    if (availability.available) {
+      return null;
+    }
+
+    const delayDays =
+      this.config.shipping.closedSellerMode === "delay"
+        ? daysUntil(availability.reopensAt)
+        : null;
+
+    return {
+      status: availability.status,
+      source: availability.source,
+      reopensAt: availability.reopensAt,
+      refused: delayDays === null,
+      delayDays: delayDays || 0
+    };
+  }
+
+  // Closures and pricing rules are applied when a quote is computed, so a
+  // cached quote must expire by the time any of its sellers closes, reopens
+  // or gets a day closer to reopening, and by the time a pricing rule starts
+  // or ends.
+  _rateCacheTtlSeconds(sellerIds, ttlSeconds, at = Date.now()) {
+    const changes = [
+      ...sellerIds.map((sellerId) => this.sellerResolver.getSellerAvailabilityChange(sellerId, at)),
+      this.pricingRuleStore ? this.pricingRuleStore.nextChangeAt(at) : null
+    ].filter((changeAt) => changeAt !== null);
+
+    if (changes.length === 0) {
+      return ttlSeconds;
+    }
+
+    return Math.max(1, Math.min(ttlSeconds, Math.ceil((Math.min(...changes) - at) / 1000)));
+  }
+
+  _applyClosureDelays(groupRates, sellerGroups) {
+    const delays = new Map(
+      sellerGroups
+        .filter((group) => group.availability?.delayDays > 0)
+        .map((group) => [String(group.sellerId), group.availability.delayDays])
+    );
+
+    if (delays.size === 0) {
+      return groupRates;
+    }
+
+    return groupRates.map((result) => {
+      const delayDays = delays.get(String(result.sellerId));
+      if (!delayDays) {
+        return result;
+      }
+
+      return {
+        ...result,
+        rates: result.rates.map((rate) => ({
+          ...rate,
+          minDay: (rate.minDay || 0) + delayDays,
+          maxDay: (rate.maxDay || 0) + delayDays
+        }))
+      };
+    });
+  }
+
+  _aggregate(groupRates) {
     const normalizedGroups = groupRates.map((group) => {
       const deduped = new Map();
-      for (const rate of group.rates) {
+      for (const sourceRate of group.rates) {
+        const rate = this._applySellerRule(sourceRate, group);
         const key = this._rateKey(rate);
         const existing = deduped.get(key);
         if (!existing || rate.price < existing.price) {
@@ -244,6 +627,8 @@ class ShippingService {
       return {
         sellerId: group.sellerId,
         originPostalCode: group.originPostalCode,
+        hasSellerRule: Boolean(group.sellerRule),
+        subtotalIdr: group.subtotalIdr || 0,
         byKey: deduped,
         cheapest: Array.from(deduped.values()).sort((a, b) => a.price - b.price)[0] || null
       };
@@ -260,8 +645,18 @@ class ShippingService {
       commonKeys = new Set([...commonKeys].filter((key) => keys.has(key)));
     }
 
+    // The global handling fee and free threshold are defaults for seller
+    // groups without their own rule; those groups are priced by the rule.
     const handlingFee = Math.max(0, this.config.shipping.handlingFeeIdr || 0);
     const freeThreshold = Math.max(0, this.config.shipping.freeThresholdIdr || 0);
+    const defaultGroups = normalizedGroups.filter((group) => !group.hasSellerRule);
+    const defaultSubtotal = defaultGroups.reduce((sum, group) => sum + group.subtotalIdr, 0);
+    const defaultFree =
+      defaultGroups.length > 0 && freeThreshold > 0 && defaultSubtotal >= freeThreshold;
+    const defaultHandlingFee = defaultGroups.length > 0 && !defaultFree ? handlingFee : 0;
+    const chargedPrice = (group, rate) => (defaultFree && !group.hasSellerRule ? 0 : rate.price);
+    const finalize = (price, pricingRule) =>
+      (price > 0 ? applyPricingRule(price, pricingRule) : 0) + defaultHandlingFee;
 
     const aggregated = [];
     const commonKeysList = commonKeys ? [...commonKeys] : [];
@@ -272,12 +667,14 @@ class ShippingService {
       let serviceName = "Regular";
       let courierCode = "biteship";
       let serviceCode = "regular";
+      let biteshipCost = 0;
       let minDay = 0;
       let maxDay = 0;
 
       for (const group of normalizedGroups) {
         const rate = group.byKey.get(key);
-        totalPrice += rate.price;
+        totalPrice += chargedPrice(group, rate);
+        biteshipCost += rate.basePrice ?? rate.price;
         courierName = rate.courierName || courierName;
         serviceName = rate.serviceName || serviceName;
         courierCode = rate.courierCode || courierCode;
@@ -287,11 +684,8 @@ class ShippingService {
         maxDay = Math.max(maxDay, rate.maxDay || 0);
       }
 
-      totalPrice += handlingFee;
-
-      if (freeThreshold > 0 && subtotalIdr >= freeThreshold) {
-        totalPrice = 0;
-      }
+      const pricingRule = this._getPricingRule(courierCode, serviceCode);
+      totalPrice = finalize(totalPrice, pricingRule);
 
       aggregated.push({
         courierName,
@@ -299,6 +693,8 @@ class ShippingService {
         courierCode,
         serviceCode,
         totalPriceIdr: totalPrice,
+        biteshipCostIdr: biteshipCost,
+        pricingRuleIds: pricingRule ? [pricingRule.id] : [],
         minDay,
         maxDay,
         fallback: false
@@ -314,20 +710,28 @@ class ShippingService {
     }
 
     let mixedTotal = 0;
+    let mixedBiteshipCost = 0;
+    const mixedPricingRuleIds = [];
     let minDay = 0;
     let maxDay = 0;
 
     for (const group of normalizedGroups) {
-      mixedTotal += group.cheapest.price;
+      const pricingRule = this._getPricingRule(
+        group.cheapest.courierCode,
+        group.cheapest.serviceCode
+      );
+      if (pricingRule && !mixedPricingRuleIds.includes(pricingRule.id)) {
+        mixedPricingRuleIds.push(pricingRule.id);
+      }
+
+      const charged = chargedPrice(group, group.cheapest);
+      mixedTotal += charged > 0 ? applyPricingRule(charged, pricingRule) : 0;
+      mixedBiteshipCost += group.cheapest.basePrice ?? group.cheapest.price;
       minDay = Math.max(minDay, group.cheapest.minDay || 0);
       maxDay = Math.max(maxDay, group.cheapest.maxDay || 0);
     }
 
-    mixedTotal += handlingFee;
-
-    if (freeThreshold > 0 && subtotalIdr >= freeThreshold) {
-      mixedTotal = 0;
-    }
+    mixedTotal += defaultHandlingFee;
 
     return [
       {
@@ -336,6 +740,8 @@ class ShippingService {
         courierCode: "mixed",
         serviceCode: "cheapest",
         totalPriceIdr: mixedTotal,
+        biteshipCostIdr: mixedBiteshipCost,
+        pricingRuleIds: mixedPricingRuleIds,
         minDay,
         maxDay,
         fallback: true
@@ -343,8 +749,174 @@ class ShippingService {
     ];
   }
 
+  // Packs and quotes one seller group as-is, going through the route cache.
+  async _quoteGroupRates(group, destination, deadline) {
+    group.parcels = this._packGroup(group);
+
+    const routeKey = this._buildRouteRateCacheKey(group, destination);
+    const cachedRoute = this.routeRateCache ? this.routeRateCache.get(routeKey) : null;
+    if (cachedRoute) {
+      group.routeCache = "hit";
+      group.itemWeights = cachedRoute.itemWeights;
+      return cachedRoute.rates;
+    }
+
+    const parcelQuotes = await Promise.all(
+      group.parcels.map((parcel) =>
+        this._quoteParcel({ group, parcel, destination, deadline })
+      )
+    );
+
+    group.itemWeights = parcelQuotes.flatMap((quote) => quote.weights);
+    const rates = combineParcelRates(parcelQuotes.map((quote) => quote.rates));
+
+    group.routeCache = "miss";
+    if (this.routeRateCache) {
+      this.routeRateCache.set(
+        routeKey,
+        { rates, itemWeights: group.itemWeights },
+        this.config.cache.routeRateTtlSeconds,
+        this._rateCacheTags({
+          sellerIds: [group.sellerId],
+          destinationPostalCode: destination.postalCode
+        })
+      );
+    }
+
+    return rates;
+  }
+
+  // Quotes every candidate warehouse and keeps the one with the cheapest
+  // service; candidates without rates only win if nothing else has any.
+  async _quoteCheapestOrigin(group, destination, deadline) {
+    const quotes = await Promise.all(
+      group.rankedOrigins.map(async ({ location }) => {
+        const candidate = { ...group, ...this._originFields(location) };
+        const rates = await this._quoteGroupRates(candidate, destination, deadline);
+        const cheapestPriceIdr = rates.length
+          ? Math.min(...rates.map((rate) => rate.price))
+          : null;
+        return { candidate, rates, cheapestPriceIdr };
+      })
+    );
+
+    group.originSelection.candidates = group.originSelection.candidates.map(
+      (entry, index) => ({ ...entry, cheapestPriceIdr: quotes[index].cheapestPriceIdr })
+    );
+
+    const best = quotes.reduce((acc, quote) => {
+      if (quote.cheapestPriceIdr === null) {
+        return acc;
+      }
+      if (!acc || quote.cheapestPriceIdr < acc.cheapestPriceIdr) {
+        return quote;
+      }
+      return acc;
+    }, null) || quotes[0];
+
+    Object.assign(group, best.candidate);
+    return best.rates;
+  }
+
+  async _quoteSellerGroups({ quoteId, sellerGroups, destination, deadline }) {
+    return Promise.all(
+      sellerGroups.map(async (group) => {
+        this.logger.debug("Requesting Biteship rates for seller group", {
+          quoteId,
+          sellerId: group.sellerId,
+          originPostalCode: group.originPostalCode,
+          destinationPostalCode: destination.postalCode,
+          itemCount: group.items.length
+        });
+
+        const rates =
+          group.originSelection.strategy === "cheapest"
+            ? await this._quoteCheapestOrigin(group, destination, deadline)
+            : await this._quoteGroupRates(group, destination, deadline);
+
+        if (group.rankedOrigins.length > 1) {
+          group.originSelection.chosenLocationId = group.originLocationId;
+          this.sellerResolver.rememberOriginChoice(
+            group.sellerId,
+            destination.postalCode,
+            group.originLocationId
+          );
+        }
+
+        return {
+          sellerId: group.sellerId,
+          originPostalCode: group.originPostalCode,
+          sellerRule: group.sellerRule,
+          subtotalIdr: group.subtotalIdr,
+          rates
+        };
+      })
+    );
+  }
+
+  _groupWeightGrams(group) {
+    const parcels = group.parcels || [{ items: group.items }];
+    return parcels
+      .flatMap((parcel) => parcel.items)
+      .reduce((acc, item) => {
+        const quantity = Math.max(1, Number.parseInt(item.quantity || 1, 10) || 1);
+        return (
+          acc +
+          chargeableWeightGrams(item, this.config.shipping.volumetricDivisor) * quantity
+        );
+      }, 0);
+  }
+
+  _quoteFromRateCard(sellerGroups, destinationPostalCode) {
+    if (
+      !this.config.shipping.offlineFallbackEnabled ||
+      !this.rateCardStore ||
+      !destinationPostalCode
+    ) {
+      return null;
+    }
+
+    const results = [];
+    for (const group of sellerGroups) {
+      const weightGrams = this._groupWeightGrams(group);
+      const entry = this.rateCardStore.match(
+        group.originPostalCode,
+        destinationPostalCode,
+        weightGrams
+      );
+
+      if (!entry) {
+        return null;
+      }
+
+      results.push({
+        sellerId: group.sellerId,
+        originPostalCode: group.originPostalCode,
+        sellerRule: group.sellerRule,
+        subtotalIdr: group.subtotalIdr,
+        rateCardEntryId: entry.id,
+        weightGrams,
+        rates: [
+          {
+            courierName: "Offline",
+            courierCode: "fallback",
+            serviceName: entry.serviceName,
+            serviceCode: "standard",
+            price: entry.priceIdr,
+            minDay: entry.minDay,
+            maxDay: entry.maxDay
+          }
+        ]
+      });
+    }
+
+    return results;
+  }
+
   async calculate(rateRequest) {
     const quoteId = `qt_${crypto.randomBytes(5).toString("hex")}`;
+    const deadline = createDeadline(this.config.shipping.callbackBudgetMs);
+    const phaseTimings = {};
 
     if (!rateRequest || typeof rateRequest !== "object") {
       return {
@@ -403,13 +975,16 @@ class ShippingService {
     });
 
     const rateCacheKey = this._buildRateCacheKey(rateRequest);
-    const cachedRates = this.rateCache.get(rateCacheKey);
-    if (cachedRates) {
+    const cachedQuote = this.rateCache.get(rateCacheKey);
+    if (cachedQuote) {
       return {
-        rates: cachedRates,
+        rates: cachedQuote.rates,
         debug: {
           quoteId,
-          source: "rate_cache"
+          source: "rate_cache",
+          destinationPostalCode,
+          rateBreakdown: cachedQuote.rateBreakdown,
+          phaseTimings: { totalMs: deadline.elapsedMs() }
         }
       };
     }
@@ -427,20 +1002,61 @@ class ShippingService {
     }
 
     const variantMappings = new Map();
-    for (const variantId of uniqueVariantIds) {
-      const mapping = await this._getVariantMapping(variantId);
-      variantMappings.set(variantId, mapping);
-    }
-
-    const uniqueSellerIds = [...new Set(Array.from(variantMappings.values()).map((entry) => entry.sellerId))];
     const sellerOrigins = new Map();
 
-    for (const sellerId of uniqueSellerIds) {
-      const origin = await this._getSellerOrigin(sellerId);
-      sellerOrigins.set(sellerId, origin);
+    try {
+      await this._timePhase(phaseTimings, "variantMappingMs", async () => {
+        const resolved = await this.sellerResolver.resolveVariantMappings(
+          uniqueVariantIds,
+          {
+            runTask: (task) => this._withDeadline(deadline, "variant_mapping", task)
+          }
+        );
+
+        for (const [variantId, mapping] of resolved) {
+          variantMappings.set(variantId, mapping);
+        }
+      });
+
+      await this._timePhase(phaseTimings, "sellerOriginMs", async () => {
+        const uniqueSellerIds = [...new Set(Array.from(variantMappings.values()).map((entry) => String(entry.sellerId)))];
+        const resolved = await this.sellerResolver.resolveSellerOrigins(
+          uniqueSellerIds,
+          {
+            runTask: (task) => this._withDeadline(deadline, "seller_origin", task)
+          }
+        );
+
+        for (const [sellerId, origin] of resolved) {
+          sellerOrigins.set(sellerId, origin);
+        }
+      });
+    } catch (error) {
+      if (!isDeadlineError(error)) {
+        throw error;
+      }
+
+      const degradedContext = {
+        quoteId,
+        error,
+        rateCacheKey,
+        destinationPostalCode,
+        phaseTimings: { ...phaseTimings, totalMs: deadline.elapsedMs() }
+      };
+
+      return (
+        this._staleQuote(degradedContext) ||
+        this._budgetExhaustedQuote(degradedContext)
+      );
     }
 
+    const variantStocks = await this._timePhase(phaseTimings, "variantStockMs", () =>
+      this._resolveVariantStocks(variantMappings, deadline)
+    );
+
     const groupsBySeller = new Map();
+    const sellerAvailability = new Map();
+    const requestedByVariant = new Map();
     const skippedItems = [];
 
     for (const item of shippableItems) {
@@ -452,7 +1068,7 @@ class ShippingService {
         continue;
       }
 
-      const sellerId = mapping.sellerId;
+      const sellerId = String(mapping.sellerId);
       const origin = sellerOrigins.get(sellerId);
       const originLatitude = this._toFiniteNumber(origin?.latitude);
       const originLongitude = this._toFiniteNumber(origin?.longitude);
@@ -468,22 +1084,64 @@ class ShippingService {
         continue;
       }
 
+      if (!sellerAvailability.has(sellerId)) {
+        sellerAvailability.set(sellerId, this._closedSellerHandling(sellerId));
+      }
+
+      const availability = sellerAvailability.get(sellerId);
+      if (availability?.refused) {
+        skippedItems.push({
+          variantId,
+          sellerId,
+          reason: "seller_unavailable",
+          sellerStatus: availability.status,
+          reopensAt: availability.reopensAt
+        });
+        continue;
+      }
+
+      const quantity = Math.max(1, Number.parseInt(item.quantity || 1, 10) || 1);
+      const stock = variantStocks.get(variantId) || null;
+      const requested = (requestedByVariant.get(variantId) || 0) + quantity;
+      if (stock && requested > totalStock(stock)) {
+        skippedItems.push({
+          variantId,
+          sellerId,
+          reason: "out_of_stock",
+          requested: quantity,
+          available: Math.max(0, totalStock(stock) - (requestedByVariant.get(variantId) || 0))
+        });
+        continue;
+      }
+      requestedByVariant.set(variantId, requested);
+
       if (!groupsBySeller.has(sellerId)) {
         groupsBySeller.set(sellerId, {
           sellerId,
-          originPostalCode: origin.postalCode,
-          originLatitude,
-          originLongitude,
+          sellerRule: this._getSellerRule(sellerId),
+          availability,
+          stockDemand: new Map(),
+          subtotalIdr: 0,
           items: []
         });
       }
 
-      groupsBySeller
-        .get(sellerId)
-        .items.push(this._buildBiteshipItem(item, mapping));
+      const group = groupsBySeller.get(sellerId);
+      if (stock) {
+        group.stockDemand.set(variantId, { variantId, quantity: requested, stock });
+      }
+      group.subtotalIdr += fromShopifySubunits(item.price) * quantity;
+      group.items.push(this._buildBiteshipItem(item, mapping));
     }
 
     const sellerGroups = Array.from(groupsBySeller.values());
+    for (const group of sellerGroups) {
+      this._rankGroupOrigins(group, sellerOrigins.get(group.sellerId), {
+        postalCode: destinationPostalCode,
+        latitude: destinationLatitude,
+        longitude: destinationLongitude
+      });
+    }
 
     if (sellerGroups.length === 0) {
       return {
@@ -496,40 +1154,74 @@ class ShippingService {
       };
     }
 
-    const biteshipResults = await Promise.all(
-      sellerGroups.map(async (group) => {
-        this.logger.debug("Requesting Biteship rates for seller group", {
+    let biteshipResults = null;
+    let fallback = null;
+
+    try {
+      biteshipResults = await this._timePhase(phaseTimings, "biteshipRatesMs", () =>
+        this._quoteSellerGroups({
           quoteId,
-          sellerId: group.sellerId,
-          originPostalCode: group.originPostalCode,
-          destinationPostalCode,
-          itemCount: group.items.length
-        });
+          sellerGroups,
+          destination: {
+            postalCode: destinationPostalCode,
+            latitude: destinationLatitude,
+            longitude: destinationLongitude
+          },
+          deadline
+        })
+      );
+    } catch (error) {
+      const degradedContext = {
+        quoteId,
+        error,
+        rateCacheKey,
+        destinationPostalCode,
+        phaseTimings: { ...phaseTimings, totalMs: deadline.elapsedMs() }
+      };
 
-        const rates = await this.biteshipClient.getRates({
-          originPostalCode: group.originPostalCode,
-          destinationPostalCode,
-          originLatitude: this._toFiniteNumber(group.originLatitude),
-          originLongitude: this._toFiniteNumber(group.originLongitude),
-          destinationLatitude,
-          destinationLongitude,
-          items: group.items
-        });
+      const staleQuote = this._staleQuote(degradedContext);
+      if (staleQuote) {
+        return staleQuote;
+      }
 
-        return {
-          sellerId: group.sellerId,
-          originPostalCode: group.originPostalCode,
-          rates
-        };
-      })
-    );
+      biteshipResults = this._quoteFromRateCard(sellerGroups, destinationPostalCode);
+      if (!biteshipResults) {
+        if (isDeadlineError(error)) {
+          return this._budgetExhaustedQuote(degradedContext);
+        }
+
+        throw error;
+      }
+
+      fallback = {
+        used: true,
+        source: "offline_rate_card",
+        reason: error.message,
+        status: error.details?.status || null,
+        phase: error.details?.phase || "",
+        rateCardEntries: biteshipResults.map((result) => ({
+          sellerId: result.sellerId,
+          rateCardEntryId: result.rateCardEntryId,
+          weightGrams: result.weightGrams
+        }))
+      };
+
+      this.logger.warn("Biteship rates unavailable, using offline rate card", {
+        quoteId,
+        error: error.message,
+        sellerGroupCount: sellerGroups.length
+      });
+    }
+
+    biteshipResults = this._applyClosureDelays(biteshipResults, sellerGroups);
 
     const subtotalIdr = shippableItems.reduce((acc, item) => {
       const quantity = Math.max(1, Number.parseInt(item.quantity || 1, 10) || 1);
       return acc + fromShopifySubunits(item.price) * quantity;
     }, 0);
 
-    const aggregatedRates = this._aggregate(biteshipResults, subtotalIdr)
+    const aggregatedRates = this._aggregate(biteshipResults)
+      .map((rate) => ({ ...rate, offline: Boolean(fallback) }))
       .sort((a, b) => a.totalPriceIdr - b.totalPriceIdr)
       .slice(0, this.config.shipping.maxRates);
 
@@ -546,11 +1238,48 @@ class ShippingService {
       skippedItemCount: skippedItems.length
     });
 
-    this.rateCache.set(
-      rateCacheKey,
-      shopifyRates,
-      this.config.cache.rateTtlSeconds
-    );
+    const rateBreakdown = aggregatedRates.map((rate, index) => ({
+      serviceCode: shopifyRates[index].service_code,
+      biteshipCostIdr: rate.biteshipCostIdr,
+      customerPriceIdr: rate.totalPriceIdr,
+      marginIdr: rate.totalPriceIdr - rate.biteshipCostIdr,
+      pricingRuleIds: rate.pricingRuleIds
+    }));
+
+    if (!fallback) {
+      const cachedValue = { rates: shopifyRates, rateBreakdown };
+      // Closed sellers are tagged too so reopening one drops quotes that
+      // left its items out.
+      const quotedSellerIds = [...sellerAvailability.keys()];
+      const cacheTags = this._rateCacheTags({
+        sellerIds: quotedSellerIds,
+        destinationPostalCode,
+        courierCodes: [
+          ...new Set(
+            biteshipResults.flatMap((result) =>
+              result.rates.map((rate) => String(rate.courierCode || "").toLowerCase())
+            )
+          )
+        ]
+      });
+      this.rateCache.set(
+        rateCacheKey,
+        cachedValue,
+        this._rateCacheTtlSeconds(quotedSellerIds, this.config.cache.rateTtlSeconds),
+        cacheTags
+      );
+
+      if (this.staleRateCache) {
+        this.staleRateCache.set(
+          rateCacheKey,
+          cachedValue,
+          this._rateCacheTtlSeconds(quotedSellerIds, this.config.cache.rateStaleTtlSeconds),
+          cacheTags
+        );
+      }
+    }
+
+    phaseTimings.totalMs = deadline.elapsedMs();
 
     return {
       rates: shopifyRates,
@@ -565,8 +1294,23 @@ class ShippingService {
           originPostalCode: group.originPostalCode,
           originLatitude: group.originLatitude || null,
           originLongitude: group.originLongitude || null,
-          itemCount: group.items.length
+          originLocationId: group.originLocationId,
+          originSelection: group.originSelection,
+          subtotalIdr: group.subtotalIdr,
+          sellerRule: group.sellerRule,
+          availability: group.availability,
+          itemCount: group.items.length,
+          parcels: (group.parcels || []).map((parcel) => ({
+            index: parcel.index,
+            boxName: parcel.boxName,
+            grossWeightGrams: parcel.grossWeightGrams
+          })),
+          itemWeights: group.itemWeights || [],
+          routeCache: group.routeCache || null
         })),
+        rateBreakdown,
+        fallback,
+        phaseTimings,
         skippedItems
       }
     };
@@ -216,6 +216,48 @@ class ShopifyAdminClient {
       : [];
   }
 
+  async getVariant(variantId) {
+    const response = await this.request({
+      method: "GET",
+      url: `variants/${variantId}.json`
+    });
+
+    if (!response?.variant) {
+      const error = new Error(`Shopify variant not found: ${variantId}`);
+      error.details = { status: 404 };
+      throw error;
+    }
+
+    return response.variant;
+  }
+
+  async getProduct(productId, { fields = "" } = {}) {
+    const response = await this.request({
+      method: "GET",
+      url: `products/${productId}.json`,
+      params: fields ? { fields } : undefined
+    });
+
+    if (!response?.product) {
+      throw new Error(`Shopify product not found: ${productId}`);
+    }
+
+    return response.product;
+  }
+
+  async getProductMetafield(productId, namespace, key) {
+    const response = await this.request({
+      method: "GET",
+      url: `products/${productId}/metafields.json`,
+      params: { namespace, key }
+    });
+
+    const metafields = Array.isArray(response?.metafields) ? response.metafields : [];
+    return (
+      metafields.find((entry) => entry?.namespace === namespace && entry?.key === key) || null
+    );
+  }
+
   async createFulfillment(payload) {
     const response = await this.request({
       method: "POST",
@@ -231,6 +273,15 @@ class ShopifyAdminClient {
 
     return response.fulfillment;
   }
+
+  async cancelFulfillment(fulfillmentId) {
+    const response = await this.request({
+      method: "POST",
+      url: `fulfillments/${fulfillmentId}/cancel.json`
+    });
+
+    return response?.fulfillment || null;
+  }
 }
 
 module.exports = {
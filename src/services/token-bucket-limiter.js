@@ -0,0 +1,135 @@
+const { AsyncLocalStorage } = require("node:async_hooks");
+
+const LANES = ["interactive", "background"];
+const laneStorage = new AsyncLocalStorage();
+
+// Everything started inside the callback (including awaited work) queues in
+// the background lane, behind carrier-callback and admin lookups.
+function runInBackgroundLane(task) {
+  return laneStorage.run("background", task);
+}
+
+function currentLane() {
+  return laneStorage.getStore() || "interactive";
+}
+
+function emptyLaneCounters() {
+  return { granted: 0, totalWaitMs: 0, maxWaitMs: 0 };
+}
+
+class TokenBucketLimiter {
+  constructor(options = {}) {
+    this.ratePerSecond = Number(options.ratePerSecond) || 0;
+    this.burst = Math.max(1, Number(options.burst) || Math.ceil(this.ratePerSecond) || 1);
+    this.now = options.now || Date.now;
+
+    this.tokens = this.burst;
+    this.lastRefillAt = this.now();
+    this.queues = Object.fromEntries(LANES.map((lane) => [lane, []]));
+    this.counters = Object.fromEntries(LANES.map((lane) => [lane, emptyLaneCounters()]));
+    this.timer = null;
+  }
+
+  enabled() {
+    return this.ratePerSecond > 0;
+  }
+
+  depth() {
+    return LANES.reduce((total, lane) => total + this.queues[lane].length, 0);
+  }
+
+  schedule(task, lane = currentLane()) {
+    if (!this.enabled()) {
+      return task();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queues[LANES.includes(lane) ? lane : "interactive"].push({
+        task,
+        resolve,
+        reject,
+        lane,
+        enqueuedAt: this.now()
+      });
+      this._drain();
+    });
+  }
+
+  _refill() {
+    const now = this.now();
+    const elapsedSeconds = Math.max(0, now - this.lastRefillAt) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsedSeconds * this.ratePerSecond);
+    this.lastRefillAt = now;
+  }
+
+  _next() {
+    for (const lane of LANES) {
+      if (this.queues[lane].length > 0) {
+        return this.queues[lane].shift();
+      }
+    }
+    return null;
+  }
+
+  _drain() {
+    if (this.timer) {
+      return;
+    }
+
+    this._refill();
+
+    while (this.tokens >= 1 && this.depth() > 0) {
+      this.tokens -= 1;
+      const entry = this._next();
+      const waitMs = this.now() - entry.enqueuedAt;
+      const counters = this.counters[entry.lane];
+      counters.granted += 1;
+      counters.totalWaitMs += waitMs;
+      counters.maxWaitMs = Math.max(counters.maxWaitMs, waitMs);
+
+      Promise.resolve()
+        .then(entry.task)
+        .then(entry.resolve, entry.reject);
+    }
+
+    if (this.depth() > 0) {
+      const waitMs = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this._drain();
+      }, Math.max(1, waitMs));
+    }
+  }
+
+  stats() {
+    this._refill();
+    const now = this.now();
+    const lanes = {};
+    for (const lane of LANES) {
+      const counters = this.counters[lane];
+      const oldest = this.queues[lane][0];
+      lanes[lane] = {
+        queueDepth: this.queues[lane].length,
+        oldestWaitMs: oldest ? now - oldest.enqueuedAt : 0,
+        granted: counters.granted,
+        avgWaitMs: counters.granted ? Math.round(counters.totalWaitMs / counters.granted) : 0,
+        maxWaitMs: counters.maxWaitMs
+      };
+    }
+
+    return {
+      enabled: this.enabled(),
+      ratePerSecond: this.ratePerSecond,
+      burst: this.burst,
+      tokens: Math.floor(this.tokens * 100) / 100,
+      queueDepth: this.depth(),
+      lanes
+    };
+  }
+}
+
+module.exports = {
+  TokenBucketLimiter,
+  runInBackgroundLane,
+  currentLane
+};
@@ -0,0 +1,136 @@
+const fs = require("node:fs");
+
+function toNonNegativeNumber(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric >= 0 ? numeric : 0;
+}
+
+class VariantMappingStore {
+  constructor(filePath, logger) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.data = {};
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        this.data = {};
+        return;
+      }
+
+      const raw = fs.readFileSync(this.filePath, "utf8");
+      const parsed = JSON.parse(raw);
+      this.data = parsed && typeof parsed === "object" ? parsed : {};
+    } catch (error) {
+      this.logger.warn("Failed to load variant mapping store, using empty store", {
+        filePath: this.filePath,
+        error: error.message
+      });
+      this.data = {};
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2), "utf8");
+    } catch (error) {
+      this.logger.error("Failed to persist variant mapping store", {
+        filePath: this.filePath,
+        error: error.message
+      });
+    }
+  }
+
+  upsert(mapping) {
+    if (!mapping || !mapping.shopifyVariantId || !mapping.sellerId) {
+      return null;
+    }
+
+    const shopifyVariantId = String(mapping.shopifyVariantId);
+    const now = new Date().toISOString();
+    const nextValue = {
+      shopifyVariantId,
+      webkulVariantId: String(mapping.webkulVariantId || ""),
+      webkulProductId: String(mapping.webkulProductId || ""),
+      sellerId: String(mapping.sellerId),
+      variantWeight: toNonNegativeNumber(mapping.variantWeight),
+      lengthCm: toNonNegativeNumber(mapping.lengthCm),
+      widthCm: toNonNegativeNumber(mapping.widthCm),
+      heightCm: toNonNegativeNumber(mapping.heightCm),
+      source: mapping.source || "webkul",
+      override: Boolean(mapping.override),
+      note: mapping.note || "",
+      refreshedAt: now,
+      lastError: "",
+      lastFailedAt: "",
+      failureCount: 0,
+      updatedAt: now
+    };
+
+    this.data[shopifyVariantId] = nextValue;
+    this.save();
+    return nextValue;
+  }
+
+  // Keeps the last good mapping (if any) so it can still be served stale.
+  recordFailure(shopifyVariantId, error) {
+    const key = String(shopifyVariantId || "");
+    if (!key) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const previous = this.data[key] || { shopifyVariantId: key, sellerId: "" };
+    const nextValue = {
+      ...previous,
+      lastError: error?.message || String(error || "unknown_error"),
+      lastStatus: error?.response?.status || null,
+      lastFailedAt: now,
+      failureCount: (previous.failureCount || 0) + 1,
+      updatedAt: now
+    };
+
+    this.data[key] = nextValue;
+    this.save();
+    return nextValue;
+  }
+
+  get(shopifyVariantId) {
+    if (!shopifyVariantId) {
+      return null;
+    }
+
+    return this.data[String(shopifyVariantId)] || null;
+  }
+
+  remove(shopifyVariantId) {
+    const key = String(shopifyVariantId || "");
+    if (!key || !this.data[key]) {
+      return false;
+    }
+
+    delete this.data[key];
+    this.save();
+    return true;
+  }
+
+  failed() {
+    return this.all().filter((entry) => {
+      if (!entry.lastFailedAt) {
+        return false;
+      }
+
+      return !entry.refreshedAt || entry.lastFailedAt > entry.refreshedAt;
+    });
+  }
+
+  all() {
+    return Object.values(this.data);
+  }
+}
+
+module.exports = {
+  VariantMappingStore
+};
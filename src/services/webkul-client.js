@@ -1,6 +1,7 @@
-const fs = require("node:fs");
 const axios = require("axios");
 const { normalizePostalCode, truthy } = require("../utils/location");
+const { TokenBucketLimiter } = require("./token-bucket-limiter");
+const { WebkulTokenStore } = require("./webkul-token-store");
 
 function sleep(ms) {
   return new Promise((resolve) => {
@@ -26,14 +27,6 @@ function parseRetryAfterMs(value) {
   return null;
 }
 
-function normalizeText(value) {
-  return String(value || "").trim().toLowerCase();
-}
-
-function normalizeDigits(value) {
-  return String(value || "").replace(/\D/g, "");
-}
-
 class WebkulClient {
   constructor(options) {
     this.baseUrl = options.baseUrl;
@@ -45,6 +38,16 @@ class WebkulClient {
       ? options.retryDelayMs
       : 400;
     this.tokenStorePath = options.tokenStorePath;
+    this.tokenStore =
+      options.tokenStore ||
+      new WebkulTokenStore({
+        filePath: options.tokenStorePath,
+        logger: options.logger,
+        encryptionKey: options.tokenEncryptionKey,
+        encryptionKeyFile: options.tokenEncryptionKeyFile,
+        previousEncryptionKeys: options.tokenPreviousEncryptionKeys,
+        historySize: options.tokenHistorySize
+      });
     this.postalCodeLength = options.postalCodeLength;
     this.logger = options.logger;
 
@@ -55,6 +58,15 @@ class WebkulClient {
 
     this.refreshInFlight = null;
 
+    // Shared by every request, retries and token refreshes included, so a
+    // checkout burst is smoothed out before Webkul starts answering 429.
+    this.limiter =
+      options.limiter ||
+      new TokenBucketLimiter({
+        ratePerSecond: options.rateLimitPerSecond,
+        burst: options.rateLimitBurst
+      });
+
     this.http = axios.create({
       baseURL: this.baseUrl,
       timeout: this.timeoutMs,
@@ -69,20 +81,20 @@ class WebkulClient {
 
   _loadTokenStore() {
     try {
-      if (!this.tokenStorePath || !fs.existsSync(this.tokenStorePath)) {
+      const stored = this.tokenStore.load();
+      if (!stored) {
         return;
       }
 
-      const raw = fs.readFileSync(this.tokenStorePath, "utf8");
-      const parsed = JSON.parse(raw);
-      if (parsed.accessToken) {
-        this.tokens.accessToken = parsed.accessToken;
+      if (stored.accessToken) {
+        this.tokens.accessToken = stored.accessToken;
       }
-      if (parsed.refreshToken) {
-        this.tokens.refreshToken = parsed.refreshToken;
+      if (stored.refreshToken) {
+        this.tokens.refreshToken = stored.refreshToken;
       }
       this.logger.info("Loaded Webkul token store", {
-        path: this.tokenStorePath
+        path: this.tokenStorePath,
+        encrypted: this.tokenStore.encrypted()
       });
     } catch (error) {
       this.logger.warn("Failed to load Webkul token store", {
@@ -93,19 +105,21 @@ class WebkulClient {
   }
 
   _persistTokenStore() {
-    if (!this.tokenStorePath) {
-      return;
+    try {
+      this.tokenStore.save(this.tokens);
+    } catch (error) {
+      this.logger.error("Failed to persist Webkul token store", {
+        path: this.tokenStorePath,
+        error: error.message
+      });
     }
+  }
 
+  _recordRefresh(outcome) {
     try {
-      const payload = {
-        accessToken: this.tokens.accessToken,
-        refreshToken: this.tokens.refreshToken,
-        updatedAt: new Date().toISOString()
-      };
-      fs.writeFileSync(this.tokenStorePath, JSON.stringify(payload, null, 2), "utf8");
+      this.tokenStore.recordRefresh(outcome);
     } catch (error) {
-      this.logger.error("Failed to persist Webkul token store", {
+      this.logger.error("Failed to record Webkul token refresh", {
         path: this.tokenStorePath,
         error: error.message
       });
@@ -117,11 +131,13 @@ class WebkulClient {
       return this.refreshInFlight;
     }
 
-    this.refreshInFlight = this.http
-      .post("/authorize/token.json", {
-        access_token: this.tokens.accessToken,
-        refresh_token: this.tokens.refreshToken
-      })
+    this.refreshInFlight = this.limiter
+      .schedule(() =>
+        this.http.post("/authorize/token.json", {
+          access_token: this.tokens.accessToken,
+          refresh_token: this.tokens.refreshToken
+        })
+      )
       .then((response) => {
         const payload = response.data || {};
         if (!payload.access_token) {
@@ -134,11 +150,13 @@ class WebkulClient {
         }
 
         this._persistTokenStore();
+        this._recordRefresh({ ok: true, status: response.status });
         this.logger.info("Webkul token refreshed");
       })
       .catch((error) => {
         const status = error.response?.status;
         const data = error.response?.data;
+        this._recordRefresh({ ok: false, status: status || null, error: error.message });
         this.logger.error("Webkul token refresh failed", {
           status,
           data
@@ -154,15 +172,17 @@ class WebkulClient {
 
   async request({ method, url, params, data }, retry = true, attempt = 0) {
     try {
-      const response = await this.http.request({
-        method,
-        url,
-        params,
-        data,
-        headers: {
-          Authorization: `Bearer ${this.tokens.accessToken}`
-        }
-      });
+      const response = await this.limiter.schedule(() =>
+        this.http.request({
+          method,
+          url,
+          params,
+          data,
+          headers: {
+            Authorization: `Bearer ${this.tokens.accessToken}`
+          }
+        })
+      );
       return response.data;
     } catch (error) {
       const status = error.response?.status;
@@ -207,6 +227,10 @@ class WebkulClient {
     }
   }
 
+  limiterStats() {
+    return this.limiter.stats();
+  }
+
   async getVariantByShopifyVariantId(shopifyVariantId) {
     const response = await this.request({
       method: "GET",
@@ -214,9 +238,11 @@ class WebkulClient {
     });
 
     if (!response.variant) {
-      throw new Error(
+      const error = new Error(
         `Variant not found for shopify variant id: ${shopifyVariantId}`
       );
+      error.details = { status: 404, shopifyVariantId: String(shopifyVariantId) };
+      throw error;
     }
 
     return response.variant;
@@ -273,156 +299,46 @@ class WebkulClient {
     return [];
   }
 
-  _scoreSellerMatch(seller, hints) {
-    const sellerId = String(seller?.id || "");
-    if (!sellerId) {
-      return { score: 0, matchedBy: "" };
-    }
-
-    const hintSellerId = normalizeText(hints.sellerId);
-    if (hintSellerId && hintSellerId === normalizeText(sellerId)) {
-      return { score: 100, matchedBy: "seller_id" };
-    }
-
-    const checks = [
-      {
-        key: "store_name_handle",
-        score: 90,
-        hintValue: normalizeText(hints.storeNameHandle),
-        sellerValue: normalizeText(seller?.store_name_handle)
-      },
-      {
-        key: "email",
-        score: 85,
-        hintValue: normalizeText(hints.sellerEmail),
-        sellerValue: normalizeText(seller?.email)
-      },
-      {
-        key: "contact",
-        score: 80,
-        hintValue: normalizeDigits(hints.contact),
-        sellerValue: normalizeDigits(seller?.contact)
-      },
-      {
-        key: "sp_store_name",
-        score: 75,
-        hintValue: normalizeText(hints.storeName),
-        sellerValue: normalizeText(seller?.sp_store_name)
-      },
-      {
-        key: "shop_domain",
-        score: 70,
-        hintValue: normalizeText(hints.shopDomain),
-        sellerValue: normalizeText(seller?.sp_shop_name)
-      }
-    ];
-
-    for (const check of checks) {
-      if (check.hintValue && check.sellerValue && check.hintValue === check.sellerValue) {
-        return { score: check.score, matchedBy: check.key };
-      }
-    }
-
-    return { score: 0, matchedBy: "" };
+  _isPrimaryLocation(entry) {
+    return (
+      truthy(entry.primary) ||
+      truthy(entry.seller_default_location) ||
+      truthy(entry.is_primary)
+    );
   }
 
-  async resolveSellerIdByHints(hints) {
-    if (!hints || typeof hints !== "object") {
-      return "";
-    }
-
-    const normalizedHints = {
-      sellerId: hints.sellerId || hints.seller_id || "",
-      sellerEmail: hints.sellerEmail || hints.email || "",
-      contact: hints.contact || "",
-      storeName: hints.storeName || hints.spStoreName || "",
-      storeNameHandle: hints.storeNameHandle || "",
-      shopDomain: hints.shopDomain || hints.spShopName || ""
-    };
-
-    const directId = normalizeText(normalizedHints.sellerId);
-    if (/^\d+$/.test(directId)) {
-      return directId;
-    }
-
-    const hasAnyHint = Object.values(normalizedHints).some((value) => {
-      return normalizeText(value) !== "";
-    });
-
-    if (!hasAnyHint) {
-      return "";
-    }
-
-    const limit = 250;
-    const maxPages = 5;
-    const seenSellerIds = new Set();
-    let bestMatch = null;
-
-    for (let page = 1; page <= maxPages; page += 1) {
-      const sellers = await this.listSellers({ limit, page });
-      if (!sellers.length) {
-        break;
-      }
-
-      let newSellerFound = false;
-
-      for (const seller of sellers) {
-        const sellerId = String(seller?.id || "");
-        if (!sellerId || seenSellerIds.has(sellerId)) {
-          continue;
-        }
-
-        seenSellerIds.add(sellerId);
-        newSellerFound = true;
-
-        const match = this._scoreSellerMatch(seller, normalizedHints);
-        if (match.score === 0) {
-          continue;
-        }
-
-        if (!bestMatch || match.score > bestMatch.score) {
-          bestMatch = {
-            sellerId,
-            score: match.score,
-            matchedBy: match.matchedBy
-          };
-        }
+  async getSellerLocations(sellerId) {
+    const candidates = [];
 
-        if (match.score >= 90) {
-          break;
+    try {
+      const response = await this.request({
+        method: "GET",
+        url: `/api/v2/sellers/${sellerId}/locations.json`,
+        params: {
+          limit: 250
         }
+      });
+      this._appendLocationCandidates(candidates, response);
+    } catch (error) {
+      const status = error.details?.status;
+      if (status !== 404 && status !== 422) {
+        throw error;
       }
-
-      if (bestMatch && bestMatch.score >= 90) {
-        break;
-      }
-
-      if (!newSellerFound || sellers.length < limit) {
-        break;
-      }
-    }
-
-    if (!bestMatch) {
-      return "";
     }
 
-    this.logger.info("Resolved seller ID from Webkul hints", {
-      sellerId: bestMatch.sellerId,
-      matchedBy: bestMatch.matchedBy
-    });
-
-    return bestMatch.sellerId;
+    return candidates;
   }
 
-  async getSellerPrimaryLocation(sellerId) {
+  // Stock of one variant per seller location as { locationId: quantity }, or
+  // null when Webkul has no inventory data for it (stock then goes unchecked).
+  async getVariantLocationStock(webkulProductId, webkulVariantId) {
     let response = null;
     try {
       response = await this.request({
         method: "GET",
-        url: `/api/v2/sellers/${sellerId}/locations.json`,
+        url: `/api/v2/products/${webkulProductId}/variants/${webkulVariantId}/inventory.json`,
         params: {
-          limit: 250,
-          filter: JSON.stringify({ primary: "true" })
+          limit: 250
         }
       });
     } catch (error) {
@@ -430,43 +346,47 @@ class WebkulClient {
       if (status !== 404 && status !== 422) {
         throw error;
       }
+      return null;
     }
 
-    const candidates = [];
-    this._appendLocationCandidates(candidates, response);
+    const levels =
+      response?.inventory_levels || response?.inventory || response?.locations || null;
+    if (!Array.isArray(levels)) {
+      return null;
+    }
 
-    // Some stores return null for primary filter even when locations exist.
-    if (candidates.length === 0) {
-      try {
-        const allLocationResponse = await this.request({
-          method: "GET",
-          url: `/api/v2/sellers/${sellerId}/locations.json`,
-          params: {
-            limit: 250
-          }
-        });
-        this._appendLocationCandidates(candidates, allLocationResponse);
-      } catch (error) {
-        const status = error.details?.status;
-        if (status !== 404 && status !== 422) {
-          throw error;
-        }
+    const stock = {};
+    for (const level of levels) {
+      const locationId = String(level?.location_id ?? level?.id ?? "");
+      if (!locationId) {
+        continue;
       }
-    }
 
-    if (candidates.length === 0) {
-      return null;
+      const quantity = this._toNumber(
+        level.available ?? level.quantity ?? level.inventory_quantity ?? level.stock
+      );
+      stock[locationId] = (stock[locationId] || 0) + Math.max(0, quantity);
     }
 
-    const primary = candidates.find((entry) => {
-      return (
-        truthy(entry.primary) ||
-        truthy(entry.seller_default_location) ||
-        truthy(entry.is_primary)
-      );
-    });
+    return stock;
+  }
 
-    return primary || candidates[0];
+  toLocationOrigin(location) {
+    return {
+      locationId: String(location?.id || ""),
+      name: location?.name || location?.location_name || "",
+      postalCode: normalizePostalCode(location?.zipcode, {
+        length: this.postalCodeLength
+      }),
+      city: location?.city || "",
+      state: location?.state || "",
+      country: location?.country || "ID",
+      address1: location?.address || location?.street || "",
+      latitude: location?.latitude || "",
+      longitude: location?.longitude || "",
+      phone: location?.phone || location?.contact || "",
+      primary: this._isPrimaryLocation(location || {})
+    };
   }
 
   _appendLocationCandidates(candidates, response) {
@@ -546,27 +466,29 @@ class WebkulClient {
     };
   }
 
+  // The primary location stays the default origin; every usable location is
+  // returned in `locations` so rating can pick the best warehouse per order.
   async resolveSellerOrigin(sellerId) {
-    const location = await this.getSellerPrimaryLocation(sellerId).catch(() => null);
-
-    if (location) {
-      const postalCode = normalizePostalCode(location.zipcode, {
-        length: this.postalCodeLength
-      });
-
-      if (postalCode) {
-        return {
-          sellerId: String(sellerId),
-          postalCode,
-          city: location.city || "",
-          state: location.state || "",
-          country: location.country || "ID",
-          address1: location.address || location.street || "",
-          latitude: location.latitude || "",
-          longitude: location.longitude || "",
-          source: "webkul_location"
-        };
-      }
+    const candidates = await this.getSellerLocations(sellerId).catch(() => []);
+    const locations = candidates
+      .map((location) => this.toLocationOrigin(location))
+      .filter((location) => location.postalCode);
+    const primary = locations.find((location) => location.primary) || locations[0];
+
+    if (primary) {
+      return {
+        sellerId: String(sellerId),
+        postalCode: primary.postalCode,
+        city: primary.city,
+        state: primary.state,
+        country: primary.country,
+        address1: primary.address1,
+        latitude: primary.latitude,
+        longitude: primary.longitude,
+        locationId: primary.locationId,
+        locations,
+        source: "webkul_location"
+      };
     }
 
     const seller = await this.getSellerById(sellerId);
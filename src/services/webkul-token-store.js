@@ -0,0 +1,191 @@
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+
+const CIPHER = "aes-256-gcm";
+
+// Accepts a 64-char hex key, a base64 key of 32 bytes, or any other string
+// as a passphrase (hashed down to 32 bytes).
+function parseEncryptionKey(value) {
+  const raw = String(value || "").trim();
+  if (!raw) {
+    return null;
+  }
+
+  if (/^[0-9a-f]{64}$/i.test(raw)) {
+    return Buffer.from(raw, "hex");
+  }
+
+  const decoded = Buffer.from(raw, "base64");
+  if (decoded.length === 32 && decoded.toString("base64").replace(/=+$/, "") === raw.replace(/=+$/, "")) {
+    return decoded;
+  }
+
+  return crypto.createHash("sha256").update(raw).digest();
+}
+
+function keyId(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 12);
+}
+
+function readKeyFile(filePath) {
+  return filePath ? fs.readFileSync(filePath, "utf8") : "";
+}
+
+class WebkulTokenStore {
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.logger = options.logger;
+    this.historySize = Number.isInteger(options.historySize) ? options.historySize : 50;
+
+    const currentKey = parseEncryptionKey(options.encryptionKey || readKeyFile(options.encryptionKeyFile));
+    const previousKeys = (options.previousEncryptionKeys || [])
+      .map((value) => parseEncryptionKey(value))
+      .filter(Boolean);
+
+    this.key = currentKey;
+    this.keysById = new Map(
+      [currentKey, ...previousKeys].filter(Boolean).map((key) => [keyId(key), key])
+    );
+    this.history = [];
+    this.sealed = null;
+  }
+
+  encrypted() {
+    return Boolean(this.key);
+  }
+
+  _encrypt(tokens) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.key, iv);
+    const ciphertext = Buffer.concat([
+      cipher.update(JSON.stringify(tokens), "utf8"),
+      cipher.final()
+    ]);
+
+    return {
+      keyId: keyId(this.key),
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      ciphertext: ciphertext.toString("base64")
+    };
+  }
+
+  _decrypt(envelope) {
+    const key = this.keysById.get(envelope.keyId);
+    if (!key) {
+      throw new Error(`No encryption key configured for token store key id ${envelope.keyId}`);
+    }
+
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, "base64"));
+    decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(envelope.ciphertext, "base64")),
+      decipher.final()
+    ]);
+
+    return JSON.parse(plaintext.toString("utf8"));
+  }
+
+  // Returns the stored tokens or null. Files written in plaintext or with a
+  // previous key are rewritten with the current key straight away.
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    const { history, ...sealed } = parsed;
+    this.history = Array.isArray(history) ? history : [];
+    this.sealed = sealed;
+
+    if (!parsed.ciphertext) {
+      const tokens = { accessToken: parsed.accessToken, refreshToken: parsed.refreshToken };
+      if (this.encrypted() && (tokens.accessToken || tokens.refreshToken)) {
+        this.save(tokens);
+        this.logger.info("Encrypted plaintext Webkul token store", { path: this.filePath });
+      } else if (!this.encrypted()) {
+        this.logger.warn("Webkul token store is not encrypted, set WEBKUL_TOKEN_ENCRYPTION_KEY", {
+          path: this.filePath
+        });
+      }
+      return tokens;
+    }
+
+    const tokens = this._decrypt(parsed);
+    if (this.encrypted() && parsed.keyId !== keyId(this.key)) {
+      this.save(tokens);
+      this.logger.info("Re-encrypted Webkul token store with the current key", {
+        path: this.filePath,
+        previousKeyId: parsed.keyId,
+        keyId: keyId(this.key)
+      });
+    }
+
+    return tokens;
+  }
+
+  save(tokens) {
+    if (!this.filePath) {
+      return;
+    }
+
+    const secrets = {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    };
+
+    this.sealed = this.encrypted() ? this._encrypt(secrets) : secrets;
+    this.sealed.updatedAt = new Date().toISOString();
+    this._write();
+  }
+
+  _write() {
+    const payload = { ...this.sealed, history: this.history };
+    fs.writeFileSync(this.filePath, JSON.stringify(payload, null, 2), {
+      encoding: "utf8",
+      mode: 0o600
+    });
+  }
+
+  // History holds no token material, only the outcome of each refresh.
+  recordRefresh({ ok, status = null, error = "" }) {
+    this.history.push({
+      at: new Date().toISOString(),
+      ok: Boolean(ok),
+      status,
+      error
+    });
+
+    if (this.history.length > this.historySize) {
+      this.history = this.history.slice(this.history.length - this.historySize);
+    }
+
+    if (this.filePath) {
+      this.sealed = this.sealed || {};
+      this._write();
+    }
+  }
+
+  refreshHistory({ failedOnly = false, limit = 20 } = {}) {
+    const entries = failedOnly ? this.history.filter((entry) => !entry.ok) : this.history;
+    return entries.slice(-limit).reverse();
+  }
+
+  status() {
+    const lastFailure = [...this.history].reverse().find((entry) => !entry.ok) || null;
+    const lastSuccess = [...this.history].reverse().find((entry) => entry.ok) || null;
+
+    return {
+      encrypted: this.encrypted(),
+      keyId: this.key ? keyId(this.key) : "",
+      previousKeyCount: Math.max(0, this.keysById.size - (this.key ? 1 : 0)),
+      lastSuccessAt: lastSuccess?.at || "",
+      lastFailure
+    };
+  }
+}
+
+module.exports = {
+  WebkulTokenStore,
+  parseEncryptionKey
+};
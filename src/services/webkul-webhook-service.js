@@ -0,0 +1,257 @@
+const { toWebkulStatus } = require("../utils/availability");
+const { hasOriginChanged } = require("../utils/origin-selection");
+
+const ENTITIES = ["product", "variant", "seller", "location"];
+
+function parseTopic(rawTopic) {
+  const parts = String(rawTopic || "")
+    .trim()
+    .toLowerCase()
+    .split(/[./_:\s-]+/)
+    .filter(Boolean);
+
+  const entity = (parts[0] || "").replace(/s$/, "");
+  const action = parts.slice(1).join("_");
+
+  return {
+    entity: ENTITIES.includes(entity) ? entity : "",
+    action,
+    isDelete: /delete|remove/.test(action)
+  };
+}
+
+function pickId(...values) {
+  const value = values.find((entry) => entry !== undefined && entry !== null && entry !== "");
+  return value === undefined ? "" : String(value);
+}
+
+class WebkulWebhookService {
+  constructor(options) {
+    this.logger = options.logger;
+    this.sellerResolver = options.sellerResolver;
+    this.variantCache = options.variantCache;
+    this.sellerCache = options.sellerCache;
+    this.sellerOriginStore = options.sellerOriginStore;
+    this.sellerIndex = options.sellerIndex || null;
+    this.variantMappingStore = options.variantMappingStore;
+    this.shippingService = options.shippingService;
+  }
+
+  // Returns a summary of what the event touched; the caller logs it.
+  async handle(topic, body) {
+    const parsed = parseTopic(topic || body?.topic || body?.event);
+    const changes = [];
+
+    if (!parsed.entity) {
+      return { ...parsed, status: "ignored", reason: "unsupported_topic", changes };
+    }
+
+    const data = body?.[parsed.entity] || body?.data || body || {};
+
+    if (parsed.entity === "product" || parsed.entity === "variant") {
+      const variantIds = this._affectedVariantIds(parsed.entity, data);
+      const sellerIds = new Set();
+
+      for (const shopifyVariantId of variantIds) {
+        await this._applyVariantChange(shopifyVariantId, parsed, changes, sellerIds);
+      }
+
+      this._invalidateSellers(sellerIds, changes, { includeRoutes: false });
+
+      return {
+        ...parsed,
+        entityId: pickId(data.id, data.product_id),
+        status: variantIds.length > 0 ? "processed" : "ignored",
+        reason: variantIds.length > 0 ? "" : "no_known_variants",
+        changes
+      };
+    }
+
+    const sellerId =
+      parsed.entity === "seller"
+        ? pickId(data.id, data.seller_id, body?.seller_id)
+        : pickId(data.seller_id, body?.seller_id);
+
+    if (!sellerId) {
+      return { ...parsed, status: "ignored", reason: "missing_seller_id", changes };
+    }
+
+    if (parsed.entity === "seller") {
+      this._applySellerIndex(sellerId, parsed, data, changes);
+    }
+
+    if (parsed.entity === "seller" && !parsed.isDelete) {
+      this._applySellerStatus(sellerId, data, changes);
+    }
+
+    await this._applySellerChange(sellerId, parsed, changes);
+
+    return { ...parsed, entityId: pickId(data.id, sellerId), status: "processed", changes };
+  }
+
+  _affectedVariantIds(entity, data) {
+    const ids = new Set();
+    const webkulId = pickId(data.id);
+    const productId = entity === "product" ? webkulId : pickId(data.product_id);
+    const variants = entity === "product" ? data.variants || [] : [data];
+
+    for (const variant of variants) {
+      const shopifyVariantId = pickId(variant?.shopify_variant_id, variant?.shopify_id);
+      if (shopifyVariantId) {
+        ids.add(shopifyVariantId);
+      }
+    }
+
+    for (const mapping of this.variantMappingStore.all()) {
+      if (entity === "product" && productId && mapping.webkulProductId === productId) {
+        ids.add(mapping.shopifyVariantId);
+      }
+      if (entity === "variant" && webkulId && mapping.webkulVariantId === webkulId) {
+        ids.add(mapping.shopifyVariantId);
+      }
+    }
+
+    return [...ids];
+  }
+
+  async _applyVariantChange(shopifyVariantId, parsed, changes, sellerIds) {
+    const before = this.variantMappingStore.get(shopifyVariantId);
+    if (before?.sellerId) {
+      sellerIds.add(before.sellerId);
+    }
+
+    // Product and variant events are also how stock changes arrive.
+    this.sellerResolver.forgetVariantStock(shopifyVariantId);
+
+    if (before?.override) {
+      changes.push({ type: "variant_override_kept", shopifyVariantId });
+      return;
+    }
+
+    this.variantCache.delete(shopifyVariantId);
+
+    if (parsed.isDelete) {
+      this.variantMappingStore.remove(shopifyVariantId);
+      changes.push({
+        type: "variant_mapping_removed",
+        shopifyVariantId,
+        sellerId: before?.sellerId || ""
+      });
+      return;
+    }
+
+    try {
+      const after = await this.sellerResolver.refreshVariantMapping(shopifyVariantId);
+      sellerIds.add(String(after.sellerId));
+      changes.push({
+        type: "variant_mapping_refreshed",
+        shopifyVariantId,
+        sellerIdBefore: before?.sellerId || "",
+        sellerIdAfter: String(after.sellerId),
+        weightBefore: before?.variantWeight ?? null,
+        weightAfter: after.variantWeight ?? null
+      });
+    } catch (error) {
+      changes.push({
+        type: "variant_mapping_refresh_failed",
+        shopifyVariantId,
+        error: error.message
+      });
+    }
+  }
+
+  _applySellerIndex(sellerId, parsed, data, changes) {
+    if (!this.sellerIndex) {
+      return;
+    }
+
+    if (parsed.isDelete) {
+      if (this.sellerIndex.remove(sellerId)) {
+        changes.push({ type: "seller_index_removed", sellerId });
+      }
+      return;
+    }
+
+    // Only full seller payloads are indexed; id-only events wait for the
+    // next catalog sync.
+    const hasIdentity = ["email", "contact", "sp_store_name", "store_name_handle"].some(
+      (field) => data[field]
+    );
+    if (hasIdentity && this.sellerIndex.upsert({ ...data, id: sellerId })) {
+      changes.push({ type: "seller_index_updated", sellerId });
+    }
+  }
+
+  // Seller payloads carry the account status; a change is recorded even
+  // when the origin itself stays the same.
+  _applySellerStatus(sellerId, data, changes) {
+    const hasStatus = ["status", "seller_status", "is_active", "active"].some(
+      (field) => data[field] !== undefined
+    );
+    const before = this.sellerOriginStore.get(sellerId);
+    if (!hasStatus || !before) {
+      return;
+    }
+
+    const statusBefore = before.webkulStatus || "active";
+    const webkulStatus = toWebkulStatus(data);
+    if (statusBefore === webkulStatus) {
+      return;
+    }
+
+    this.sellerOriginStore.setWebkulStatus(sellerId, webkulStatus);
+    changes.push({
+      type: "seller_status_changed",
+      sellerId,
+      statusBefore,
+      statusAfter: webkulStatus
+    });
+    this._invalidateSellers([sellerId], changes, { includeRoutes: false });
+  }
+
+  async _applySellerChange(sellerId, parsed, changes) {
+    const before = this.sellerOriginStore.get(sellerId);
+    this.sellerCache.delete(sellerId);
+    changes.push({ type: "seller_cache_evicted", sellerId });
+
+    if (parsed.entity === "seller" && parsed.isDelete) {
+      this._invalidateSellers([sellerId], changes);
+      return;
+    }
+
+    try {
+      const after = await this.sellerResolver.refreshSellerOrigin(sellerId);
+      const originChanged = hasOriginChanged(before, after);
+
+      changes.push({
+        type: "seller_origin_refreshed",
+        sellerId,
+        postalCodeBefore: before?.postalCode || "",
+        postalCodeAfter: after.postalCode,
+        originChanged
+      });
+
+      if (originChanged) {
+        this._invalidateSellers([sellerId], changes);
+      }
+    } catch (error) {
+      changes.push({
+        type: "seller_origin_refresh_failed",
+        sellerId,
+        error: error.message
+      });
+    }
+  }
+
+  _invalidateSellers(sellerIds, changes, options) {
+    for (const sellerId of sellerIds) {
+      const evicted = this.shippingService.invalidateRateCache({ sellerId }, options);
+      changes.push({ type: "rate_cache_invalidated", sellerId, evicted });
+    }
+  }
+}
+
+module.exports = {
+  WebkulWebhookService,
+  parseTopic
+};
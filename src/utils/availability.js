@@ -0,0 +1,150 @@
+const ADMIN_STATUSES = ["active", "vacation", "suspended"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toIsoOrEmpty(value) {
+  if (!value) {
+    return "";
+  }
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? "" : new Date(parsed).toISOString();
+}
+
+// Webkul has no single status field across versions; anything that reads as
+// disabled is treated as suspended.
+function toWebkulStatus(seller) {
+  const raw = [seller?.status, seller?.seller_status, seller?.is_active, seller?.active]
+    .find((value) => value !== undefined && value !== null && value !== "");
+  const value = String(raw ?? "").trim().toLowerCase();
+
+  if (["0", "false", "inactive", "disabled", "suspended", "blocked", "rejected"].includes(value)) {
+    return "suspended";
+  }
+
+  if (["vacation", "holiday"].includes(value)) {
+    return "vacation";
+  }
+
+  return "active";
+}
+
+function normalizeAvailability(input) {
+  const invalidFields = [];
+  const status = String(input?.status || "active").trim().toLowerCase();
+  if (!ADMIN_STATUSES.includes(status)) {
+    invalidFields.push("status");
+  }
+
+  const until = toIsoOrEmpty(input?.until);
+  if (input?.until && !until) {
+    invalidFields.push("until");
+  }
+
+  const closures = (Array.isArray(input?.closures) ? input.closures : []).map(
+    (closure, index) => {
+      const from = toIsoOrEmpty(closure?.from);
+      const closureUntil = toIsoOrEmpty(closure?.until);
+      if (!from || !closureUntil || closureUntil < from) {
+        invalidFields.push(`closures[${index}]`);
+      }
+
+      return {
+        from,
+        until: closureUntil,
+        reason: String(closure?.reason || "").trim()
+      };
+    }
+  );
+
+  return {
+    availability: {
+      status,
+      until,
+      note: String(input?.note || "").trim(),
+      closures,
+      updatedAt: new Date().toISOString()
+    },
+    invalidFields
+  };
+}
+
+// Effective availability of a seller at a point in time. Webkul suspension
+// always wins; otherwise the admin status, then any dated closure window.
+function resolveAvailability(origin, at = Date.now()) {
+  if (origin?.webkulStatus === "suspended") {
+    return { available: false, status: "suspended", source: "webkul", reopensAt: "" };
+  }
+
+  const availability = origin?.availability || {};
+  const adminUntil = availability.until ? Date.parse(availability.until) : NaN;
+
+  if (
+    ["vacation", "suspended"].includes(availability.status) &&
+    (Number.isNaN(adminUntil) || adminUntil > at)
+  ) {
+    return {
+      available: false,
+      status: availability.status,
+      source: "admin",
+      reason: availability.note || "",
+      reopensAt: Number.isNaN(adminUntil) ? "" : availability.until
+    };
+  }
+
+  if (origin?.webkulStatus === "vacation") {
+    return { available: false, status: "vacation", source: "webkul", reopensAt: "" };
+  }
+
+  const closure = (availability.closures || []).find((entry) => {
+    return Date.parse(entry.from) <= at && at < Date.parse(entry.until);
+  });
+
+  if (closure) {
+    return {
+      available: false,
+      status: "closed",
+      source: "admin",
+      reason: closure.reason,
+      reopensAt: closure.until
+    };
+  }
+
+  return { available: true, status: "active", source: "", reopensAt: "" };
+}
+
+function daysUntil(isoDate, at = Date.now()) {
+  const target = Date.parse(isoDate);
+  if (Number.isNaN(target)) {
+    return null;
+  }
+
+  return Math.max(0, Math.ceil((target - at) / DAY_MS));
+}
+
+// Next instant the resolved availability can change: an admin status or a
+// closure window starting or ending, or the days left until a reopening
+// dropping by one. Null when nothing is scheduled.
+function nextAvailabilityChange(origin, at = Date.now()) {
+  const availability = origin?.availability || {};
+  const boundaries = [
+    availability.until,
+    ...(availability.closures || []).flatMap((closure) => [closure.from, closure.until])
+  ]
+    .map((value) => Date.parse(value))
+    .filter((value) => !Number.isNaN(value) && value > at);
+
+  const reopensAt = Date.parse(resolveAvailability(origin, at).reopensAt);
+  if (!Number.isNaN(reopensAt) && reopensAt > at) {
+    boundaries.push(reopensAt - (Math.ceil((reopensAt - at) / DAY_MS) - 1) * DAY_MS);
+  }
+
+  return boundaries.length > 0 ? Math.min(...boundaries) : null;
+}
+
+module.exports = {
+  toWebkulStatus,
+  normalizeAvailability,
+  resolveAvailability,
+  nextAvailabilityChange,
+  daysUntil
+};
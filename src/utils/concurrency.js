@@ -0,0 +1,25 @@
+async function mapWithConcurrency(items, limit, iteratee) {
+  const list = Array.from(items || []);
+  const results = new Array(list.length);
+  const workerCount = Math.max(1, Math.min(Number(limit) || 1, list.length));
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < list.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await iteratee(list[index], index);
+    }
+  }
+
+  if (list.length === 0) {
+    return results;
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
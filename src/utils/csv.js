@@ -0,0 +1,69 @@
+function parseCsvLine(line) {
+  const cells = [];
+  let current = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  cells.push(current.trim());
+  return cells;
+}
+
+function parseCsv(text) {
+  const lines = String(text || "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/);
+
+  let header = null;
+  const rows = [];
+
+  lines.forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith("#")) {
+      return;
+    }
+
+    const cells = parseCsvLine(line);
+    if (!header) {
+      header = cells.map((cell) => cell.toLowerCase());
+      return;
+    }
+
+    const row = { line: index + 1, values: {} };
+    header.forEach((column, columnIndex) => {
+      row.values[column] = cells[columnIndex] ?? "";
+    });
+    rows.push(row);
+  });
+
+  return {
+    header: header || [],
+    rows
+  };
+}
+
+module.exports = {
+  parseCsv
+};
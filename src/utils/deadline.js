@@ -0,0 +1,55 @@
+function createDeadline(budgetMs) {
+  const startedAt = Date.now();
+  const budget = Number(budgetMs) > 0 ? Number(budgetMs) : Infinity;
+
+  return {
+    startedAt,
+    budgetMs: budget,
+    elapsedMs: () => Date.now() - startedAt,
+    remainingMs: () => budget - (Date.now() - startedAt)
+  };
+}
+
+function deadlineExceededError(phase, budgetMs) {
+  const error = new Error(`Carrier quote budget exhausted during ${phase}`);
+  error.code = "deadline_exceeded";
+  error.details = { phase, budgetMs };
+  return error;
+}
+
+function upstreamTimeoutError(phase, timeoutMs) {
+  const error = new Error(`Upstream call timed out during ${phase}`);
+  error.code = "upstream_timeout";
+  error.details = { phase, timeoutMs };
+  return error;
+}
+
+function isDeadlineError(error) {
+  return error?.code === "deadline_exceeded";
+}
+
+// The task keeps running after a timeout; only the caller stops waiting, so a
+// late result can still land in whatever cache the task writes to.
+function runWithTimeout(task, timeoutMs, createError) {
+  const running = Promise.resolve().then(task);
+  if (!Number.isFinite(timeoutMs)) {
+    return running;
+  }
+
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(createError()), Math.max(0, timeoutMs));
+  });
+
+  return Promise.race([running, timeout]).finally(() => {
+    clearTimeout(timer);
+  });
+}
+
+module.exports = {
+  createDeadline,
+  deadlineExceededError,
+  upstreamTimeoutError,
+  isDeadlineError,
+  runWithTimeout
+};
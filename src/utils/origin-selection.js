@@ -0,0 +1,187 @@
+function toFiniteNumber(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+}
+
+function haversineKm(from, to) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const earthRadiusKm = 6371;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) *
+      Math.cos(toRadians(to.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+
+  return 2 * earthRadiusKm * Math.asin(Math.sqrt(a));
+}
+
+function sharedPrefixLength(left, right) {
+  const a = String(left || "");
+  const b = String(right || "");
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length += 1;
+  }
+  return length;
+}
+
+// Every usable warehouse of a seller, falling back to the single stored
+// origin for sellers that only have one.
+function originCandidates(origin) {
+  if (!origin) {
+    return [];
+  }
+
+  const locations = Array.isArray(origin.locations)
+    ? origin.locations.filter((location) => location?.postalCode)
+    : [];
+
+  if (locations.length === 0) {
+    return [
+      {
+        locationId: origin.locationId || "",
+        name: "",
+        postalCode: origin.postalCode || "",
+        city: origin.city || "",
+        state: origin.state || "",
+        country: origin.country || "ID",
+        address1: origin.address1 || "",
+        latitude: origin.latitude || "",
+        longitude: origin.longitude || "",
+        primary: true
+      }
+    ];
+  }
+
+  return locations;
+}
+
+function originSignature(origin) {
+  if (!origin) {
+    return "";
+  }
+
+  const point = (entry) =>
+    [entry.locationId, entry.postalCode, entry.latitude, entry.longitude]
+      .map((value) => String(value ?? ""))
+      .join("|");
+  const locations = originCandidates(origin).map(point).sort();
+  return [point({ ...origin, locationId: "" }), ...locations].join(";");
+}
+
+// Rates and warehouse choices depend on every location a seller ships from,
+// so adding, removing or moving any of them counts as an origin change, not
+// just a new primary postal code.
+function hasOriginChanged(before, after) {
+  return originSignature(before) !== originSignature(after);
+}
+
+// Coordinates win when both sides have them; otherwise the longest shared
+// postal code prefix stands in for "same region". The primary location
+// breaks ties so single-region sellers keep shipping from it.
+function rankOriginsByProximity(candidates, destination) {
+  const destinationPoint = {
+    latitude: toFiniteNumber(destination?.latitude),
+    longitude: toFiniteNumber(destination?.longitude)
+  };
+  const hasDestinationPoint =
+    destinationPoint.latitude !== null && destinationPoint.longitude !== null;
+
+  return candidates
+    .map((location) => {
+      const latitude = toFiniteNumber(location.latitude);
+      const longitude = toFiniteNumber(location.longitude);
+      const distanceKm =
+        hasDestinationPoint && latitude !== null && longitude !== null
+          ? Math.round(haversineKm({ latitude, longitude }, destinationPoint) * 10) / 10
+          : null;
+
+      return {
+        location,
+        distanceKm,
+        postalPrefixMatch: sharedPrefixLength(location.postalCode, destination?.postalCode)
+      };
+    })
+    .sort((a, b) => {
+      if (a.distanceKm !== null && b.distanceKm !== null && a.distanceKm !== b.distanceKm) {
+        return a.distanceKm - b.distanceKm;
+      }
+      if (a.postalPrefixMatch !== b.postalPrefixMatch) {
+        return b.postalPrefixMatch - a.postalPrefixMatch;
+      }
+      return Number(Boolean(b.location.primary)) - Number(Boolean(a.location.primary));
+    });
+}
+
+// Applies a chosen warehouse on top of the seller origin, keeping the
+// seller's identity fields (store name, contact, email).
+function withOriginLocation(origin, location) {
+  if (!location) {
+    return origin;
+  }
+
+  return {
+    ...origin,
+    postalCode: location.postalCode,
+    city: location.city,
+    state: location.state,
+    country: location.country,
+    address1: location.address1,
+    latitude: location.latitude,
+    longitude: location.longitude,
+    locationId: location.locationId,
+    locationName: location.name || ""
+  };
+}
+
+function totalStock(stock) {
+  return Object.values(stock || {}).reduce((sum, quantity) => sum + quantity, 0);
+}
+
+// demand: [{ variantId, quantity, stock: { locationId: quantity } }] for the
+// items whose stock is known. A location qualifies when it holds every
+// item's quantity; the legacy single origin (no locationId) is checked
+// against the seller-wide total. When no single location can fulfil the
+// group, all candidates are kept and the result is flagged as split.
+function filterCandidatesByStock(candidates, demand) {
+  if (!demand.length) {
+    return { candidates, excludedLocationIds: [], split: false };
+  }
+
+  const canFulfil = (location) =>
+    demand.every((entry) => {
+      const available = location.locationId
+        ? entry.stock[location.locationId] || 0
+        : totalStock(entry.stock);
+      return available >= entry.quantity;
+    });
+
+  const eligible = candidates.filter(canFulfil);
+  if (eligible.length === 0) {
+    return { candidates, excludedLocationIds: [], split: true };
+  }
+
+  return {
+    candidates: eligible,
+    excludedLocationIds: candidates
+      .filter((location) => !eligible.includes(location))
+      .map((location) => location.locationId || ""),
+    split: false
+  };
+}
+
+module.exports = {
+  totalStock,
+  filterCandidatesByStock,
+  haversineKm,
+  hasOriginChanged,
+  originCandidates,
+  rankOriginsByProximity,
+  withOriginLocation
+};
@@ -0,0 +1,214 @@
+function toPositiveNumber(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : 0;
+}
+
+function sortedDimensions(entry) {
+  return [
+    toPositiveNumber(entry.length ?? entry.lengthCm),
+    toPositiveNumber(entry.width ?? entry.widthCm),
+    toPositiveNumber(entry.height ?? entry.heightCm)
+  ].sort((a, b) => b - a);
+}
+
+function boxVolume(box) {
+  const [a, b, c] = sortedDimensions(box);
+  return a * b * c;
+}
+
+function toUnits(items) {
+  const units = [];
+
+  items.forEach((item, sourceIndex) => {
+    const quantity = Math.max(1, Number.parseInt(item.quantity || 1, 10) || 1);
+    const dims = sortedDimensions(item);
+    const hasDims = dims.every((value) => value > 0);
+
+    for (let i = 0; i < quantity; i += 1) {
+      units.push({
+        sourceIndex,
+        weight: toPositiveNumber(item.weight),
+        dims: hasDims ? dims : null,
+        volume: hasDims ? dims[0] * dims[1] * dims[2] : 0
+      });
+    }
+  });
+
+  return units.sort((a, b) => b.volume - a.volume || b.weight - a.weight);
+}
+
+function unitFitsBox(unit, box) {
+  if (unit.dims) {
+    const boxDims = sortedDimensions(box);
+    if (unit.dims.some((value, index) => value > boxDims[index])) {
+      return false;
+    }
+  }
+
+  const maxWeight = toPositiveNumber(box.maxWeightGrams);
+  if (maxWeight > 0 && unit.weight + toPositiveNumber(box.tareWeightGrams) > maxWeight) {
+    return false;
+  }
+
+  return true;
+}
+
+function unitsFitBox(units, box) {
+  if (!units.every((unit) => unitFitsBox(unit, box))) {
+    return false;
+  }
+
+  const volume = units.reduce((acc, unit) => acc + unit.volume, 0);
+  if (volume > boxVolume(box)) {
+    return false;
+  }
+
+  const maxWeight = toPositiveNumber(box.maxWeightGrams);
+  const weight = units.reduce((acc, unit) => acc + unit.weight, 0);
+  return !(maxWeight > 0 && weight + toPositiveNumber(box.tareWeightGrams) > maxWeight);
+}
+
+function summarizeParcel(parcel, items, index) {
+  const bySource = new Map();
+  for (const unit of parcel.units) {
+    bySource.set(unit.sourceIndex, (bySource.get(unit.sourceIndex) || 0) + 1);
+  }
+
+  const contents = Array.from(bySource.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([sourceIndex, quantity]) => ({
+      sourceIndex,
+      quantity,
+      item: items[sourceIndex]
+    }));
+
+  const contentWeightGrams = parcel.units.reduce((acc, unit) => acc + unit.weight, 0);
+  const tareWeightGrams = parcel.box ? toPositiveNumber(parcel.box.tareWeightGrams) : 0;
+
+  return {
+    index,
+    box: parcel.box,
+    contents,
+    contentWeightGrams,
+    grossWeightGrams: contentWeightGrams + tareWeightGrams
+  };
+}
+
+// First-fit decreasing: new parcels open in the largest box that fits so the
+// box count stays low, then each parcel is downsized to the smallest box that
+// still holds its contents. Units that fit no box ship as their own parcel.
+function packItems(items, boxes) {
+  const sourceItems = items || [];
+  const catalog = (boxes || [])
+    .filter((box) => boxVolume(box) > 0)
+    .slice()
+    .sort((a, b) => boxVolume(a) - boxVolume(b));
+
+  if (catalog.length === 0) {
+    return [];
+  }
+
+  const parcels = [];
+
+  for (const unit of toUnits(sourceItems)) {
+    const openParcel = parcels.find((parcel) => {
+      return parcel.box && unitsFitBox([...parcel.units, unit], parcel.box);
+    });
+
+    if (openParcel) {
+      openParcel.units.push(unit);
+      continue;
+    }
+
+    const candidates = catalog.filter((box) => unitFitsBox(unit, box));
+    parcels.push({
+      box: candidates.length > 0 ? candidates[candidates.length - 1] : null,
+      units: [unit]
+    });
+  }
+
+  for (const parcel of parcels) {
+    if (!parcel.box) {
+      continue;
+    }
+
+    parcel.box = catalog.find((box) => unitsFitBox(parcel.units, box)) || parcel.box;
+  }
+
+  return parcels.map((parcel, index) => summarizeParcel(parcel, sourceItems, index));
+}
+
+function toParcelItem(parcel) {
+  if (!parcel.box) {
+    const [content] = parcel.contents;
+    return {
+      ...content.item,
+      quantity: content.quantity
+    };
+  }
+
+  const value = parcel.contents.reduce((acc, content) => {
+    return acc + (Number(content.item.value) || 0) * content.quantity;
+  }, 0);
+
+  return {
+    name: `Parcel ${parcel.box.name}`,
+    description: parcel.contents
+      .map((content) => `${content.quantity}x ${content.item.name || "Product"}`)
+      .join(", ")
+      .slice(0, 250),
+    value: Math.max(1, Math.round(value)),
+    weight: parcel.grossWeightGrams,
+    quantity: 1,
+    length: toPositiveNumber(parcel.box.lengthCm),
+    width: toPositiveNumber(parcel.box.widthCm),
+    height: toPositiveNumber(parcel.box.heightCm)
+  };
+}
+
+function combineParcelRates(rateLists) {
+  if (rateLists.length === 1) {
+    return rateLists[0];
+  }
+
+  const rateMaps = rateLists.map((rates) => {
+    const byKey = new Map();
+    for (const rate of rates) {
+      const key = `${rate.courierCode}__${rate.serviceCode}`;
+      const existing = byKey.get(key);
+      if (!existing || rate.price < existing.price) {
+        byKey.set(key, rate);
+      }
+    }
+
+    return byKey;
+  });
+
+  if (rateMaps.length === 0) {
+    return [];
+  }
+
+  const combined = [];
+  for (const [key, firstRate] of rateMaps[0]) {
+    if (!rateMaps.every((byKey) => byKey.has(key))) {
+      continue;
+    }
+
+    const parcelRates = rateMaps.map((byKey) => byKey.get(key));
+    combined.push({
+      ...firstRate,
+      price: parcelRates.reduce((acc, rate) => acc + rate.price, 0),
+      minDay: Math.max(...parcelRates.map((rate) => rate.minDay || 0)),
+      maxDay: Math.max(...parcelRates.map((rate) => rate.maxDay || 0)),
+      parcelCount: parcelRates.length
+    });
+  }
+
+  return combined;
+}
+
+module.exports = {
+  packItems,
+  toParcelItem,
+  combineParcelRates
+};
@@ -0,0 +1,161 @@
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DEFAULT_TIMEZONE = "Asia/Jakarta";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) {
+    return false;
+  }
+
+  const parsed = Date.parse(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed) && new Date(parsed).toISOString().slice(0, 10) === value;
+}
+
+// Wall-clock date and time of an instant in the given timezone.
+function zonedParts(at, timezone) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23"
+  }).formatToParts(new Date(at));
+  const value = (type) => parts.find((part) => part.type === type)?.value || "";
+
+  return {
+    date: `${value("year")}-${value("month")}-${value("day")}`,
+    time: `${value("hour")}:${value("minute")}`
+  };
+}
+
+function zonedTimeToIso(date, time, timezone) {
+  const guess = Date.parse(`${date}T${time}:00Z`);
+  const local = zonedParts(guess, timezone);
+  const offset = Date.parse(`${local.date}T${local.time}:00Z`) - guess;
+  return new Date(guess - offset).toISOString();
+}
+
+function toDayList(value) {
+  const entries = Array.isArray(value) ? value : String(value || "").split(",");
+  return entries.map((entry) => String(entry).trim().toLowerCase().slice(0, 3)).filter(Boolean);
+}
+
+function normalizePickupSchedule(input, defaults = {}) {
+  const invalidFields = [];
+
+  const days = toDayList(input?.days ?? defaults.days);
+  if (days.length === 0 || days.some((day) => !WEEKDAYS.includes(day))) {
+    invalidFields.push("days");
+  }
+
+  const cutoffTime = String(input?.cutoffTime || defaults.cutoffTime || "").trim();
+  if (!TIME_PATTERN.test(cutoffTime)) {
+    invalidFields.push("cutoffTime");
+  }
+
+  // The courier comes at pickupTime; orders placed after the cutoff wait
+  // for the next pickup day.
+  const pickupTime = String(input?.pickupTime || "").trim();
+  if (pickupTime && (!TIME_PATTERN.test(pickupTime) || pickupTime < cutoffTime)) {
+    invalidFields.push("pickupTime");
+  }
+
+  const timezone = String(input?.timezone || defaults.timezone || DEFAULT_TIMEZONE).trim();
+  if (!isValidTimezone(timezone)) {
+    invalidFields.push("timezone");
+  }
+
+  return {
+    pickupSchedule: {
+      days: WEEKDAYS.filter((day) => days.includes(day)),
+      cutoffTime,
+      pickupTime,
+      timezone,
+      updatedAt: new Date().toISOString()
+    },
+    invalidFields
+  };
+}
+
+// Explicit slot from the admin; it must be a real date and time that has
+// not passed yet in the slot's timezone.
+function normalizePickupSlot(input, { timezone = DEFAULT_TIMEZONE, at = Date.now() } = {}) {
+  const invalidFields = [];
+  const date = String(input?.date || "").trim();
+  const time = String(input?.time || "").trim();
+  const slotTimezone = String(input?.timezone || timezone).trim();
+
+  if (!isValidDate(date)) {
+    invalidFields.push("date");
+  }
+  if (!TIME_PATTERN.test(time)) {
+    invalidFields.push("time");
+  }
+  if (!isValidTimezone(slotTimezone)) {
+    invalidFields.push("timezone");
+  }
+
+  if (invalidFields.length > 0) {
+    return { slot: null, invalidFields };
+  }
+
+  const slotAt = zonedTimeToIso(date, time, slotTimezone);
+  if (Date.parse(slotAt) <= at) {
+    invalidFields.push("date");
+  }
+
+  return {
+    slot: { date, time, timezone: slotTimezone, at: slotAt },
+    invalidFields
+  };
+}
+
+// First pickup day on or after `at` in the seller's timezone; today only
+// counts while the cutoff has not passed.
+function nextPickupSlot(schedule, at = Date.now()) {
+  const days = Array.isArray(schedule?.days) ? schedule.days : [];
+  if (days.length === 0 || !schedule.cutoffTime) {
+    return null;
+  }
+
+  const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+  const now = zonedParts(at, timezone);
+  const today = Date.parse(`${now.date}T00:00:00Z`);
+
+  for (let offset = 0; offset <= 7; offset += 1) {
+    const day = new Date(today + offset * DAY_MS);
+    if (!days.includes(WEEKDAYS[day.getUTCDay()])) {
+      continue;
+    }
+
+    if (offset === 0 && now.time >= schedule.cutoffTime) {
+      continue;
+    }
+
+    const date = day.toISOString().slice(0, 10);
+    const time = schedule.pickupTime || schedule.cutoffTime;
+    return { date, time, timezone, at: zonedTimeToIso(date, time, timezone) };
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  normalizePickupSchedule,
+  normalizePickupSlot,
+  nextPickupSlot
+};
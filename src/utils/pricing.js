@@ -0,0 +1,48 @@
+function toAmount(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : 0;
+}
+
+function isRuleActive(rule, at = Date.now()) {
+  if (!rule) {
+    return false;
+  }
+
+  const validFrom = rule.validFrom ? Date.parse(rule.validFrom) : NaN;
+  const validUntil = rule.validUntil ? Date.parse(rule.validUntil) : NaN;
+
+  if (!Number.isNaN(validFrom) && at < validFrom) {
+    return false;
+  }
+
+  if (!Number.isNaN(validUntil) && at > validUntil) {
+    return false;
+  }
+
+  return true;
+}
+
+function applyPricingRule(price, rule) {
+  const base = Math.max(0, Number(price) || 0);
+  if (!rule) {
+    return base;
+  }
+
+  let next = base;
+  next += (base * toAmount(rule.markupPercent)) / 100;
+  next += toAmount(rule.surchargeIdr);
+  next -= (next * Math.min(100, toAmount(rule.discountPercent))) / 100;
+  next -= toAmount(rule.discountIdr);
+
+  const cap = toAmount(rule.capIdr);
+  if (cap > 0) {
+    next = Math.min(next, cap);
+  }
+
+  return Math.max(0, Math.round(next));
+}
+
+module.exports = {
+  isRuleActive,
+  applyPricingRule
+};
@@ -0,0 +1,188 @@
+function normalizeText(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+// 62, +62, 0 and a bare leading 8 all mean the same Indonesian number, so
+// everything is reduced to the 62 form.
+function normalizeIndonesianPhone(value) {
+  const digits = String(value || "").replace(/\D/g, "");
+  if (!digits) {
+    return "";
+  }
+
+  if (digits.startsWith("62")) {
+    return digits;
+  }
+
+  if (digits.startsWith("0")) {
+    return `62${digits.replace(/^0+/, "")}`;
+  }
+
+  if (digits.startsWith("8")) {
+    return `62${digits}`;
+  }
+
+  return digits;
+}
+
+// "Toko Budi ", "toko-budi" and "TokoBudi" all compare as "tokobudi".
+function compactName(value) {
+  return normalizeText(value).replace(/[^a-z0-9]+/g, "");
+}
+
+function levenshtein(left, right) {
+  if (left === right) {
+    return 0;
+  }
+  if (!left.length) {
+    return right.length;
+  }
+  if (!right.length) {
+    return left.length;
+  }
+
+  let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= left.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= right.length; j += 1) {
+      const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[right.length];
+}
+
+// 0..1, where 1 means the compacted names are identical.
+function nameSimilarity(left, right) {
+  const a = compactName(left);
+  const b = compactName(right);
+  if (!a || !b) {
+    return 0;
+  }
+
+  const distance = levenshtein(a, b);
+  return Math.round((1 - distance / Math.max(a.length, b.length)) * 1000) / 1000;
+}
+
+const EXACT_CHECKS = [
+  { key: "email", score: 85, hint: "sellerEmail", field: "email", normalize: normalizeText },
+  {
+    key: "contact",
+    score: 80,
+    hint: "contact",
+    field: "contact",
+    normalize: normalizeIndonesianPhone
+  },
+  { key: "shop_domain", score: 70, hint: "shopDomain", field: "sp_shop_name", normalize: normalizeText }
+];
+
+// Handles and store names are compared both ways round because Flow
+// payloads often carry the display name where the handle is expected.
+const NAME_CHECKS = [
+  { key: "store_name_handle", score: 90, hint: "storeNameHandle", field: "store_name_handle" },
+  { key: "sp_store_name", score: 75, hint: "storeName", field: "sp_store_name" },
+  { key: "store_name_as_handle", score: 75, hint: "storeName", field: "store_name_handle" },
+  { key: "handle_as_store_name", score: 75, hint: "storeNameHandle", field: "sp_store_name" }
+];
+
+// Exact identifier matches keep their fixed score. Name matches are scaled
+// by similarity and only count at or above the threshold.
+function scoreSellerMatch(seller, hints, { threshold = 0.85 } = {}) {
+  const sellerId = String(seller?.id || "");
+  if (!sellerId) {
+    return { score: 0, matchedBy: "", similarity: 0 };
+  }
+
+  const hintSellerId = normalizeText(hints.sellerId);
+  if (hintSellerId && hintSellerId === normalizeText(sellerId)) {
+    return { score: 100, matchedBy: "seller_id", similarity: 1 };
+  }
+
+  let best = { score: 0, matchedBy: "", similarity: 0 };
+
+  for (const check of EXACT_CHECKS) {
+    const hintValue = check.normalize(hints[check.hint]);
+    if (hintValue && hintValue === check.normalize(seller?.[check.field]) && check.score > best.score) {
+      best = { score: check.score, matchedBy: check.key, similarity: 1 };
+    }
+  }
+
+  for (const check of NAME_CHECKS) {
+    const similarity = nameSimilarity(hints[check.hint], seller?.[check.field]);
+    if (similarity < threshold) {
+      continue;
+    }
+
+    const score = Math.round(check.score * similarity * 10) / 10;
+    if (score > best.score) {
+      best = { score, matchedBy: check.key, similarity };
+    }
+  }
+
+  return best;
+}
+
+const MAX_MATCH_CANDIDATES = 5;
+
+function normalizeSellerHints(hints) {
+  return {
+    sellerId: hints?.sellerId || hints?.seller_id || "",
+    sellerEmail: hints?.sellerEmail || hints?.email || "",
+    contact: hints?.contact || "",
+    storeName: hints?.storeName || hints?.spStoreName || "",
+    storeNameHandle: hints?.storeNameHandle || "",
+    shopDomain: hints?.shopDomain || hints?.spShopName || ""
+  };
+}
+
+function toMatchCandidate(seller, match) {
+  return {
+    sellerId: String(seller.id),
+    storeName: seller.sp_store_name || "",
+    storeNameHandle: seller.store_name_handle || "",
+    score: match.score,
+    matchedBy: match.matchedBy,
+    similarity: match.similarity
+  };
+}
+
+// The best candidate is only picked when it leads the runner-up by more than
+// the ambiguity margin, or is the only exact match among fuzzy ones;
+// otherwise the result is flagged as ambiguous and nothing is picked.
+function pickSellerCandidate(candidates, { ambiguityMargin = 5 } = {}) {
+  const ranked = candidates
+    .slice()
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_MATCH_CANDIDATES);
+  const [best, runnerUp] = ranked;
+
+  if (!best) {
+    return { sellerId: "", matchedBy: "", score: 0, ambiguous: false, candidates: [] };
+  }
+
+  const ambiguous =
+    Boolean(runnerUp) &&
+    best.score - runnerUp.score <= ambiguityMargin &&
+    !(best.similarity === 1 && runnerUp.similarity < 1);
+
+  return {
+    sellerId: ambiguous ? "" : best.sellerId,
+    matchedBy: ambiguous ? "" : best.matchedBy,
+    score: best.score,
+    ambiguous,
+    candidates: ranked
+  };
+}
+
+module.exports = {
+  normalizeText,
+  normalizeIndonesianPhone,
+  compactName,
+  nameSimilarity,
+  scoreSellerMatch,
+  normalizeSellerHints,
+  toMatchCandidate,
+  pickSellerCandidate
+};
@@ -0,0 +1,64 @@
+// Biteship courier statuses collapsed into the phases we report on. Order
+// matters: a shipment never moves back to an earlier phase except through
+// the return path.
+const PHASES = [
+  "created",
+  "picked",
+  "in_transit",
+  "returning",
+  "delivered",
+  "returned",
+  "cancelled",
+  "failed"
+];
+
+const PHASE_BY_STATUS = {
+  confirmed: "created",
+  scheduled: "created",
+  allocated: "created",
+  picking_up: "created",
+  picked: "picked",
+  dropping_off: "in_transit",
+  on_hold: "in_transit",
+  in_transit: "in_transit",
+  return_in_transit: "returning",
+  delivered: "delivered",
+  returned: "returned",
+  cancelled: "cancelled",
+  canceled: "cancelled",
+  rejected: "failed",
+  courier_not_found: "failed",
+  disposed: "failed"
+};
+
+const TERMINAL_PHASES = new Set(["delivered", "returned", "cancelled", "failed"]);
+
+function normalizeCourierStatus(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+}
+
+// Statuses we have no mapping for are "unknown" rather than a guess, so a
+// new or unexpected courier status never shows a shipment as moving.
+function toTrackingPhase(status) {
+  return PHASE_BY_STATUS[normalizeCourierStatus(status)] || "unknown";
+}
+
+function isTerminalPhase(phase) {
+  return TERMINAL_PHASES.has(phase);
+}
+
+function phaseRank(phase) {
+  const index = PHASES.indexOf(phase);
+  return index === -1 ? 0 : index;
+}
+
+module.exports = {
+  PHASES,
+  normalizeCourierStatus,
+  toTrackingPhase,
+  isTerminalPhase,
+  phaseRank
+};
@@ -0,0 +1,99 @@
+function toPositiveNumber(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : 0;
+}
+
+function resolveVolumetricDivisor(courierCode, shippingConfig = {}) {
+  const code = String(courierCode || "").trim().toLowerCase();
+  const byCourier = shippingConfig.volumetricDivisors || {};
+
+  if (code && toPositiveNumber(byCourier[code]) > 0) {
+    return toPositiveNumber(byCourier[code]);
+  }
+
+  return toPositiveNumber(shippingConfig.volumetricDivisor);
+}
+
+function volumetricWeightGrams(item, divisor) {
+  const safeDivisor = toPositiveNumber(divisor);
+  const length = toPositiveNumber(item?.length);
+  const width = toPositiveNumber(item?.width);
+  const height = toPositiveNumber(item?.height);
+
+  if (!safeDivisor || !length || !width || !height) {
+    return 0;
+  }
+
+  return Math.ceil(((length * width * height) / safeDivisor) * 1000);
+}
+
+function chargeableWeightGrams(item, divisor) {
+  const actual = toPositiveNumber(item?.weight);
+  return Math.max(actual, volumetricWeightGrams(item, divisor));
+}
+
+function toChargeableItems(items, divisor) {
+  return (items || []).map((item) => ({
+    ...item,
+    weight: chargeableWeightGrams(item, divisor)
+  }));
+}
+
+function describeItemWeights(items, divisor) {
+  return (items || []).map((item) => ({
+    name: item.name || "",
+    quantity: item.quantity || 1,
+    divisor: toPositiveNumber(divisor),
+    actualGrams: toPositiveNumber(item.weight),
+    volumetricGrams: volumetricWeightGrams(item, divisor),
+    chargeableGrams: chargeableWeightGrams(item, divisor)
+  }));
+}
+
+function hasFullDimensions(item) {
+  return volumetricWeightGrams(item, 1) > 0;
+}
+
+// Couriers sharing a divisor can be quoted in one Biteship call; items without
+// dimensions are quoted once since their chargeable weight never changes.
+function planVolumetricBatches(items, couriers, shippingConfig = {}) {
+  const courierList = (couriers || []).map((code) => String(code).toLowerCase());
+
+  if (!(items || []).some((item) => hasFullDimensions(item))) {
+    const divisor = toPositiveNumber(shippingConfig.volumetricDivisor);
+    return [
+      {
+        divisor,
+        couriers: courierList,
+        items: toChargeableItems(items, divisor),
+        weights: describeItemWeights(items, divisor)
+      }
+    ];
+  }
+
+  const byDivisor = new Map();
+  for (const courier of courierList) {
+    const divisor = resolveVolumetricDivisor(courier, shippingConfig);
+    if (!byDivisor.has(divisor)) {
+      byDivisor.set(divisor, []);
+    }
+
+    byDivisor.get(divisor).push(courier);
+  }
+
+  return Array.from(byDivisor.entries()).map(([divisor, batchCouriers]) => ({
+    divisor,
+    couriers: batchCouriers,
+    items: toChargeableItems(items, divisor),
+    weights: describeItemWeights(items, divisor)
+  }));
+}
+
+module.exports = {
+  resolveVolumetricDivisor,
+  volumetricWeightGrams,
+  chargeableWeightGrams,
+  toChargeableItems,
+  describeItemWeights,
+  planVolumetricBatches
+};
@@ -66,3 +66,75 @@ test("normalizes hour-based duration to fractional day", () => {
   assert.equal(result.minDay, 1 / 24);
   assert.equal(result.maxDay, 2 / 24);
 });
+
+function httpError(status, code) {
+  const error = new Error(status ? `Request failed with status code ${status}` : "timeout");
+  error.code = code;
+  if (status) {
+    error.response = { status, data: {}, headers: {} };
+  }
+  return error;
+}
+
+test("looks up an ambiguous order create by reference before creating again", async () => {
+  const client = createClient();
+  client.maxRetries = 2;
+  client.retryDelayMs = 0;
+  const calls = [];
+  let lookups = 0;
+  client.http.request = async ({ method, url }) => {
+    calls.push(`${method} ${url}`);
+    if (method === "POST") {
+      throw httpError(502);
+    }
+
+    lookups += 1;
+    return {
+      data: {
+        orders: lookups === 1 ? [] : [{ id: "bs-1", reference_id: "shopify-9001-501-0-1" }]
+      }
+    };
+  };
+
+  const result = await client.createOrder({ reference_id: "shopify-9001-501-0-1" });
+
+  assert.equal(result.id, "bs-1");
+  assert.deepEqual(result.idempotency, {
+    referenceId: "shopify-9001-501-0-1",
+    ambiguousAttempts: 2,
+    recovered: true
+  });
+  assert.deepEqual(calls, [
+    "POST /v1/orders",
+    "GET /v1/orders?reference_id=shopify-9001-501-0-1",
+    "POST /v1/orders",
+    "GET /v1/orders?reference_id=shopify-9001-501-0-1"
+  ]);
+});
+
+test("flags timeouts as ambiguous but not rejected or unsent creates", async () => {
+  const client = createClient();
+  client.findOrderByReference = async () => {
+    throw new Error("Biteship order-lookup request failed");
+  };
+
+  client.http.request = async () => {
+    throw httpError(undefined, "ECONNABORTED");
+  };
+  const timedOut = await client.createOrder({ reference_id: "ref-1" }).catch((error) => error);
+  assert.equal(timedOut.details.ambiguous, true);
+  assert.equal(timedOut.details.referenceId, "ref-1");
+  assert.equal(timedOut.details.lookupError, "Biteship order-lookup request failed");
+
+  client.http.request = async () => {
+    throw httpError(undefined, "ECONNREFUSED");
+  };
+  const refused = await client.createOrder({ reference_id: "ref-1" }).catch((error) => error);
+  assert.equal(refused.details.ambiguous, undefined);
+
+  client.http.request = async () => {
+    throw httpError(400);
+  };
+  const rejected = await client.createOrder({ reference_id: "ref-1" }).catch((error) => error);
+  assert.equal(rejected.details.ambiguous, undefined);
+});
@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { BiteshipWebhookService } = require("../src/services/biteship-webhook-service");
+const { ShipmentTrackingService } = require("../src/services/shipment-tracking-service");
+
+const noOpLogger = {
+  info() {},
+  warn() {},
+  error() {}
+};
+
+function createService(records) {
+  const data = new Map(records.map((record) => [record.orderId, record]));
+  const events = [];
+  const orderSyncStore = {
+    get(orderId) {
+      return data.get(String(orderId)) || null;
+    },
+    saveRecord(record) {
+      const saved = { ...data.get(record.orderId), ...record };
+      data.set(record.orderId, saved);
+      return saved;
+    },
+    all() {
+      return [...data.values()];
+    }
+  };
+  const webhookEventStore = {
+    append(entry) {
+      const saved = { id: `evt_${events.length + 1}`, ...entry };
+      events.push(saved);
+      return saved;
+    },
+    find(predicate) {
+      return events.slice().reverse().find(predicate) || null;
+    }
+  };
+  const service = new BiteshipWebhookService({
+    logger: noOpLogger,
+    orderSyncStore,
+    webhookEventStore,
+    shipmentTracking: new ShipmentTrackingService({
+      config: { order: {} },
+      logger: noOpLogger,
+      orderSyncStore
+    })
+  });
+
+  return {
+    service,
+    orderSyncStore,
+    async deliver(body) {
+      const result = await service.handle(body);
+      webhookEventStore.append({ source: "biteship", ...result });
+      return result;
+    }
+  };
+}
+
+test("applies status events to the shipment named in the metadata", async () => {
+  const { orderSyncStore, deliver } = createService([
+    {
+      orderId: "9001",
+      shipments: [
+        { sellerId: "501", parcelIndex: 0, status: "created", biteshipOrderId: "bs-1" },
+        { sellerId: "502", parcelIndex: 0, status: "created", biteshipOrderId: "bs-2" }
+      ]
+    }
+  ]);
+  const picked = {
+    event: "order.status",
+    order_id: "bs-unknown-to-us",
+    courier_waybill_id: "SCP999",
+    courier_tracking_id: "trk-2",
+    status: "picked",
+    updated_at: "2026-03-01T05:00:00Z",
+    metadata: { shopify_order_id: "9001", seller_id: "502", parcel_index: 0 }
+  };
+
+  const first = await deliver(picked);
+  const shipment = orderSyncStore.get("9001").shipments[1];
+
+  assert.equal(first.status, "processed");
+  assert.equal(first.sellerId, "502");
+  assert.equal(shipment.courierStatus, "picked");
+  assert.equal(shipment.waybillId, "SCP999");
+  assert.equal(shipment.statusHistory[0].source, "webhook");
+  assert.equal(orderSyncStore.get("9001").shipments[0].courierStatus, undefined);
+
+  const again = await deliver({ ...picked });
+  assert.equal(again.status, "duplicate");
+  assert.equal(again.duplicateOf, "evt_1");
+  assert.equal(orderSyncStore.get("9001").shipments[1].statusHistory.length, 1);
+
+  const delivered = await deliver({
+    event: "order.status",
+    order_id: "bs-1",
+    status: "delivered",
+    updated_at: "2026-03-02T09:00:00Z"
+  });
+  assert.equal(delivered.sellerId, "501");
+  assert.equal(orderSyncStore.get("9001").shipments[0].trackingTerminal, true);
+});
+
+test("flags unknown events and shipments for review", async () => {
+  const { deliver } = createService([{ orderId: "9001", shipments: [] }]);
+
+  const unsupported = await deliver({ event: "order.price", order_id: "bs-1", price: 12000 });
+  assert.equal(unsupported.status, "ignored");
+  assert.equal(unsupported.needsReview, true);
+
+  const unmatched = await deliver({ event: "order.status", order_id: "bs-404", status: "picked" });
+  assert.equal(unmatched.status, "unmatched");
+  assert.equal(unmatched.needsReview, true);
+});
+
+test("uses the receipt time when the event timestamp is invalid", async () => {
+  const { orderSyncStore, deliver } = createService([
+    {
+      orderId: "9001",
+      shipments: [
+        { sellerId: "501", parcelIndex: 0, status: "created", biteshipOrderId: "bs-1" }
+      ]
+    }
+  ]);
+  const before = new Date().toISOString();
+
+  const result = await deliver({
+    event: "order.status",
+    order_id: "bs-1",
+    status: "picked",
+    updated_at: "not-a-date"
+  });
+  const [entry] = orderSyncStore.get("9001").shipments[0].statusHistory;
+
+  assert.equal(result.status, "processed");
+  assert.equal(entry.status, "picked");
+  assert.ok(entry.at >= before);
+});
@@ -0,0 +1,168 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { createMarketplaceSourceChain } = require("../src/services/marketplace-sources");
+
+const noOpLogger = {
+  info() {},
+  warn() {},
+  error() {}
+};
+
+function notFound() {
+  const error = new Error("Variant not found");
+  error.details = { status: 404 };
+  return error;
+}
+
+function createChain(names, { webkulClient, shopifyAdminClient, sellerIndex, csv = "" } = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "marketplace-sources-"));
+  const mappingFilePath = path.join(directory, "mapping.csv");
+  if (csv) {
+    fs.writeFileSync(mappingFilePath, csv, "utf8");
+  }
+
+  return createMarketplaceSourceChain({
+    names,
+    logger: noOpLogger,
+    webkulClient,
+    shopifyAdminClient,
+    sellerIndex,
+    metafieldNamespace: "marketplace",
+    metafieldKey: "seller_id",
+    vendorSellerMap: { "Toko Budi": "budi" },
+    mappingFilePath
+  });
+}
+
+test("falls through to the next source for variants Webkul does not know", async () => {
+  const webkulClient = {
+    async resolveVariantToSeller(variantId) {
+      if (variantId === "1001") {
+        return { shopifyVariantId: "1001", sellerId: "501", source: "webkul" };
+      }
+      throw notFound();
+    },
+    async resolveSellerOrigin(sellerId) {
+      return { sellerId, postalCode: "10110" };
+    }
+  };
+  const shopifyAdminClient = {
+    isConfigured() {
+      return true;
+    },
+    async getVariant(variantId) {
+      return { id: variantId, product_id: variantId === "1002" ? 71 : 72, grams: 250 };
+    },
+    async getProductMetafield(productId) {
+      return productId === "71" ? { value: "777" } : null;
+    },
+    async getProduct() {
+      return { id: 72, vendor: "toko-budi" };
+    }
+  };
+  const chain = createChain(["webkul", "shopify_product", "file"], {
+    webkulClient,
+    shopifyAdminClient,
+    csv: "shopify_variant_id,seller_id,weight_grams\n1004,csv-seller,400\n"
+  });
+
+  assert.deepEqual(chain.names(), ["webkul", "shopify_product", "file"]);
+  assert.equal((await chain.resolveVariantToSeller("1001")).source, "webkul");
+
+  const fromMetafield = await chain.resolveVariantToSeller("1002");
+  assert.equal(fromMetafield.sellerId, "777");
+  assert.equal(fromMetafield.source, "shopify_metafield");
+  assert.equal(fromMetafield.variantWeight, 250);
+
+  const fromVendor = await chain.resolveVariantToSeller("1003");
+  assert.equal(fromVendor.sellerId, "budi");
+  assert.equal(fromVendor.source, "shopify_vendor");
+
+  shopifyAdminClient.getProduct = async () => ({ id: 72, vendor: "Unknown" });
+  const fromFile = await chain.resolveVariantToSeller("1004");
+  assert.equal(fromFile.sellerId, "csv-seller");
+  assert.equal(fromFile.variantWeight, 400);
+  assert.equal(fromFile.source, "file");
+
+  await assert.rejects(chain.resolveVariantToSeller("1005"), /No marketplace source/);
+
+  assert.equal((await chain.resolveSellerOrigin("501")).postalCode, "10110");
+  await assert.rejects(chain.resolveSellerOrigin("csv-seller"), /has an origin/);
+});
+
+test("stops the chain when a source fails instead of re-routing the variant", async () => {
+  const chain = createChain(["webkul", "file"], {
+    webkulClient: {
+      async resolveVariantToSeller() {
+        const error = new Error("Webkul request failed");
+        error.details = { status: 503 };
+        throw error;
+      }
+    },
+    csv: "shopify_variant_id,seller_id\n1001,csv-seller\n"
+  });
+
+  await assert.rejects(chain.resolveVariantToSeller("1001"), /Webkul request failed/);
+  assert.throws(() => createChain(["webkul", "erp"]), /Unknown marketplace source "erp"/);
+});
+
+test("tries the next source when Shopify does not know the variant", async () => {
+  const chain = createChain(["shopify_product", "file"], {
+    shopifyAdminClient: {
+      isConfigured() {
+        return true;
+      },
+      async getVariant() {
+        throw notFound();
+      }
+    },
+    csv: "shopify_variant_id,seller_id\n1001,csv-seller\n"
+  });
+
+  const mapping = await chain.resolveVariantToSeller("1001");
+  assert.equal(mapping.sellerId, "csv-seller");
+  assert.equal(mapping.source, "file");
+});
+
+test("matches vendors without rebuilding a stale seller index inline", async () => {
+  const calls = { rebuild: 0, options: [] };
+  const sellerIndex = {
+    isStale() {
+      return true;
+    },
+    rebuild() {
+      calls.rebuild += 1;
+      return new Promise(() => {});
+    },
+    async resolveSellerId(hints, options) {
+      calls.options.push(options);
+      return hints.storeName === "Toko Sari" ? "sari" : "";
+    }
+  };
+  const chain = createChain(["shopify_product"], {
+    sellerIndex,
+    shopifyAdminClient: {
+      isConfigured() {
+        return true;
+      },
+      async getVariant(variantId) {
+        return { id: variantId, product_id: 72, grams: 100 };
+      },
+      async getProductMetafield() {
+        return null;
+      },
+      async getProduct() {
+        return { id: 72, vendor: "Toko Sari" };
+      }
+    }
+  });
+
+  const mapping = await chain.resolveVariantToSeller("1001");
+  assert.equal(mapping.sellerId, "sari");
+  assert.equal(calls.rebuild, 1);
+  assert.deepEqual(calls.options, [{ rebuild: false }]);
+});
@@ -3,45 +3,50 @@ const assert = require("node:assert/strict");
 
 const { OrderSyncService } = require("../src/services/order-sync-service");
 const { MemoryCache } = require("../src/services/memory-cache");
+const { SellerResolver } = require("../src/services/seller-resolver");
 
 function createService() {
-  return new OrderSyncService({
-    config: {
-      cache: {
-        variantTtlSeconds: 3600,
-        sellerTtlSeconds: 3600
-      },
-      shipping: {
-        defaultOriginPostalCode: "",
-        postalCodeLength: 5,
-        defaultItemWeightGrams: 1000
-      },
-      biteship: {
-        couriers: ["jne", "sicepat"]
-      },
-      order: {
-        defaultDeliveryType: "now",
-        maxDashboardOrders: 20,
-        autoFulfillOnCreate: false,
-        notifyCustomerOnFulfill: false
-      }
+  const config = {
+    cache: {
+      variantTtlSeconds: 3600,
+      sellerTtlSeconds: 3600
     },
-    logger: {
-      info() {},
-      warn() {},
-      error() {}
+    shipping: {
+      defaultOriginPostalCode: "",
+      postalCodeLength: 5,
+      defaultItemWeightGrams: 1000
     },
-    webkulClient: {
-      async resolveVariantToSeller() {
-        return null;
-      },
-      async resolveSellerOrigin() {
-        return null;
-      },
-      async getSellerById() {
-        return null;
-      }
+    biteship: {
+      couriers: ["jne", "sicepat"]
+    },
+    order: {
+      defaultDeliveryType: "now",
+      maxDashboardOrders: 20,
+      autoFulfillOnCreate: false,
+      notifyCustomerOnFulfill: false
+    }
+  };
+  const logger = {
+    info() {},
+    warn() {},
+    error() {}
+  };
+  const webkulClient = {
+    async resolveVariantToSeller() {
+      return null;
+    },
+    async resolveSellerOrigin() {
+      return null;
     },
+    async getSellerById() {
+      return null;
+    }
+  };
+
+  return new OrderSyncService({
+    config,
+    logger,
+    webkulClient,
     biteshipClient: {
       async getRates() {
         return [];
@@ -55,14 +60,19 @@ function createService() {
         return false;
       }
     },
-    variantCache: new MemoryCache({ ttlSeconds: 3600, maxEntries: 100 }),
-    sellerCache: new MemoryCache({ ttlSeconds: 3600, maxEntries: 100 }),
-    sellerOriginStore: {
-      get() {
-        return null;
-      },
-      upsert() {}
-    },
+    sellerResolver: new SellerResolver({
+      config,
+      logger,
+      webkulClient,
+      variantCache: new MemoryCache({ ttlSeconds: 3600, maxEntries: 100 }),
+      sellerCache: new MemoryCache({ ttlSeconds: 3600, maxEntries: 100 }),
+      sellerOriginStore: {
+        get() {
+          return null;
+        },
+        upsert() {}
+      }
+    }),
     orderSyncStore: {
       get() {
         return null;
@@ -129,3 +139,510 @@ test("allocates fulfillment quantities across fulfillment orders", () => {
   assert.equal(allocation.unallocated.length, 0);
   assert.equal(allocation.lineItemsByFulfillmentOrder.length, 2);
 });
+
+test("splits seller group line items across packed parcels", () => {
+  const service = createService();
+  service.boxCatalogStore = {
+    forSeller() {
+      return [
+        {
+          name: "S",
+          lengthCm: 30,
+          widthCm: 20,
+          heightCm: 10,
+          maxWeightGrams: 2000,
+          tareWeightGrams: 0
+        }
+      ];
+    }
+  };
+
+  const parcels = service._packGroup({
+    sellerId: "501",
+    items: [
+      { name: "Mug", value: 50000, quantity: 2, weight: 900 },
+      { name: "Plate", value: 30000, quantity: 1, weight: 600 }
+    ],
+    lineItems: [
+      { lineItemId: "1", variantId: "1001", quantity: 2 },
+      { lineItemId: "2", variantId: "1002", quantity: 1 }
+    ]
+  });
+
+  assert.equal(parcels.length, 2);
+  assert.deepEqual(
+    parcels.map((parcel) => parcel.lineItems.map((entry) => [entry.lineItemId, entry.quantity])),
+    [[["1", 2]], [["2", 1]]]
+  );
+  assert.equal(parcels[0].items.length, 1);
+  assert.equal(parcels[0].items[0].weight, 1800);
+});
+
+test("plans the order from the warehouse that was quoted", () => {
+  const service = createService();
+  const origin = {
+    sellerId: "501",
+    postalCode: "10110",
+    storeName: "Toko",
+    locations: [
+      { locationId: "1", postalCode: "10110", primary: true },
+      { locationId: "2", postalCode: "40211", city: "Bandung" }
+    ]
+  };
+  const destination = { postalCode: "10220" };
+
+  const nearest = service._selectOriginLocation(
+    { sellerId: "501", origin },
+    destination
+  );
+  assert.equal(nearest.locationId, "1");
+
+  service.sellerResolver.rememberOriginChoice("501", "10220", "2");
+  const group = { sellerId: "501", origin };
+  const quoted = service._selectOriginLocation(group, destination);
+
+  assert.equal(quoted.locationId, "2");
+  assert.equal(quoted.postalCode, "40211");
+  assert.equal(quoted.storeName, "Toko");
+  assert.deepEqual(group.originSelection, {
+    source: "quoted",
+    locationId: "2",
+    candidateCount: 2
+  });
+});
+
+test("defers or blocks shipments for closed sellers", async () => {
+  const service = createService();
+  const reopensAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  const records = new Map();
+  let createCalls = 0;
+
+  service.shopifyAdminClient = {
+    isConfigured() {
+      return true;
+    },
+    async getOrder() {
+      return { id: 9001, name: "#9001" };
+    }
+  };
+  service.biteshipClient.createOrder = async () => {
+    createCalls += 1;
+    return {};
+  };
+  service.orderSyncStore = {
+    get(orderId) {
+      return records.get(String(orderId)) || null;
+    },
+    saveRecord(record) {
+      const saved = { ...records.get(record.orderId), ...record };
+      records.set(record.orderId, saved);
+      return saved;
+    },
+    all() {
+      return [...records.values()];
+    }
+  };
+  service._buildPlan = async () => ({
+    order: { id: "9001" },
+    destination: { postalCode: "10220" },
+    selectedShipping: {},
+    skippedItems: [],
+    sellerGroups: [
+      {
+        sellerId: "501",
+        origin: { postalCode: "10110" },
+        availability: {
+          available: false,
+          status: "closed",
+          source: "admin",
+          reason: "Libur",
+          reopensAt
+        },
+        parcels: [{ index: 0, boxName: "", lineItems: [] }],
+        courierSelection: { courierCompany: "", courierType: "" }
+      }
+    ]
+  });
+
+  const deferred = await service.createBiteshipOrdersFromOrder("9001");
+
+  assert.equal(createCalls, 0);
+  assert.equal(deferred.record.status, "deferred");
+  assert.equal(deferred.record.deferredUntil, reopensAt);
+  assert.equal(deferred.record.shipments[0].status, "deferred");
+  assert.equal(deferred.record.shipments[0].reason, "Libur");
+  assert.deepEqual(await service.retryDeferredOrders(), []);
+
+  service.config.order.closedSellerAction = "block";
+  const blocked = await service.createBiteshipOrdersFromOrder("9001");
+
+  assert.equal(blocked.record.status, "blocked");
+  assert.equal(blocked.record.deferredUntil, null);
+  assert.equal(blocked.record.shipments[0].status, "blocked");
+});
+
+test("keeps retrying held shipments when another seller's create failed", async () => {
+  const service = createService();
+  const records = new Map();
+  let open = false;
+  const created = [];
+
+  service.shopifyAdminClient = {
+    isConfigured() {
+      return true;
+    },
+    async getOrder() {
+      return { id: 9001, name: "#9001" };
+    }
+  };
+  service.biteshipClient.createOrder = async (payload) => {
+    if (payload.metadata.seller_id === "502") {
+      throw new Error("Courier unavailable");
+    }
+    created.push(payload.metadata.seller_id);
+    return { id: `bs-${payload.metadata.seller_id}` };
+  };
+  service._buildOrderPayload = ({ group }) => ({ metadata: { seller_id: group.sellerId } });
+  service.orderSyncStore = {
+    get(orderId) {
+      return records.get(String(orderId)) || null;
+    },
+    saveRecord(record) {
+      const saved = { ...records.get(record.orderId), ...record };
+      records.set(record.orderId, saved);
+      return saved;
+    },
+    all() {
+      return [...records.values()];
+    }
+  };
+  service._buildPlan = async () => ({
+    order: { id: "9001" },
+    destination: { postalCode: "10220" },
+    selectedShipping: {},
+    skippedItems: [],
+    sellerGroups: ["501", "502"].map((sellerId) => ({
+      sellerId,
+      origin: { postalCode: "10110" },
+      availability:
+        sellerId === "501" && !open
+          ? { available: false, status: "closed", source: "admin", reopensAt: "" }
+          : { available: true },
+      parcels: [{ index: 0, boxName: "", lineItems: [] }],
+      courierSelection: { courierCompany: "jne", courierType: "reg" }
+    }))
+  });
+
+  const first = await service.createBiteshipOrdersFromOrder("9001");
+
+  assert.equal(first.record.status, "partial_failed");
+  assert.equal(first.record.deferredUntil, "");
+  assert.deepEqual(created, []);
+
+  open = true;
+  const [retried] = await service.retryDeferredOrders();
+
+  assert.equal(retried.orderId, "9001");
+  assert.deepEqual(created, ["501"]);
+  assert.equal(records.get("9001").deferredUntil, null);
+});
+
+test("plans from a stocked warehouse and skips items out of stock", async () => {
+  const service = createService();
+  service.config.shipping.inventoryRouting = true;
+  Object.assign(service.sellerResolver.webkulClient, {
+    async resolveVariantToSeller(variantId) {
+      return {
+        shopifyVariantId: String(variantId),
+        webkulProductId: "71",
+        webkulVariantId: `w${variantId}`,
+        sellerId: "501"
+      };
+    },
+    async resolveSellerOrigin() {
+      return {
+        sellerId: "501",
+        postalCode: "10110",
+        locationId: "1",
+        locations: [
+          { locationId: "1", postalCode: "10110", primary: true },
+          { locationId: "2", postalCode: "40211" }
+        ]
+      };
+    },
+    async getVariantLocationStock(productId, variantId) {
+      return variantId === "w1001" ? { 1: 1, 2: 4 } : { 1: 0, 2: 0 };
+    }
+  });
+  service.sellerResolver.rememberOriginChoice("501", "10220", "1");
+
+  const plan = await service._buildPlan(
+    {
+      id: 9002,
+      shipping_address: { zip: "10220" },
+      line_items: [
+        { id: 1, variant_id: 1001, quantity: 2, grams: 300, requires_shipping: true },
+        { id: 2, variant_id: 1002, quantity: 1, grams: 300, requires_shipping: true }
+      ]
+    },
+    { courierCompany: "jne", courierType: "reg" }
+  );
+  const group = plan.sellerGroups[0];
+
+  assert.equal(group.origin.locationId, "2");
+  assert.deepEqual(group.originSelection, {
+    source: "nearest",
+    locationId: "2",
+    candidateCount: 1,
+    stock: { excludedLocationIds: ["1"], split: false }
+  });
+  assert.deepEqual(plan.skippedItems, [
+    {
+      lineItemId: "2",
+      variantId: "1002",
+      sellerId: "501",
+      reason: "out_of_stock",
+      requested: 1,
+      available: 0
+    }
+  ]);
+});
+
+test("cancels one seller's shipment and re-creates it with another courier", async () => {
+  const service = createService();
+  const records = new Map();
+  const calls = [];
+  let created = 0;
+
+  service.shopifyAdminClient = {
+    isConfigured() {
+      return true;
+    },
+    async getOrder() {
+      return { id: 9001, name: "#9001" };
+    },
+    async cancelFulfillment(fulfillmentId) {
+      calls.push(`fulfillment:${fulfillmentId}`);
+      return { id: fulfillmentId, status: "cancelled" };
+    }
+  };
+  Object.assign(service.biteshipClient, {
+    async createOrder(payload) {
+      created += 1;
+      calls.push(`create:${payload.metadata.seller_id}:${payload.courier_company}`);
+      return { id: `bs-${created}` };
+    },
+    async cancelOrder(biteshipOrderId, { reason }) {
+      calls.push(`cancel:${biteshipOrderId}:${reason}`);
+      // A tracking poll lands on the other shipment while Biteship cancels.
+      const record = records.get("9001");
+      records.set("9001", {
+        ...record,
+        shipments: record.shipments.map((entry) =>
+          entry.biteshipOrderId === "bs-1" ? { ...entry, courierStatus: "picked" } : entry
+        )
+      });
+      return { success: true };
+    }
+  });
+  service._buildOrderPayload = ({ group }) => ({
+    courier_company: group.courierSelection.courierCompany,
+    metadata: { seller_id: group.sellerId }
+  });
+  service.orderSyncStore = {
+    get(orderId) {
+      return records.get(String(orderId)) || null;
+    },
+    saveRecord(record) {
+      const saved = { ...records.get(record.orderId), ...record };
+      records.set(record.orderId, saved);
+      return saved;
+    }
+  };
+  service._buildPlan = async (order, options) => ({
+    order: { id: "9001" },
+    destination: { postalCode: "10220" },
+    selectedShipping: {},
+    skippedItems: [],
+    sellerGroups: ["501", "502"].map((sellerId) => ({
+      sellerId,
+      origin: { postalCode: "10110" },
+      availability: { available: true },
+      parcels: [{ index: 0, boxName: "", lineItems: [] }],
+      courierSelection: { courierCompany: options.courierCompany || "jne", courierType: "reg" }
+    }))
+  });
+
+  await service.createBiteshipOrdersFromOrder("9001");
+  records.get("9001").shipments[1].shopifyFulfillmentId = "ful-2";
+
+  await assert.rejects(
+    () => service.cancelBiteshipShipments("9001", { sellerId: "502" }),
+    /reason is required/
+  );
+
+  const cancelled = await service.cancelBiteshipShipments("9001", {
+    sellerId: "502",
+    reason: "Ganti kurir"
+  });
+  const shipment = cancelled.record.shipments[1];
+
+  assert.equal(cancelled.ok, true);
+  assert.equal(cancelled.record.status, "partial_cancelled");
+  assert.equal(shipment.status, "cancelled");
+  assert.equal(shipment.cancelReason, "Ganti kurir");
+  assert.equal(shipment.shopifyFulfillmentStatus, "cancelled");
+  assert.equal(cancelled.record.cancelledShipments.length, 1);
+  assert.equal(cancelled.record.shipments[0].courierStatus, "picked");
+
+  const replayed = await service.createBiteshipOrdersFromOrder("9001");
+  assert.equal(replayed.skipped, true);
+  assert.equal(replayed.reason, "cancelled");
+
+  const recreated = await service.createBiteshipOrdersFromOrder("9001", {
+    courierCompany: "sicepat",
+    recreateCancelled: true
+  });
+
+  assert.equal(recreated.record.status, "completed");
+  assert.equal(recreated.record.shipments[0].biteshipOrderId, "bs-1");
+  assert.equal(recreated.record.shipments[1].biteshipOrderId, "bs-3");
+  assert.equal(recreated.record.shipments[1].courierCompany, "sicepat");
+  assert.equal(recreated.record.shipments[1].replacesBiteshipOrderId, "bs-2");
+  assert.equal(recreated.record.cancelledShipments.length, 1);
+  assert.deepEqual(calls, [
+    "create:501:jne",
+    "create:502:jne",
+    "cancel:bs-2:Ganti kurir",
+    "fulfillment:ful-2",
+    "create:502:sicepat"
+  ]);
+});
+
+test("records ambiguous creates and recovers them by reference", async () => {
+  const service = createService();
+  const records = new Map();
+  const references = [];
+  let outcome = "ambiguous";
+
+  service.shopifyAdminClient = {
+    isConfigured() {
+      return true;
+    },
+    async getOrder() {
+      return { id: 9001, name: "#9001" };
+    }
+  };
+  Object.assign(service.biteshipClient, {
+    async createOrder(payload) {
+      references.push(payload.reference_id);
+      const error = new Error("Biteship order-create request failed");
+      error.details = { status: 504, ambiguous: true, referenceId: payload.reference_id };
+      throw error;
+    },
+    async findOrderByReference(referenceId) {
+      return outcome === "found" ? { id: "bs-7", reference_id: referenceId } : null;
+    }
+  });
+  service._buildOrderPayload = ({ referenceId }) => ({ reference_id: referenceId });
+  service.orderSyncStore = {
+    get(orderId) {
+      return records.get(String(orderId)) || null;
+    },
+    saveRecord(record) {
+      const saved = { ...records.get(record.orderId), ...record };
+      records.set(record.orderId, saved);
+      return saved;
+    }
+  };
+  service._buildPlan = async () => ({
+    order: { id: "9001" },
+    destination: { postalCode: "10220" },
+    selectedShipping: {},
+    skippedItems: [],
+    sellerGroups: [
+      {
+        sellerId: "501",
+        origin: { postalCode: "10110" },
+        availability: { available: true },
+        parcels: [{ index: 0, boxName: "", lineItems: [] }],
+        courierSelection: { courierCompany: "jne", courierType: "reg" }
+      }
+    ]
+  });
+
+  const first = await service.createBiteshipOrdersFromOrder("9001");
+  const ambiguous = first.record.shipments[0];
+
+  assert.equal(first.record.status, "partial_failed");
+  assert.match(first.record.lastError, /unknown Biteship outcome/);
+  assert.equal(ambiguous.status, "ambiguous");
+  assert.equal(ambiguous.referenceId, "shopify-9001-501-0-1");
+
+  outcome = "found";
+  const second = await service.createBiteshipOrdersFromOrder("9001");
+  const recovered = second.record.shipments[0];
+
+  assert.equal(second.record.status, "completed");
+  assert.equal(recovered.status, "created");
+  assert.equal(recovered.biteshipOrderId, "bs-7");
+  assert.equal(recovered.createOutcome, "recovered_by_reference");
+  assert.equal(recovered.referenceId, "shopify-9001-501-0-1");
+  assert.deepEqual(references, ["shopify-9001-501-0-1"]);
+});
+
+test("schedules pickups from the seller schedule or an explicit slot", () => {
+  const service = createService();
+  const at = Date.parse("2026-03-02T08:00:00Z");
+  const group = {
+    sellerId: "501",
+    pickupSchedule: { days: ["mon", "tue"], cutoffTime: "14:00", timezone: "Asia/Jakarta" }
+  };
+
+  assert.deepEqual(service._resolvePickupSlot(group, null, at), {
+    date: "2026-03-03",
+    time: "14:00",
+    timezone: "Asia/Jakarta",
+    at: "2026-03-03T07:00:00.000Z",
+    source: "seller_schedule"
+  });
+  assert.equal(
+    service._resolvePickupSlot(group, { date: "2026-03-05", time: "09:00" }, at).source,
+    "override"
+  );
+  assert.equal(service._resolvePickupSlot({ sellerId: "502" }, null, at), null);
+
+  Object.assign(service.config.order, {
+    defaultDeliveryType: "scheduled",
+    pickupDays: ["sat"],
+    pickupCutoffTime: "12:00",
+    pickupTimezone: "Asia/Jakarta"
+  });
+  const fallback = service._resolvePickupSlot({ sellerId: "502" }, null, at);
+  assert.equal(fallback.date, "2026-03-07");
+  assert.equal(fallback.source, "default_schedule");
+
+  const payload = service._buildOrderPayload({
+    order: { id: 9001, name: "#9001" },
+    destination: {
+      name: "Budi",
+      phone: "0812",
+      address: "Jl. Sudirman 1",
+      postalCode: "10220"
+    },
+    group: {
+      sellerId: "501",
+      origin: { address1: "Jl. Gudang 2", postalCode: "10110" },
+      sellerIdentity: { name: "Toko", phone: "0813" },
+      courierSelection: { courierCompany: "jne", courierType: "reg" },
+      items: []
+    },
+    parcel: { index: 0, items: [{ name: "Kaos", quantity: 1 }] },
+    source: "admin_api",
+    pickupSlot: fallback
+  });
+
+  assert.equal(payload.delivery_type, "scheduled");
+  assert.equal(payload.delivery_date, "2026-03-07");
+  assert.equal(payload.delivery_time, "12:00");
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  normalizePickupSchedule,
+  normalizePickupSlot,
+  nextPickupSlot
+} = require("../src/utils/pickup-schedule");
+
+const schedule = {
+  days: ["mon", "wed"],
+  cutoffTime: "14:00",
+  pickupTime: "15:00",
+  timezone: "Asia/Jakarta"
+};
+
+test("picks today before the cutoff and the next pickup day after it", () => {
+  // 2026-03-02 is a Monday; 06:00Z is 13:00 in Jakarta.
+  assert.deepEqual(nextPickupSlot(schedule, Date.parse("2026-03-02T06:00:00Z")), {
+    date: "2026-03-02",
+    time: "15:00",
+    timezone: "Asia/Jakarta",
+    at: "2026-03-02T08:00:00.000Z"
+  });
+  assert.equal(nextPickupSlot(schedule, Date.parse("2026-03-02T07:00:00Z")).date, "2026-03-04");
+
+  // Thursday 01:00 in Jakarta is still Wednesday in UTC.
+  assert.equal(nextPickupSlot(schedule, Date.parse("2026-03-04T18:00:00Z")).date, "2026-03-09");
+  assert.equal(
+    nextPickupSlot({ ...schedule, pickupTime: "" }, Date.parse("2026-03-02T06:00:00Z")).time,
+    "14:00"
+  );
+});
+
+test("validates schedules and explicit slots", () => {
+  const normalized = normalizePickupSchedule(
+    { days: "Friday, mon", cutoffTime: "09:30" },
+    { timezone: "Asia/Makassar" }
+  );
+  assert.deepEqual(normalized.invalidFields, []);
+  assert.deepEqual(normalized.pickupSchedule.days, ["mon", "fri"]);
+  assert.equal(normalized.pickupSchedule.timezone, "Asia/Makassar");
+
+  assert.deepEqual(
+    normalizePickupSchedule({
+      days: ["mon", "someday"],
+      cutoffTime: "14:00",
+      pickupTime: "10:00",
+      timezone: "Mars/Base"
+    }).invalidFields,
+    ["days", "pickupTime", "timezone"]
+  );
+
+  const at = Date.parse("2026-03-02T06:00:00Z");
+  assert.deepEqual(normalizePickupSlot({ date: "2026-03-03", time: "10:00" }, { at }).slot, {
+    date: "2026-03-03",
+    time: "10:00",
+    timezone: "Asia/Jakarta",
+    at: "2026-03-03T03:00:00.000Z"
+  });
+  assert.deepEqual(
+    normalizePickupSlot({ date: "2026-02-30", time: "25:00" }, { at }).invalidFields,
+    ["date", "time"]
+  );
+  assert.deepEqual(
+    normalizePickupSlot({ date: "2026-03-02", time: "12:00" }, { at }).invalidFields,
+    ["date"]
+  );
+});
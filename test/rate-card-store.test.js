@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { RateCardStore } = require("../src/services/rate-card-store");
+
+function createStore() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "rate-card-"));
+  return new RateCardStore(path.join(directory, "rate-card.json"), {
+    warn() {},
+    error() {}
+  });
+}
+
+test("imports CSV rows and reports rejected lines", () => {
+  const store = createStore();
+  const result = store.importCsv(
+    [
+      "origin_prefix,destination_prefix,min_weight_grams,max_weight_grams,price_idr,min_day,max_day,service_name",
+      "1,4,0,1000,18000,2,3,Reguler",
+      "*,*,0,5000,35000,3,5,",
+      "10,40,2000,1000,9000,1,1,Broken"
+    ].join("\n"),
+    { mode: "append" }
+  );
+
+  assert.equal(result.imported, 2);
+  assert.deepEqual(result.rejected.map((entry) => entry.line), [4]);
+  assert.equal(store.size(), 2);
+});
+
+test("keeps the current rate card when a replace import has invalid rows", () => {
+  const store = createStore();
+  const header = "origin_prefix,destination_prefix,min_weight_grams,max_weight_grams,price_idr";
+  store.importCsv([header, "*,*,0,5000,35000"].join("\n"));
+
+  assert.throws(
+    () => store.importCsv([header, "1,4,0,1000,18000", "10,40,2000,1000,9000"].join("\n")),
+    (error) => {
+      assert.match(error.message, /1 invalid row/);
+      assert.deepEqual(error.details.rejected.map((entry) => entry.line), [3]);
+      return true;
+    }
+  );
+  assert.throws(() => store.importCsv([header, "x,y,0,0,-1"].join("\n")), /no valid rows/);
+  assert.throws(
+    () => store.importCsv([header, "x,y,0,0,-1"].join("\n"), { mode: "append" }),
+    /no valid rows/
+  );
+
+  store.load();
+  assert.equal(store.size(), 1);
+  assert.equal(store.match("10110", "40111", 800).priceIdr, 35000);
+});
+
+test("matches the most specific lane within the weight band", () => {
+  const store = createStore();
+  store.importCsv(
+    [
+      "origin_prefix,destination_prefix,min_weight_grams,max_weight_grams,price_idr",
+      "*,*,0,5000,35000",
+      "1,*,0,5000,25000",
+      "101,40,0,1000,15000"
+    ].join("\n")
+  );
+
+  assert.equal(store.match("10110", "40111", 800).priceIdr, 15000);
+  assert.equal(store.match("10110", "40111", 1500).priceIdr, 25000);
+  assert.equal(store.match("60291", "40111", 1500).priceIdr, 35000);
+  assert.equal(store.match("60291", "40111", 9000), null);
+});
+
+test("rejects CSV without required columns", () => {
+  const store = createStore();
+  assert.throws(() => store.importCsv("origin,destination\n1,2"), /missing columns/);
+});
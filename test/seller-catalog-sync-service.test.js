@@ -0,0 +1,202 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  SellerCatalogSyncService
+} = require("../src/services/seller-catalog-sync-service");
+const { SellerOriginStore } = require("../src/services/seller-origin-store");
+const { SellerSyncRunStore } = require("../src/services/seller-sync-run-store");
+const { WebkulClient } = require("../src/services/webkul-client");
+
+const noOpLogger = {
+  info() {},
+  warn() {},
+  error() {}
+};
+
+function createWebkulClient(overrides) {
+  const client = new WebkulClient({
+    baseUrl: "https://webkul.test",
+    postalCodeLength: 5,
+    maxRetries: 0,
+    logger: noOpLogger
+  });
+  return Object.assign(client, overrides);
+}
+
+function createService(webkulClient, onOriginChanged) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "seller-sync-"));
+  const sellerOriginStore = new SellerOriginStore(
+    path.join(directory, "seller-origins.json"),
+    noOpLogger
+  );
+  const runStore = new SellerSyncRunStore(
+    path.join(directory, "seller-sync-runs.json"),
+    noOpLogger
+  );
+
+  const service = new SellerCatalogSyncService({
+    config: {
+      shipping: { postalCodeLength: 5 },
+      webkul: { resolveConcurrency: 2 },
+      sellerSync: { pageSize: 2, maxPages: 10, intervalMinutes: 0 }
+    },
+    logger: noOpLogger,
+    webkulClient,
+    sellerOriginStore,
+    runStore,
+    onOriginChanged
+  });
+
+  return { service, sellerOriginStore, runStore };
+}
+
+test("syncs every seller page and flags missing zipcode or phone", async () => {
+  const pages = [
+    [
+      {
+        id: 1,
+        sp_store_name: "Toko Satu",
+        email: "satu@example.com",
+        contact: "081234567890"
+      },
+      { id: 2, sp_store_name: "Toko Dua", email: "dua@example.com", contact: "" }
+    ],
+    [
+      {
+        id: 3,
+        sp_store_name: "Toko Tiga",
+        contact: "0812-555-777",
+        zipcode: "40111"
+      }
+    ]
+  ];
+  const changed = [];
+
+  const { service, sellerOriginStore, runStore } = createService(
+    createWebkulClient({
+      async listSellers({ page }) {
+        return pages[page - 1] || [];
+      },
+      async getSellerLocations(sellerId) {
+        if (sellerId === "1") {
+          return [
+            { id: 11, zipcode: "10110", city: "Jakarta", primary: true },
+            { id: 12, zipcode: "40111", city: "Bandung" }
+          ];
+        }
+        if (sellerId === "3") {
+          throw new Error("location lookup failed");
+        }
+        return [];
+      }
+    }),
+    (origin) => changed.push(origin.sellerId)
+  );
+
+  sellerOriginStore.upsert({
+    sellerId: "2",
+    postalCode: "60291",
+    source: "flow_webhook"
+  });
+
+  const { started, promise } = service.start({ trigger: "test" });
+  assert.equal(started, true);
+  assert.equal(service.start().started, false);
+
+  const run = await promise;
+
+  assert.equal(run.status, "partial");
+  assert.equal(run.pages, 2);
+  assert.equal(run.sellersSeen, 3);
+  assert.deepEqual(run.missingZipcode, ["2"]);
+  assert.deepEqual(run.missingPhone, ["2"]);
+  assert.deepEqual(run.originChanged.sort(), ["1", "3"]);
+  assert.deepEqual(changed.sort(), ["1", "3"]);
+  assert.equal(run.errors[0].sellerId, "3");
+
+  assert.equal(sellerOriginStore.get("1").postalCode, "10110");
+  assert.equal(sellerOriginStore.get("1").locationId, "11");
+  assert.deepEqual(
+    sellerOriginStore.get("1").locations.map((location) => location.postalCode),
+    ["10110", "40111"]
+  );
+  assert.equal(sellerOriginStore.get("1").sellerEmail, "satu@example.com");
+  assert.equal(sellerOriginStore.get("2").postalCode, "60291");
+  assert.equal(sellerOriginStore.get("2").source, "flow_webhook");
+  assert.deepEqual(sellerOriginStore.get("2").issues, [
+    "missing_zipcode",
+    "missing_phone"
+  ]);
+  assert.equal(sellerOriginStore.get("3").postalCode, "40111");
+
+  assert.equal(runStore.get(run.id).status, "partial");
+  assert.equal(service.status().running, false);
+});
+
+test("writes the origin store once and flags secondary location moves", async () => {
+  let secondaryZipcode = "40111";
+  const { service, sellerOriginStore } = createService(
+    createWebkulClient({
+      async listSellers({ page }) {
+        return page === 1 ? [{ id: 1, contact: "081234567890" }] : [];
+      },
+      async getSellerLocations() {
+        return [
+          { id: 11, zipcode: "10110", primary: true },
+          { id: 12, zipcode: secondaryZipcode }
+        ];
+      }
+    })
+  );
+
+  let saves = 0;
+  const save = sellerOriginStore.save.bind(sellerOriginStore);
+  sellerOriginStore.save = () => {
+    saves += 1;
+    save();
+  };
+
+  assert.deepEqual((await service.start().promise).originChanged, ["1"]);
+  assert.equal(saves, 1);
+
+  const reloaded = new SellerOriginStore(sellerOriginStore.filePath, noOpLogger);
+  assert.equal(reloaded.get("1").locations.length, 2);
+
+  assert.deepEqual((await service.start().promise).originChanged, []);
+
+  secondaryZipcode = "40112";
+  assert.deepEqual((await service.start().promise).originChanged, ["1"]);
+});
+
+test("keeps contact details set by Flow or an admin when Webkul has none", async () => {
+  const { service, sellerOriginStore } = createService(
+    createWebkulClient({
+      async listSellers({ page }) {
+        return page === 1 ? [{ id: 1, zipcode: "10110" }] : [];
+      },
+      async getSellerLocations() {
+        return [];
+      }
+    })
+  );
+
+  sellerOriginStore.upsert({
+    sellerId: "1",
+    postalCode: "10110",
+    contact: "081234567890",
+    sellerEmail: "satu@example.com",
+    storeName: "Toko Satu",
+    source: "flow_webhook"
+  });
+
+  const run = await service.start().promise;
+
+  assert.deepEqual(run.missingPhone, []);
+  assert.equal(sellerOriginStore.get("1").contact, "081234567890");
+  assert.equal(sellerOriginStore.get("1").sellerEmail, "satu@example.com");
+  assert.equal(sellerOriginStore.get("1").storeName, "Toko Satu");
+});
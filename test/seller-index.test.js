@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { SellerIndex } = require("../src/services/seller-index");
+
+const noOpLogger = {
+  info() {},
+  warn() {},
+  error() {}
+};
+
+function createIndex(sellers, { pageSize = 2, maxAgeMinutes = 60 } = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "seller-index-"));
+  const calls = [];
+  const webkulClient = {
+    async listSellers({ limit, page }) {
+      calls.push(page);
+      return sellers.slice((page - 1) * limit, page * limit);
+    }
+  };
+  const index = new SellerIndex({
+    filePath: path.join(directory, "seller-index.json"),
+    logger: noOpLogger,
+    webkulClient,
+    pageSize,
+    maxAgeMinutes
+  });
+
+  return { index, calls, filePath: path.join(directory, "seller-index.json") };
+}
+
+test("resolves sellers past the fifth page and looks up without paging again", async () => {
+  const sellers = Array.from({ length: 13 }, (_, i) => ({
+    id: i + 1,
+    email: `seller${i + 1}@example.com`,
+    contact: `0812000${i + 1}`,
+    sp_store_name: `Toko Nomor ${i + 1}`,
+    store_name_handle: `toko-nomor-${i + 1}`
+  }));
+  const { index, calls, filePath } = createIndex(sellers);
+
+  assert.equal(await index.resolveSellerId({ storeNameHandle: "toko-nomor-13" }), "13");
+  assert.equal(calls.length, 7);
+
+  assert.equal(await index.resolveSellerId({ contact: "+62 812 0001 2" }), "12");
+  assert.equal(await index.resolveSellerId({ email: "SELLER3@example.com" }), "3");
+  assert.equal(await index.resolveSellerId({ storeName: "Toko Nomor 9 " }), "9");
+  assert.equal(calls.length, 7);
+
+  const reloaded = new SellerIndex({ filePath, logger: noOpLogger, webkulClient: {} });
+  assert.equal(reloaded.status().size, 13);
+  assert.equal(await reloaded.resolveSellerId({ storeNameHandle: "toko-nomor-5" }), "5");
+});
+
+test("reports ambiguous candidates instead of picking one", async () => {
+  const { index } = createIndex([
+    { id: 1, sp_store_name: "Toko Budi Jaya", store_name_handle: "budi-jaya" },
+    { id: 2, sp_store_name: "Toko Budi Raya", store_name_handle: "budi-raya" },
+    { id: 3, sp_store_name: "Toko Sari", store_name_handle: "sari" }
+  ]);
+
+  const ambiguous = await index.match({ storeName: "Toko Budi Aya" });
+  assert.equal(ambiguous.ambiguous, true);
+  assert.equal(ambiguous.sellerId, "");
+  assert.deepEqual(
+    ambiguous.candidates.map((candidate) => candidate.sellerId).sort(),
+    ["1", "2"]
+  );
+
+  const exact = await index.match({ storeName: "toko-budi-jaya" });
+  assert.equal(exact.ambiguous, false);
+  assert.equal(exact.sellerId, "1");
+});
+
+test("keeps the index fresh from upserts and rebuilds a stale index on a miss", async () => {
+  const sellers = [{ id: 1, store_name_handle: "lama" }];
+  const { index, calls } = createIndex(sellers);
+
+  await index.rebuild();
+  index.upsert({ id: 1, store_name_handle: "baru" });
+  assert.equal(await index.resolveSellerId({ storeNameHandle: "baru" }), "1");
+  assert.equal((await index.match({ storeNameHandle: "lama" })).candidates.length, 0);
+
+  sellers.push({ id: 2, store_name_handle: "toko-dua" });
+  calls.length = 0;
+  assert.equal(await index.resolveSellerId({ storeNameHandle: "toko-dua" }), "");
+  assert.deepEqual(calls, []);
+
+  index.builtAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  const options = { rebuild: false };
+  assert.equal(await index.resolveSellerId({ storeNameHandle: "toko-dua" }, options), "");
+  assert.deepEqual(calls, []);
+  assert.equal(await index.resolveSellerId({ storeNameHandle: "toko-dua" }), "2");
+  assert.deepEqual(calls, [1, 2]);
+
+  index.remove("2");
+  assert.equal(index.status().size, 1);
+});
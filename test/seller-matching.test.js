@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  normalizeIndonesianPhone,
+  nameSimilarity,
+  scoreSellerMatch
+} = require("../src/utils/seller-matching");
+
+test("treats 62, +62 and a leading 0 as the same Indonesian prefix", () => {
+  assert.equal(normalizeIndonesianPhone("+62 812-3456-789"), "628123456789");
+  assert.equal(normalizeIndonesianPhone("08123456789"), "628123456789");
+  assert.equal(normalizeIndonesianPhone("628123456789"), "628123456789");
+  assert.equal(normalizeIndonesianPhone("8123456789"), "628123456789");
+  assert.equal(normalizeIndonesianPhone(""), "");
+});
+
+test("scores store names by similarity above the threshold", () => {
+  assert.equal(nameSimilarity("Toko Budi ", "toko-budi"), 1);
+  assert.ok(nameSimilarity("Toko Budi Jaya", "toko-budi-jaja") > 0.9);
+
+  const seller = { id: 7, sp_store_name: "Toko Budi Jaya", store_name_handle: "toko-budi-jaya" };
+  assert.deepEqual(scoreSellerMatch(seller, { storeNameHandle: "Toko Budi Jaya" }), {
+    score: 90,
+    matchedBy: "store_name_handle",
+    similarity: 1
+  });
+  assert.equal(scoreSellerMatch(seller, { storeName: "Toko Sari" }).score, 0);
+  assert.equal(
+    scoreSellerMatch({ id: 7, contact: "0812 3456 789" }, { contact: "+62 812-3456-789" })
+      .matchedBy,
+    "contact"
+  );
+});
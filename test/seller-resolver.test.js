@@ -0,0 +1,173 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { SellerResolver } = require("../src/services/seller-resolver");
+const { MemoryCache } = require("../src/services/memory-cache");
+const { VariantMappingStore } = require("../src/services/variant-mapping-store");
+const { runInBackgroundLane } = require("../src/services/token-bucket-limiter");
+
+const noOpLogger = {
+  info() {},
+  warn() {},
+  error() {}
+};
+
+function createMappingStore() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "variant-mappings-"));
+  return new VariantMappingStore(
+    path.join(directory, "variant-mappings.json"),
+    noOpLogger
+  );
+}
+
+function createResolver(webkulClient, options = {}) {
+  return new SellerResolver({
+    config: {
+      cache: {
+        variantTtlSeconds: 3600,
+        sellerTtlSeconds: 3600,
+        variantRefreshAheadSeconds: 600
+      },
+      shipping: { defaultOriginPostalCode: "", postalCodeLength: 5 }
+    },
+    logger: noOpLogger,
+    webkulClient,
+    variantCache: new MemoryCache({ ttlSeconds: 3600, maxEntries: 100 }),
+    sellerCache: new MemoryCache({ ttlSeconds: 3600, maxEntries: 100 }),
+    sellerOriginStore: {
+      get() {
+        return null;
+      },
+      upsert() {}
+    },
+    ...options
+  });
+}
+
+test("concurrent lookups for the same variant share one Webkul request", async () => {
+  let calls = 0;
+  const resolver = createResolver({
+    async resolveVariantToSeller(variantId) {
+      calls += 1;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return { shopifyVariantId: variantId, sellerId: "7" };
+    }
+  });
+
+  const [first, second] = await Promise.all([
+    resolver.getVariantMapping("101"),
+    resolver.getVariantMapping(101)
+  ]);
+
+  assert.equal(calls, 1);
+  assert.deepEqual(first, second);
+  assert.equal(resolver.stats().shared, 1);
+  assert.equal(resolver.stats().inFlight, 0);
+});
+
+test("resolves seller origins with bounded concurrency", async () => {
+  let active = 0;
+  let peak = 0;
+  const resolver = createResolver(
+    {
+      async resolveSellerOrigin(sellerId) {
+        active += 1;
+        peak = Math.max(peak, active);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        active -= 1;
+        return { sellerId, postalCode: "12345" };
+      }
+    },
+    { concurrency: 2 }
+  );
+
+  const origins = await resolver.resolveSellerOrigins(["1", "2", "3", "4", "5", "1"]);
+
+  assert.equal(origins.size, 5);
+  assert.equal(origins.get("3").sellerId, "3");
+  assert.equal(peak, 2);
+});
+
+test("serves an expired persisted mapping when Webkul is down", async () => {
+  const variantMappingStore = createMappingStore();
+  variantMappingStore.upsert({ shopifyVariantId: "101", sellerId: "7" });
+  variantMappingStore.data["101"].refreshedAt = new Date(
+    Date.now() - 7200 * 1000
+  ).toISOString();
+
+  const resolver = createResolver(
+    {
+      async resolveVariantToSeller() {
+        throw new Error("Webkul unavailable");
+      }
+    },
+    { variantMappingStore }
+  );
+
+  const mapping = await resolver.getVariantMapping("101");
+
+  assert.equal(mapping.sellerId, "7");
+  assert.equal(resolver.stats().staleServed, 1);
+  assert.deepEqual(
+    variantMappingStore.failed().map((entry) => entry.shopifyVariantId),
+    ["101"]
+  );
+  await assert.rejects(resolver.getVariantMapping("102"), /Webkul unavailable/);
+});
+
+test("refreshes persisted mappings in the background before they expire", async () => {
+  const variantMappingStore = createMappingStore();
+  variantMappingStore.upsert({ shopifyVariantId: "101", sellerId: "7" });
+  variantMappingStore.data["101"].refreshedAt = new Date(
+    Date.now() - 3300 * 1000
+  ).toISOString();
+
+  let calls = 0;
+  const resolver = createResolver(
+    {
+      async resolveVariantToSeller(variantId) {
+        calls += 1;
+        return { shopifyVariantId: variantId, sellerId: "8", source: "webkul" };
+      }
+    },
+    { variantMappingStore }
+  );
+
+  const mapping = await resolver.getVariantMapping("101");
+  assert.equal(mapping.sellerId, "7");
+
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(calls, 1);
+  assert.equal(variantMappingStore.get("101").sellerId, "8");
+  assert.equal(resolver.stats().backgroundRefreshes, 1);
+});
+
+test("interactive lookups do not join a background request for the same variant", async () => {
+  let calls = 0;
+  let releaseBackground;
+  const resolver = createResolver({
+    async resolveVariantToSeller(variantId) {
+      calls += 1;
+      if (calls === 1) {
+        await new Promise((resolve) => {
+          releaseBackground = resolve;
+        });
+      }
+      return { shopifyVariantId: variantId, sellerId: "7" };
+    }
+  });
+
+  const background = runInBackgroundLane(() => resolver.refreshVariantMapping("101"));
+  const interactive = await resolver.refreshVariantMapping("101");
+
+  assert.equal(interactive.sellerId, "7");
+  assert.equal(calls, 2);
+  assert.equal(resolver.stats().shared, 0);
+
+  releaseBackground();
+  await background;
+  assert.equal(resolver.stats().inFlight, 0);
+});
@@ -0,0 +1,173 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ShipmentTrackingService } = require("../src/services/shipment-tracking-service");
+
+const noOpLogger = {
+  info() {},
+  warn() {},
+  error() {}
+};
+
+function createService(records, biteshipClient) {
+  const data = new Map(records.map((record) => [record.orderId, record]));
+  return new ShipmentTrackingService({
+    config: { order: { trackingPollBatchSize: 10 } },
+    logger: noOpLogger,
+    biteshipClient,
+    orderSyncStore: {
+      get(orderId) {
+        return data.get(String(orderId)) || null;
+      },
+      saveRecord(record) {
+        const saved = { ...data.get(record.orderId), ...record };
+        data.set(record.orderId, saved);
+        return saved;
+      },
+      all() {
+        return [...data.values()];
+      }
+    }
+  });
+}
+
+test("polls open shipments into a status history until delivered", async () => {
+  const history = [
+    { status: "confirmed", note: "Order confirmed", updated_at: "2026-03-01T01:00:00Z" },
+    { status: "picked", note: "Picked up", updated_at: "2026-03-01T05:00:00Z" }
+  ];
+  const calls = [];
+  const service = createService(
+    [
+      {
+        orderId: "9001",
+        status: "completed",
+        shipments: [
+          { sellerId: "501", status: "created", biteshipOrderId: "bs-1" },
+          { sellerId: "502", status: "failed" }
+        ]
+      }
+    ],
+    {
+      async getOrder(orderId) {
+        calls.push(`order:${orderId}`);
+        return { id: orderId, courier: { tracking_id: "trk-1", waybill_id: "" } };
+      },
+      async getTracking(trackingId) {
+        calls.push(`tracking:${trackingId}`);
+        return { id: trackingId, waybill_id: "JNE123", history };
+      }
+    }
+  );
+
+  const [first] = await service.syncOpenShipments();
+  let record = service.orderSyncStore.get("9001");
+  let shipment = record.shipments[0];
+
+  assert.deepEqual(first, { orderId: "9001", checked: 1, changed: 1, failed: 0 });
+  assert.equal(shipment.courierStatus, "picked");
+  assert.equal(shipment.trackingStatus, "picked");
+  assert.equal(shipment.waybillId, "JNE123");
+  assert.equal(shipment.trackingNumber, "JNE123");
+  assert.equal(shipment.statusHistory.length, 2);
+  assert.equal(record.trackingStatus, "picked");
+  assert.equal(record.trackingTerminal, false);
+
+  const [unchanged] = await service.syncOpenShipments();
+  assert.equal(unchanged.changed, 0);
+
+  history.push(
+    { status: "dropping_off", note: "On the way", updated_at: "2026-03-02T02:00:00Z" },
+    { status: "delivered", note: "Received by Budi", updated_at: "2026-03-02T09:00:00Z" }
+  );
+  await service.syncOpenShipments();
+  record = service.orderSyncStore.get("9001");
+  shipment = record.shipments[0];
+
+  assert.deepEqual(
+    shipment.statusHistory.map((entry) => entry.phase),
+    ["created", "picked", "in_transit", "delivered"]
+  );
+  assert.equal(shipment.trackingTerminal, true);
+  assert.equal(shipment.deliveredAt, "2026-03-02T09:00:00.000Z");
+  assert.equal(record.trackingStatus, "delivered");
+  assert.equal(record.trackingTerminal, true);
+  assert.deepEqual(calls, ["order:bs-1", "tracking:trk-1", "tracking:trk-1", "tracking:trk-1"]);
+
+  assert.deepEqual(await service.syncOpenShipments(), []);
+});
+
+test("keeps undated and unknown courier statuses from distorting the history", () => {
+  const service = createService([]);
+  const shipment = { sellerId: "501", status: "created", biteshipOrderId: "bs-1" };
+
+  service.applyUpdates(shipment, [{ status: "picked", at: "2026-03-01T05:00:00Z" }], {
+    source: "poll"
+  });
+  const undated = (status) => service.applyUpdates(shipment, [{ status }], { source: "poll" });
+
+  assert.equal(undated("picked").changed, false);
+  assert.equal(undated("dropping_off").changed, true);
+  assert.equal(undated("dropping_off").changed, false);
+  assert.equal(shipment.statusHistory.length, 2);
+
+  service.applyUpdates(shipment, [{ status: "Lost In Warehouse", at: "2099-01-01T00:00:00Z" }], {
+    source: "webhook"
+  });
+  assert.equal(shipment.courierStatus, "lost_in_warehouse");
+  assert.equal(shipment.statusHistory.at(-1).phase, "unknown");
+  assert.equal(shipment.trackingStatus, "in_transit");
+  assert.equal(shipment.trackingTerminal, false);
+
+  const fresh = { sellerId: "502", status: "created", biteshipOrderId: "bs-2" };
+  service.applyUpdates(fresh, [{ status: "mystery", at: "2026-03-01T01:00:00Z" }], {
+    source: "poll"
+  });
+  assert.equal(fresh.trackingStatus, "unknown");
+});
+
+test("applies polled tracking onto the record as it is after the poll", async () => {
+  let service;
+  service = createService(
+    [
+      {
+        orderId: "9002",
+        shipments: [
+          { sellerId: "501", status: "created", biteshipOrderId: "bs-1" },
+          { sellerId: "502", status: "created", biteshipOrderId: "bs-2" }
+        ]
+      }
+    ],
+    {
+      async getOrder(orderId) {
+        if (orderId === "bs-1") {
+          const record = service.orderSyncStore.get("9002");
+          service.orderSyncStore.saveRecord({
+            orderId: "9002",
+            shipments: [
+              record.shipments[0],
+              { ...record.shipments[1], status: "cancelled" },
+              { sellerId: "502", status: "created", biteshipOrderId: "bs-3" }
+            ]
+          });
+        }
+        return { id: orderId, status: "confirmed", updated_at: "2026-03-01T01:00:00Z" };
+      }
+    }
+  );
+
+  const result = await service.syncOrder("9002");
+  const shipments = service.orderSyncStore.get("9002").shipments;
+
+  assert.deepEqual(result, { orderId: "9002", checked: 2, changed: 1, failed: 0 });
+  assert.deepEqual(
+    shipments.map((shipment) => [shipment.biteshipOrderId, shipment.status]),
+    [
+      ["bs-1", "created"],
+      ["bs-2", "cancelled"],
+      ["bs-3", "created"]
+    ]
+  );
+  assert.equal(shipments[0].courierStatus, "confirmed");
+  assert.equal(shipments[1].statusHistory, undefined);
+});
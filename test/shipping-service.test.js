@@ -1,8 +1,14 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
 const test = require("node:test");
 const assert = require("node:assert/strict");
 
 const { ShippingService } = require("../src/services/shipping-service");
 const { MemoryCache } = require("../src/services/memory-cache");
+const { SellerResolver } = require("../src/services/seller-resolver");
+const { SellerOriginStore } = require("../src/services/seller-origin-store");
+const { PricingRuleStore } = require("../src/services/pricing-rule-store");
 
 function createBaseConfig() {
   return {
@@ -30,7 +36,18 @@ function createBaseConfig() {
   };
 }
 
-function createService({ biteshipGetRates }) {
+function createService({
+  biteshipGetRates,
+  sellerRules = {},
+  boxes = [],
+  pricingRules = {},
+  pricingRuleStore = null,
+  rateCardStore = null,
+  sellerOrigins = {},
+  storedOrigins = {},
+  sellerOriginStore = null,
+  variantStocks = {}
+}) {
   const config = createBaseConfig();
 
   const webkulClient = {
@@ -38,16 +55,27 @@ function createService({ biteshipGetRates }) {
       if (String(variantId) === "1001") {
         return {
           shopifyVariantId: "1001",
+          webkulProductId: "71",
+          webkulVariantId: "7001",
           sellerId: "501"
         };
       }
 
       return {
         shopifyVariantId: "1002",
+        webkulProductId: "72",
+        webkulVariantId: "7002",
         sellerId: "502"
       };
     },
+    async getVariantLocationStock(productId, variantId) {
+      return variantStocks[variantId] || null;
+    },
     async resolveSellerOrigin(sellerId) {
+      if (sellerOrigins[sellerId]) {
+        return sellerOrigins[sellerId];
+      }
+
       if (String(sellerId) === "501") {
         return {
           sellerId: "501",
@@ -73,21 +101,48 @@ function createService({ biteshipGetRates }) {
     error() {}
   };
 
-  return new ShippingService({
+  const sellerResolver = new SellerResolver({
     config,
     logger: noOpLogger,
     webkulClient,
-    biteshipClient,
     variantCache: new MemoryCache({ ttlSeconds: 3600, maxEntries: 100 }),
     sellerCache: new MemoryCache({ ttlSeconds: 3600, maxEntries: 100 }),
-    rateCache: new MemoryCache({ ttlSeconds: 300, maxEntries: 100 }),
-    sellerOriginStore: {
-      get() {
-        return null;
+    sellerOriginStore: sellerOriginStore || {
+      get(sellerId) {
+        return storedOrigins[sellerId] || null;
       },
       upsert() {}
     }
   });
+
+  return new ShippingService({
+    config,
+    logger: noOpLogger,
+    biteshipClient,
+    sellerResolver,
+    rateCache: new MemoryCache({ ttlSeconds: 300, maxEntries: 100 }),
+    staleRateCache: new MemoryCache({ ttlSeconds: 3600, maxEntries: 100 }),
+    routeRateCache: new MemoryCache({ ttlSeconds: 300, maxEntries: 100 }),
+    sellerRuleStore: {
+      get(sellerId) {
+        return sellerRules[sellerId] || null;
+      }
+    },
+    boxCatalogStore: {
+      forSeller() {
+        return boxes;
+      }
+    },
+    pricingRuleStore: pricingRuleStore || {
+      resolve(courierCode, serviceCode) {
+        return pricingRules[`${courierCode}:${serviceCode}`] || null;
+      },
+      nextChangeAt() {
+        return null;
+      }
+    },
+    rateCardStore
+  });
 }
 
 test("aggregates common courier services across seller groups", async () => {
@@ -235,3 +290,929 @@ test("returns fallback mixed-cheapest rate when no common service", async () =>
   assert.equal(result.rates[0].service_code, "BSH_MULTI_CHEAPEST");
   assert.equal(result.rates[0].total_price, "3700000");
 });
+
+test("applies per-seller rules before summing seller group totals", async () => {
+  const service = createService({
+    sellerRules: {
+      501: {
+        sellerId: "501",
+        handlingFeeIdr: 2000,
+        freeThresholdIdr: 100000,
+        flatRateIdr: null
+      },
+      502: {
+        sellerId: "502",
+        handlingFeeIdr: 1500,
+        freeThresholdIdr: null,
+        flatRateIdr: 10000
+      }
+    },
+    async biteshipGetRates({ originPostalCode }) {
+      return [
+        {
+          courierName: "JNE",
+          courierCode: "jne",
+          serviceName: "REG",
+          serviceCode: "reg",
+          price: originPostalCode === "10110" ? 22000 : 18000,
+          minDay: 2,
+          maxDay: 3
+        }
+      ];
+    }
+  });
+
+  const payload = {
+    destination: {
+      postal_code: "40111"
+    },
+    currency: "IDR",
+    items: [
+      {
+        variant_id: 1001,
+        quantity: 1,
+        grams: 300,
+        price: 5000000,
+        requires_shipping: true,
+        name: "Item 1"
+      },
+      {
+        variant_id: 1002,
+        quantity: 1,
+        grams: 500,
+        price: 20000000,
+        requires_shipping: true,
+        name: "Item 2"
+      }
+    ]
+  };
+
+  const result = await service.calculate(payload);
+
+  assert.equal(result.rates.length, 1);
+  assert.equal(result.rates[0].total_price, "3550000");
+
+  payload.items[0].quantity = 2;
+  service.rateCache.clear();
+  const freeResult = await service.calculate(payload);
+
+  assert.equal(freeResult.rates[0].total_price, "1150000");
+});
+
+test("uses the global fee and threshold only for sellers without a rule", async () => {
+  const sellerRules = {
+    501: {
+      sellerId: "501",
+      handlingFeeIdr: 0,
+      freeThresholdIdr: 100000,
+      flatRateIdr: null
+    }
+  };
+  const service = createService({
+    sellerRules,
+    async biteshipGetRates({ originPostalCode }) {
+      return [
+        {
+          courierName: "JNE",
+          courierCode: "jne",
+          serviceName: "REG",
+          serviceCode: "reg",
+          price: originPostalCode === "10110" ? 22000 : 18000,
+          minDay: 2,
+          maxDay: 3
+        }
+      ];
+    }
+  });
+  service.config.shipping.handlingFeeIdr = 3000;
+  service.config.shipping.freeThresholdIdr = 150000;
+
+  const item = (variantId, price, quantity) => ({
+    variant_id: variantId,
+    quantity,
+    grams: 300,
+    price,
+    requires_shipping: true,
+    name: `Item ${variantId}`
+  });
+  const quote = async (items) => {
+    service.rateCache.clear();
+    const result = await service.calculate({ destination: { postal_code: "40111" }, items });
+    return result.rates[0].total_price;
+  };
+
+  // Seller 501 is free by its own rule and pays no global handling fee.
+  assert.equal(await quote([item(1001, 5000000, 2)]), "0");
+
+  // Seller 502 has no rule: its own subtotal misses the global threshold,
+  // so it pays the rate plus the global handling fee.
+  assert.equal(await quote([item(1001, 5000000, 2), item(1002, 10000000, 1)]), "2100000");
+
+  // A flat-rate seller keeps its price when the rule-less seller is free.
+  sellerRules[501] = { sellerId: "501", flatRateIdr: 10000 };
+  assert.equal(await quote([item(1001, 5000000, 1), item(1002, 10000000, 2)]), "1000000");
+});
+
+test("quotes chargeable volumetric weight per courier divisor", async () => {
+  const calls = [];
+  const service = createService({
+    async biteshipGetRates({ couriers, items }) {
+      calls.push({ couriers, weight: items[0].weight });
+      return couriers.split(",").map((courierCode) => ({
+        courierName: courierCode.toUpperCase(),
+        courierCode,
+        serviceName: "REG",
+        serviceCode: "reg",
+        price: 20000,
+        minDay: 1,
+        maxDay: 2
+      }));
+    }
+  });
+
+  service.config.shipping.volumetricDivisor = 5000;
+  service.config.shipping.volumetricDivisors = { jne: 6000 };
+
+  const result = await service.calculate({
+    destination: {
+      postal_code: "40111"
+    },
+    currency: "IDR",
+    items: [
+      {
+        variant_id: 1001,
+        quantity: 1,
+        grams: 800,
+        price: 15000000,
+        requires_shipping: true,
+        name: "Pillow",
+        length: 50,
+        width: 40,
+        height: 30
+      }
+    ]
+  });
+
+  calls.sort((a, b) => a.couriers.localeCompare(b.couriers));
+  assert.deepEqual(calls, [
+    { couriers: "jne", weight: 10000 },
+    { couriers: "sicepat,jnt", weight: 12000 }
+  ]);
+
+  const weights = result.debug.sellerGroups[0].itemWeights;
+  assert.equal(weights.length, 2);
+  assert.equal(weights[0].actualGrams, 800);
+  assert.equal(weights[0].volumetricGrams, 10000);
+  assert.equal(weights[0].chargeableGrams, 10000);
+});
+
+test("packs seller group into boxes and sums rates per parcel", async () => {
+  const parcelWeights = [];
+  const service = createService({
+    boxes: [
+      {
+        name: "S",
+        lengthCm: 30,
+        widthCm: 20,
+        heightCm: 10,
+        maxWeightGrams: 2000,
+        tareWeightGrams: 100
+      }
+    ],
+    async biteshipGetRates({ items }) {
+      parcelWeights.push(items[0].weight);
+      return [
+        {
+          courierName: "JNE",
+          courierCode: "jne",
+          serviceName: "REG",
+          serviceCode: "reg",
+          price: items[0].weight * 10,
+          minDay: 1,
+          maxDay: 2
+        }
+      ];
+    }
+  });
+
+  const result = await service.calculate({
+    destination: {
+      postal_code: "40111"
+    },
+    currency: "IDR",
+    items: [
+      {
+        variant_id: 1001,
+        quantity: 3,
+        grams: 900,
+        price: 5000000,
+        requires_shipping: true,
+        name: "Mug",
+        length: 20,
+        width: 15,
+        height: 10
+      }
+    ]
+  });
+
+  assert.deepEqual(parcelWeights.sort(), [1000, 1900]);
+  assert.equal(result.rates.length, 1);
+  assert.equal(result.rates[0].total_price, "2900000");
+  assert.equal(result.debug.sellerGroups[0].parcels.length, 2);
+});
+
+test("applies courier pricing rules and reports Biteship cost per rate", async () => {
+  const service = createService({
+    pricingRules: {
+      "jne:reg": {
+        id: "jne:reg",
+        markupPercent: 10,
+        surchargeIdr: 1000,
+        capIdr: 30000
+      },
+      "sicepat:best": {
+        id: "sicepat:best",
+        discountIdr: 5000
+      }
+    },
+    async biteshipGetRates() {
+      return [
+        {
+          courierName: "JNE",
+          courierCode: "jne",
+          serviceName: "REG",
+          serviceCode: "reg",
+          price: 20000,
+          minDay: 2,
+          maxDay: 3
+        },
+        {
+          courierName: "SiCepat",
+          courierCode: "sicepat",
+          serviceName: "BEST",
+          serviceCode: "best",
+          price: 30000,
+          minDay: 1,
+          maxDay: 2
+        }
+      ];
+    }
+  });
+
+  const result = await service.calculate({
+    destination: {
+      postal_code: "40111"
+    },
+    currency: "IDR",
+    items: [
+      {
+        variant_id: 1001,
+        quantity: 1,
+        grams: 300,
+        price: 15000000,
+        requires_shipping: true,
+        name: "Item 1"
+      }
+    ]
+  });
+
+  assert.equal(result.rates[0].service_code, "BSH_JNE_REG");
+  assert.equal(result.rates[0].total_price, "2300000");
+  assert.equal(result.rates[1].total_price, "2500000");
+  assert.deepEqual(result.debug.rateBreakdown[0], {
+    serviceCode: "BSH_JNE_REG",
+    biteshipCostIdr: 20000,
+    customerPriceIdr: 23000,
+    marginIdr: 3000,
+    pricingRuleIds: ["jne:reg"]
+  });
+  assert.equal(result.debug.rateBreakdown[1].marginIdr, -5000);
+});
+
+test("falls back to offline rate card when Biteship is unavailable", async () => {
+  const service = createService({
+    rateCardStore: {
+      match(originPostalCode, destinationPostalCode, weightGrams) {
+        assert.equal(destinationPostalCode, "40111");
+        return {
+          id: `rc_${originPostalCode}`,
+          serviceName: "Standard",
+          priceIdr: originPostalCode === "10110" ? 15000 : 12000,
+          minDay: 2,
+          maxDay: 4,
+          weightGrams
+        };
+      }
+    },
+    async biteshipGetRates() {
+      const error = new Error("Biteship rate request failed");
+      error.details = { status: 503 };
+      throw error;
+    }
+  });
+  service.config.shipping.offlineFallbackEnabled = true;
+
+  const payload = {
+    destination: {
+      postal_code: "40111"
+    },
+    currency: "IDR",
+    items: [
+      {
+        variant_id: 1001,
+        quantity: 1,
+        grams: 300,
+        price: 15000000,
+        requires_shipping: true,
+        name: "Item 1"
+      },
+      {
+        variant_id: 1002,
+        quantity: 2,
+        grams: 500,
+        price: 20000000,
+        requires_shipping: true,
+        name: "Item 2"
+      }
+    ]
+  };
+
+  const result = await service.calculate(payload);
+
+  assert.equal(result.rates.length, 1);
+  assert.equal(result.rates[0].service_code, "FALLBACK_STANDARD");
+  assert.equal(result.rates[0].total_price, "2700000");
+  assert.equal(result.debug.fallback.used, true);
+  assert.equal(result.debug.fallback.status, 503);
+  assert.deepEqual(
+    result.debug.fallback.rateCardEntries.map((entry) => entry.weightGrams),
+    [300, 1000]
+  );
+  assert.equal(service.rateCache.size(), 0);
+});
+
+test("serves stale cached rates when the callback budget runs out", async () => {
+  let delayMs = 0;
+  const service = createService({
+    async biteshipGetRates() {
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+      return [
+        {
+          courierName: "JNE",
+          courierCode: "jne",
+          serviceName: "REG",
+          serviceCode: "reg",
+          price: 20000,
+          minDay: 2,
+          maxDay: 3
+        }
+      ];
+    }
+  });
+
+  const payload = {
+    destination: {
+      postal_code: "40111"
+    },
+    currency: "IDR",
+    items: [
+      {
+        variant_id: 1001,
+        quantity: 1,
+        grams: 300,
+        price: 15000000,
+        requires_shipping: true,
+        name: "Item 1"
+      }
+    ]
+  };
+
+  const fresh = await service.calculate(payload);
+  assert.equal(typeof fresh.debug.phaseTimings.biteshipRatesMs, "number");
+
+  service.rateCache.clear();
+  service.routeRateCache.clear();
+  service.config.shipping.callbackBudgetMs = 30;
+  delayMs = 200;
+
+  const stale = await service.calculate(payload);
+  assert.equal(stale.debug.source, "stale_rate_cache");
+  assert.equal(stale.debug.fallback.phase, "biteship_rates");
+  assert.deepEqual(stale.rates, fresh.rates);
+
+  service.staleRateCache.clear();
+  const empty = await service.calculate(payload);
+  assert.equal(empty.rates.length, 0);
+  assert.equal(empty.debug.reason, "budget_exhausted");
+});
+
+test("reuses per-route Biteship rates across different carts", async () => {
+  const calls = [];
+  const service = createService({
+    async biteshipGetRates({ originPostalCode }) {
+      calls.push(originPostalCode);
+      return [
+        {
+          courierName: "JNE",
+          courierCode: "jne",
+          serviceName: "REG",
+          serviceCode: "reg",
+          price: originPostalCode === "10110" ? 22000 : 18000,
+          minDay: 2,
+          maxDay: 3
+        }
+      ];
+    }
+  });
+
+  const sellerOneItem = {
+    variant_id: 1001,
+    quantity: 1,
+    grams: 300,
+    price: 15000000,
+    requires_shipping: true,
+    name: "Item 1"
+  };
+
+  await service.calculate({
+    destination: { postal_code: "40111" },
+    currency: "IDR",
+    items: [sellerOneItem]
+  });
+
+  const result = await service.calculate({
+    destination: { postal_code: "40111" },
+    currency: "IDR",
+    items: [
+      { ...sellerOneItem, name: "Item 1 renamed" },
+      {
+        variant_id: 1002,
+        quantity: 1,
+        grams: 500,
+        price: 20000000,
+        requires_shipping: true,
+        name: "Item 2"
+      }
+    ]
+  });
+
+  assert.deepEqual(calls, ["10110", "60291"]);
+  assert.equal(result.rates[0].total_price, "4000000");
+  assert.deepEqual(
+    result.debug.sellerGroups.map((group) => group.routeCache),
+    ["hit", "miss"]
+  );
+  assert.deepEqual(service.routeRateCache.stats(), { size: 2, hits: 1, misses: 2 });
+});
+
+test("evicts cached quotes that depend on an updated seller", async () => {
+  let calls = 0;
+  const service = createService({
+    async biteshipGetRates() {
+      calls += 1;
+      return [
+        {
+          courierName: "JNE",
+          courierCode: "jne",
+          serviceName: "REG",
+          serviceCode: "reg",
+          price: 20000,
+          minDay: 2,
+          maxDay: 3
+        }
+      ];
+    }
+  });
+
+  const itemFor = (variantId) => ({
+    variant_id: variantId,
+    quantity: 1,
+    grams: 300,
+    price: 15000000,
+    requires_shipping: true,
+    name: `Item ${variantId}`
+  });
+  const cartOne = { destination: { postal_code: "40111" }, items: [itemFor(1001)] };
+  const cartTwo = { destination: { postal_code: "40111" }, items: [itemFor(1002)] };
+
+  await service.calculate(cartOne);
+  await service.calculate(cartTwo);
+  assert.equal(service.rateCache.size(), 2);
+
+  const evicted = service.invalidateRateCache({ sellerId: "501" });
+  assert.deepEqual(evicted, { rate: 1, staleRate: 1, routeRate: 1 });
+
+  await service.calculate(cartTwo);
+  assert.equal(calls, 2);
+
+  const cached = await service.calculate(cartOne);
+  assert.equal(cached.debug.source, undefined);
+  assert.equal(calls, 3);
+
+  const byCourier = service.invalidateRateCache(
+    { courierCode: "JNE" },
+    { includeRoutes: false }
+  );
+  assert.deepEqual(byCourier, { rate: 2, staleRate: 2 });
+  assert.equal(service.routeRateCache.size(), 2);
+
+  const byDestination = service.invalidateRateCache({ destinationPostalCode: "40111" });
+  assert.equal(byDestination.routeRate, 2);
+});
+
+test("rates from the new origin after a single-origin update replaces locations", async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "seller-origins-"));
+  const noOpLogger = { warn() {}, error() {} };
+  const sellerOriginStore = new SellerOriginStore(
+    path.join(directory, "seller-origins.json"),
+    noOpLogger
+  );
+  sellerOriginStore.upsert({
+    sellerId: "501",
+    postalCode: "10110",
+    locationId: "1",
+    locations: [
+      { locationId: "1", postalCode: "10110", primary: true },
+      { locationId: "2", postalCode: "40211", primary: false }
+    ]
+  });
+  sellerOriginStore.upsert({ sellerId: "501", postalCode: "60111", source: "shopify_flow" });
+
+  const origins = [];
+  const service = createService({
+    sellerOriginStore,
+    async biteshipGetRates({ originPostalCode }) {
+      origins.push(originPostalCode);
+      return [
+        {
+          courierName: "JNE",
+          courierCode: "jne",
+          serviceName: "REG",
+          serviceCode: "reg",
+          price: 20000,
+          minDay: 2,
+          maxDay: 3
+        }
+      ];
+    }
+  });
+
+  const result = await service.calculate({
+    destination: { postal_code: "40111" },
+    items: [
+      {
+        variant_id: 1001,
+        quantity: 1,
+        grams: 300,
+        price: 15000000,
+        requires_shipping: true,
+        name: "Item 1001"
+      }
+    ]
+  });
+
+  assert.deepEqual(sellerOriginStore.get("501").locations, []);
+  assert.deepEqual(origins, ["60111"]);
+  assert.equal(result.rates.length > 0, true);
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test("picks the nearest or cheapest warehouse for multi-location sellers", async () => {
+  const sellerOrigins = {
+    501: {
+      sellerId: "501",
+      postalCode: "10110",
+      locationId: "1",
+      locations: [
+        { locationId: "1", postalCode: "10110", primary: true },
+        { locationId: "2", postalCode: "40211" }
+      ]
+    }
+  };
+  const quotedOrigins = [];
+  const biteshipGetRates = async ({ originPostalCode }) => {
+    quotedOrigins.push(originPostalCode);
+    return [
+      {
+        courierName: "JNE",
+        courierCode: "jne",
+        serviceName: "REG",
+        serviceCode: "reg",
+        price: originPostalCode === "10110" ? 9000 : 15000,
+        minDay: 1,
+        maxDay: 2
+      }
+    ];
+  };
+  const payload = {
+    destination: { postal_code: "40111" },
+    items: [
+      {
+        variant_id: 1001,
+        quantity: 1,
+        grams: 300,
+        price: 15000000,
+        requires_shipping: true,
+        name: "Item 1"
+      }
+    ]
+  };
+
+  const nearest = createService({ biteshipGetRates, sellerOrigins });
+  nearest.config.shipping.maxOriginCandidates = 3;
+  const nearestResult = await nearest.calculate(payload);
+
+  assert.deepEqual(quotedOrigins, ["40211"]);
+  assert.equal(nearestResult.debug.sellerGroups[0].originLocationId, "2");
+  assert.equal(nearestResult.debug.sellerGroups[0].originSelection.strategy, "nearest");
+  assert.equal(nearest.sellerResolver.recallOriginChoice("501", "40111"), "2");
+
+  quotedOrigins.length = 0;
+  const cheapest = createService({ biteshipGetRates, sellerOrigins });
+  cheapest.config.shipping.maxOriginCandidates = 3;
+  cheapest.config.shipping.originSelection = "cheapest";
+  const cheapestResult = await cheapest.calculate(payload);
+  const group = cheapestResult.debug.sellerGroups[0];
+
+  assert.deepEqual(quotedOrigins.sort(), ["10110", "40211"]);
+  assert.equal(group.originLocationId, "1");
+  assert.equal(group.originPostalCode, "10110");
+  assert.deepEqual(
+    group.originSelection.candidates.map((candidate) => candidate.cheapestPriceIdr),
+    [15000, 9000]
+  );
+  assert.equal(cheapestResult.rates[0].total_price, "900000");
+});
+
+test("refuses or delays items from closed sellers depending on mode", async () => {
+  const reopensAt = new Date(Date.now() + 2.5 * 24 * 60 * 60 * 1000).toISOString();
+  const storedOrigins = {
+    502: {
+      sellerId: "502",
+      postalCode: "60291",
+      availability: {
+        status: "active",
+        closures: [
+          { from: new Date(Date.now() - 60000).toISOString(), until: reopensAt, reason: "Lebaran" }
+        ]
+      }
+    }
+  };
+  const biteshipGetRates = async () => [
+    {
+      courierName: "JNE",
+      courierCode: "jne",
+      serviceName: "REG",
+      serviceCode: "reg",
+      price: 10000,
+      minDay: 1,
+      maxDay: 2
+    }
+  ];
+  const payload = {
+    destination: { postal_code: "40111" },
+    items: [
+      {
+        variant_id: 1001,
+        quantity: 1,
+        grams: 300,
+        price: 15000000,
+        requires_shipping: true,
+        name: "Item 1"
+      },
+      {
+        variant_id: 1002,
+        quantity: 1,
+        grams: 500,
+        price: 20000000,
+        requires_shipping: true,
+        name: "Item 2"
+      }
+    ]
+  };
+
+  const refusing = createService({ biteshipGetRates, storedOrigins });
+  const refused = await refusing.calculate(payload);
+
+  assert.equal(refused.debug.sellerGroups.length, 1);
+  assert.equal(refused.debug.sellerGroups[0].sellerId, "501");
+  assert.deepEqual(refused.debug.skippedItems, [
+    {
+      variantId: "1002",
+      sellerId: "502",
+      reason: "seller_unavailable",
+      sellerStatus: "closed",
+      reopensAt
+    }
+  ]);
+
+  const delaying = createService({ biteshipGetRates, storedOrigins });
+  delaying.config.shipping.closedSellerMode = "delay";
+  const delayed = await delaying.calculate(payload);
+  const closedGroup = delayed.debug.sellerGroups.find((group) => group.sellerId === "502");
+
+  assert.equal(delayed.debug.sellerGroups.length, 2);
+  assert.equal(closedGroup.availability.delayDays, 3);
+  assert.equal(
+    delayed.rates[0].max_delivery_date.slice(0, 10),
+    delaying._toIsoDateFromNow(5).slice(0, 10)
+  );
+
+  storedOrigins[502].availability.status = "suspended";
+  const suspended = await delaying.calculate({
+    ...payload,
+    items: payload.items.map((item) => ({ ...item, quantity: 2 }))
+  });
+
+  assert.equal(suspended.debug.sellerGroups.length, 1);
+  assert.equal(suspended.debug.skippedItems[0].sellerStatus, "suspended");
+});
+
+test("caps cached quote lifetime at the next seller closure boundary", async () => {
+  const closesAt = Date.now() + 90 * 1000;
+  const storedOrigins = {
+    502: {
+      sellerId: "502",
+      postalCode: "60291",
+      availability: {
+        status: "active",
+        closures: [
+          {
+            from: new Date(closesAt).toISOString(),
+            until: new Date(closesAt + 24 * 60 * 60 * 1000).toISOString()
+          }
+        ]
+      }
+    }
+  };
+  const service = createService({
+    storedOrigins,
+    biteshipGetRates: async () => [
+      {
+        courierName: "JNE",
+        courierCode: "jne",
+        serviceName: "REG",
+        serviceCode: "reg",
+        price: 10000,
+        minDay: 1,
+        maxDay: 2
+      }
+    ]
+  });
+  const ttls = [];
+  const set = service.rateCache.set.bind(service.rateCache);
+  service.rateCache.set = (key, value, ttlSeconds, tags) => {
+    ttls.push(ttlSeconds);
+    return set(key, value, ttlSeconds, tags);
+  };
+  const item = { quantity: 1, grams: 300, price: 1000000, requires_shipping: true };
+
+  await service.calculate({
+    destination: { postal_code: "40111" },
+    items: [{ ...item, variant_id: 1001, name: "Item 1" }]
+  });
+  await service.calculate({
+    destination: { postal_code: "40111" },
+    items: [
+      { ...item, variant_id: 1001, name: "Item 1" },
+      { ...item, variant_id: 1002, name: "Item 2" }
+    ]
+  });
+
+  assert.equal(ttls[0], 300);
+  assert.ok(ttls[1] > 0 && ttls[1] <= 90);
+});
+
+test("caps cached quote lifetime at the next pricing rule boundary", async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "pricing-rules-"));
+  const pricingRuleStore = new PricingRuleStore(path.join(directory, "rules.json"), {
+    warn() {},
+    error() {}
+  });
+  pricingRuleStore.upsert({
+    courierCode: "jne",
+    serviceCode: "reg",
+    surchargeIdr: 2000,
+    validFrom: new Date(Date.now() + 120 * 1000).toISOString()
+  });
+
+  const service = createService({
+    pricingRuleStore,
+    biteshipGetRates: async () => [
+      {
+        courierName: "JNE",
+        courierCode: "jne",
+        serviceName: "REG",
+        serviceCode: "reg",
+        price: 10000,
+        minDay: 1,
+        maxDay: 2
+      }
+    ]
+  });
+  service.config.cache.rateStaleTtlSeconds = 3600;
+  const ttls = [];
+  for (const cache of [service.rateCache, service.staleRateCache]) {
+    const set = cache.set.bind(cache);
+    cache.set = (key, value, ttlSeconds, tags) => {
+      ttls.push(ttlSeconds);
+      return set(key, value, ttlSeconds, tags);
+    };
+  }
+
+  const result = await service.calculate({
+    destination: { postal_code: "40111" },
+    items: [
+      {
+        variant_id: 1001,
+        quantity: 1,
+        grams: 300,
+        price: 1000000,
+        requires_shipping: true,
+        name: "Item 1"
+      }
+    ]
+  });
+
+  assert.equal(result.rates[0].total_price, "1000000");
+  assert.equal(ttls.length, 2);
+  assert.ok(ttls.every((ttlSeconds) => ttlSeconds > 0 && ttlSeconds <= 120));
+});
+
+test("routes each seller group to a warehouse that holds the stock", async () => {
+  const sellerOrigins = {
+    501: {
+      sellerId: "501",
+      postalCode: "40211",
+      locationId: "1",
+      locations: [
+        { locationId: "1", postalCode: "40211", primary: true },
+        { locationId: "2", postalCode: "10110" }
+      ]
+    }
+  };
+  const variantStocks = {
+    7001: { 1: 0, 2: 5 },
+    7002: { 9: 1 }
+  };
+  const quotedOrigins = [];
+  const biteshipGetRates = async ({ originPostalCode }) => {
+    quotedOrigins.push(originPostalCode);
+    return [
+      {
+        courierName: "JNE",
+        courierCode: "jne",
+        serviceName: "REG",
+        serviceCode: "reg",
+        price: 10000,
+        minDay: 1,
+        maxDay: 2
+      }
+    ];
+  };
+  const payload = {
+    destination: { postal_code: "40111" },
+    items: [
+      {
+        variant_id: 1001,
+        quantity: 2,
+        grams: 300,
+        price: 15000000,
+        requires_shipping: true,
+        name: "Item 1"
+      },
+      {
+        variant_id: 1002,
+        quantity: 3,
+        grams: 500,
+        price: 20000000,
+        requires_shipping: true,
+        name: "Item 2"
+      }
+    ]
+  };
+
+  const service = createService({ biteshipGetRates, sellerOrigins, variantStocks });
+  service.config.shipping.inventoryRouting = true;
+  service.config.shipping.maxOriginCandidates = 3;
+  const result = await service.calculate(payload);
+  const group = result.debug.sellerGroups[0];
+
+  assert.deepEqual(quotedOrigins, ["10110"]);
+  assert.equal(result.debug.sellerGroups.length, 1);
+  assert.equal(group.originLocationId, "2");
+  assert.deepEqual(group.originSelection.stock, {
+    excludedLocationIds: ["1"],
+    split: false
+  });
+  assert.deepEqual(result.debug.skippedItems, [
+    {
+      variantId: "1002",
+      sellerId: "502",
+      reason: "out_of_stock",
+      requested: 3,
+      available: 1
+    }
+  ]);
+  assert.equal(typeof result.debug.phaseTimings.variantStockMs, "number");
+});
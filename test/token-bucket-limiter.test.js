@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  TokenBucketLimiter,
+  runInBackgroundLane
+} = require("../src/services/token-bucket-limiter");
+
+test("runs callback lookups ahead of queued background work", async () => {
+  const limiter = new TokenBucketLimiter({ ratePerSecond: 50, burst: 1 });
+  const order = [];
+  const track = (name) => () => {
+    order.push(name);
+    return name;
+  };
+
+  const background = runInBackgroundLane(() =>
+    Promise.all([limiter.schedule(track("sync-1")), limiter.schedule(track("sync-2"))])
+  );
+  const interactive = limiter.schedule(track("callback"));
+
+  const stats = limiter.stats();
+  assert.equal(stats.queueDepth, 2);
+  assert.equal(stats.lanes.background.queueDepth, 1);
+  assert.equal(stats.lanes.interactive.queueDepth, 1);
+
+  assert.equal(await interactive, "callback");
+  await background;
+
+  assert.deepEqual(order, ["sync-1", "callback", "sync-2"]);
+  const after = limiter.stats();
+  assert.equal(after.queueDepth, 0);
+  assert.equal(after.lanes.background.granted, 2);
+  assert.ok(after.lanes.background.maxWaitMs >= after.lanes.interactive.maxWaitMs);
+});
+
+test("allows a burst and passes through when disabled", async () => {
+  const limiter = new TokenBucketLimiter({ ratePerSecond: 1, burst: 3 });
+  const results = await Promise.all([1, 2, 3].map((n) => limiter.schedule(() => n)));
+  assert.deepEqual(results, [1, 2, 3]);
+  assert.equal(limiter.stats().lanes.interactive.maxWaitMs < 50, true);
+
+  const disabled = new TokenBucketLimiter({ ratePerSecond: 0 });
+  assert.equal(disabled.enabled(), false);
+  assert.equal(await disabled.schedule(async () => "direct"), "direct");
+});
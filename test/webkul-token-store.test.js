@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { WebkulTokenStore } = require("../src/services/webkul-token-store");
+const { WebkulClient } = require("../src/services/webkul-client");
+
+const noOpLogger = {
+  info() {},
+  warn() {},
+  error() {}
+};
+
+function tempFile() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "webkul-token-"));
+  return path.join(directory, "webkul-tokens.json");
+}
+
+test("encrypts tokens at rest and migrates plaintext files", () => {
+  const filePath = tempFile();
+  fs.writeFileSync(filePath, JSON.stringify({ accessToken: "acc-1", refreshToken: "ref-1" }));
+
+  const store = new WebkulTokenStore({ filePath, logger: noOpLogger, encryptionKey: "rahasia" });
+  assert.deepEqual(store.load(), { accessToken: "acc-1", refreshToken: "ref-1" });
+
+  const raw = fs.readFileSync(filePath, "utf8");
+  assert.equal(raw.includes("acc-1"), false);
+  assert.equal(raw.includes("ref-1"), false);
+  assert.ok(JSON.parse(raw).ciphertext);
+
+  const reopened = new WebkulTokenStore({ filePath, logger: noOpLogger, encryptionKey: "rahasia" });
+  assert.equal(reopened.load().refreshToken, "ref-1");
+
+  const wrongKey = new WebkulTokenStore({ filePath, logger: noOpLogger, encryptionKey: "lain" });
+  assert.throws(() => wrongKey.load(), /No encryption key configured/);
+});
+
+test("re-encrypts with the new key after rotation", () => {
+  const filePath = tempFile();
+  const keyFile = `${filePath}.key`;
+  const oldStore = new WebkulTokenStore({ filePath, logger: noOpLogger, encryptionKey: "kunci-lama" });
+  oldStore.save({ accessToken: "acc-2", refreshToken: "ref-2" });
+  const oldKeyId = JSON.parse(fs.readFileSync(filePath, "utf8")).keyId;
+
+  fs.writeFileSync(keyFile, "kunci-baru\n");
+  const rotated = new WebkulTokenStore({
+    filePath,
+    logger: noOpLogger,
+    encryptionKeyFile: keyFile,
+    previousEncryptionKeys: ["kunci-lama"]
+  });
+
+  assert.equal(rotated.load().accessToken, "acc-2");
+  const stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  assert.notEqual(stored.keyId, oldKeyId);
+  assert.equal(stored.keyId, rotated.status().keyId);
+  assert.equal(rotated.status().previousKeyCount, 1);
+});
+
+test("records refresh outcomes for the admin history", async () => {
+  const filePath = tempFile();
+  const client = new WebkulClient({
+    baseUrl: "https://webkul.test",
+    postalCodeLength: 5,
+    maxRetries: 0,
+    tokenStorePath: filePath,
+    tokenEncryptionKey: "rahasia",
+    accessToken: "acc",
+    refreshToken: "ref",
+    logger: noOpLogger
+  });
+
+  let fail = true;
+  client.http.post = async () => {
+    if (fail) {
+      const error = new Error("Request failed with status code 401");
+      error.response = { status: 401, data: { error: "invalid_grant" } };
+      throw error;
+    }
+    return { status: 200, data: { access_token: "acc-new", refresh_token: "ref-new" } };
+  };
+
+  await assert.rejects(() => client._refreshToken());
+  fail = false;
+  await client._refreshToken();
+
+  const history = client.tokenStore.refreshHistory();
+  assert.deepEqual(
+    history.map((entry) => [entry.ok, entry.status]),
+    [
+      [true, 200],
+      [false, 401]
+    ]
+  );
+  assert.equal(client.tokenStore.status().lastFailure.status, 401);
+
+  const reloaded = new WebkulTokenStore({ filePath, logger: noOpLogger, encryptionKey: "rahasia" });
+  assert.equal(reloaded.load().accessToken, "acc-new");
+  assert.equal(reloaded.refreshHistory({ failedOnly: true }).length, 1);
+});
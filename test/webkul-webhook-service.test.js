@@ -0,0 +1,189 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  WebkulWebhookService,
+  parseTopic
+} = require("../src/services/webkul-webhook-service");
+const { SellerResolver } = require("../src/services/seller-resolver");
+const { MemoryCache } = require("../src/services/memory-cache");
+const { VariantMappingStore } = require("../src/services/variant-mapping-store");
+const { SellerOriginStore } = require("../src/services/seller-origin-store");
+
+const noOpLogger = {
+  info() {},
+  warn() {},
+  error() {}
+};
+
+function createService(webkulClient) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "webkul-webhook-"));
+  const config = {
+    cache: { variantTtlSeconds: 3600, sellerTtlSeconds: 3600 },
+    shipping: { defaultOriginPostalCode: "", postalCodeLength: 5 }
+  };
+  const variantCache = new MemoryCache({ ttlSeconds: 3600, maxEntries: 100 });
+  const sellerCache = new MemoryCache({ ttlSeconds: 3600, maxEntries: 100 });
+  const variantMappingStore = new VariantMappingStore(
+    path.join(directory, "variant-mappings.json"),
+    noOpLogger
+  );
+  const sellerOriginStore = new SellerOriginStore(
+    path.join(directory, "seller-origins.json"),
+    noOpLogger
+  );
+  const invalidated = [];
+
+  const service = new WebkulWebhookService({
+    logger: noOpLogger,
+    sellerResolver: new SellerResolver({
+      config,
+      logger: noOpLogger,
+      webkulClient,
+      variantCache,
+      sellerCache,
+      sellerOriginStore,
+      variantMappingStore
+    }),
+    variantCache,
+    sellerCache,
+    sellerOriginStore,
+    variantMappingStore,
+    shippingService: {
+      invalidateRateCache(target, options) {
+        invalidated.push({ ...target, includeRoutes: options?.includeRoutes !== false });
+        return { rate: 0, staleRate: 0 };
+      }
+    }
+  });
+
+  return { service, variantCache, variantMappingStore, sellerOriginStore, invalidated };
+}
+
+test("parses Webkul topics in different notations", () => {
+  assert.deepEqual(parseTopic("products/update"), {
+    entity: "product",
+    action: "update",
+    isDelete: false
+  });
+  assert.equal(parseTopic("variant.deleted").isDelete, true);
+  assert.equal(parseTopic("order/create").entity, "");
+});
+
+test("refreshes variant mappings when a product moves to another seller", async () => {
+  const { service, variantCache, variantMappingStore, invalidated } = createService({
+    async resolveVariantToSeller(variantId) {
+      return {
+        shopifyVariantId: variantId,
+        webkulProductId: "77",
+        sellerId: "9",
+        variantWeight: 750
+      };
+    }
+  });
+
+  variantMappingStore.upsert({
+    shopifyVariantId: "1001",
+    webkulProductId: "77",
+    sellerId: "5",
+    variantWeight: 500
+  });
+  variantCache.set("1001", variantMappingStore.get("1001"));
+
+  const result = await service.handle("product/update", { product: { id: 77 } });
+
+  assert.equal(result.status, "processed");
+  assert.equal(variantMappingStore.get("1001").sellerId, "9");
+  assert.equal(variantCache.get("1001").sellerId, "9");
+  assert.deepEqual(result.changes[0], {
+    type: "variant_mapping_refreshed",
+    shopifyVariantId: "1001",
+    sellerIdBefore: "5",
+    sellerIdAfter: "9",
+    weightBefore: 500,
+    weightAfter: 750
+  });
+  assert.deepEqual(invalidated, [
+    { sellerId: "5", includeRoutes: false },
+    { sellerId: "9", includeRoutes: false }
+  ]);
+});
+
+test("invalidates rates only when a location event changes the origin", async () => {
+  let postalCode = "10110";
+  const { service, sellerOriginStore, invalidated } = createService({
+    async resolveSellerOrigin(sellerId) {
+      return { sellerId, postalCode, source: "webkul_location" };
+    }
+  });
+
+  sellerOriginStore.upsert({
+    sellerId: "5",
+    postalCode: "10110",
+    storeName: "Toko Lima"
+  });
+
+  const unchanged = await service.handle("location/update", {
+    location: { id: 3, seller_id: 5 }
+  });
+  assert.equal(unchanged.changes[1].originChanged, false);
+  assert.equal(invalidated.length, 0);
+
+  postalCode = "40111";
+  await service.handle("location/update", { location: { id: 3, seller_id: 5 } });
+
+  assert.equal(sellerOriginStore.get("5").postalCode, "40111");
+  assert.equal(sellerOriginStore.get("5").storeName, "Toko Lima");
+  assert.deepEqual(invalidated, [{ sellerId: "5", includeRoutes: true }]);
+});
+
+test("invalidates rates when only a secondary location changes", async () => {
+  const primary = { locationId: "1", postalCode: "10110", primary: true };
+  let locations = [primary];
+  const { service, sellerOriginStore, invalidated } = createService({
+    async resolveSellerOrigin(sellerId) {
+      return { sellerId, postalCode: "10110", locations, source: "webkul_location" };
+    }
+  });
+
+  sellerOriginStore.upsert({ sellerId: "5", postalCode: "10110", locations });
+
+  locations = [primary, { locationId: "2", postalCode: "60111" }];
+  const added = await service.handle("location/create", {
+    location: { id: 2, seller_id: 5 }
+  });
+  assert.equal(added.changes[1].originChanged, true);
+
+  locations = [primary, { locationId: "2", postalCode: "60112" }];
+  await service.handle("location/update", { location: { id: 2, seller_id: 5 } });
+
+  const unchanged = await service.handle("location/update", {
+    location: { id: 2, seller_id: 5 }
+  });
+  assert.equal(unchanged.changes[1].originChanged, false);
+  assert.equal(invalidated.length, 2);
+});
+
+test("records Webkul seller suspension and keeps admin availability", async () => {
+  const { service, sellerOriginStore, invalidated } = createService({
+    async resolveSellerOrigin(sellerId) {
+      return { sellerId, postalCode: "10110", source: "webkul_location" };
+    }
+  });
+
+  sellerOriginStore.upsert({ sellerId: "5", postalCode: "10110" });
+  sellerOriginStore.setAvailability("5", { status: "vacation", closures: [] });
+
+  const result = await service.handle("seller/update", {
+    seller: { id: 5, status: "0" }
+  });
+
+  assert.equal(result.changes[0].type, "seller_status_changed");
+  assert.equal(result.changes[0].statusAfter, "suspended");
+  assert.deepEqual(invalidated, [{ sellerId: "5", includeRoutes: false }]);
+  assert.equal(sellerOriginStore.get("5").webkulStatus, "suspended");
+  assert.equal(sellerOriginStore.get("5").availability.status, "vacation");
+});